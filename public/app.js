@@ -1,3 +1,28 @@
+/**
+ * CSV Editor client
+ * 
+ * Edit History:
+ * - 2026-10-19 13:41:52: Added the import dialog for CSV files without column types; the user accepts or overrides the inferred schema before the table is loaded
+ * - 2026-10-19 15:08:26: CONVERT_COLUMN can convert to DATE, and ADD_COLUMN can create DATE columns
+ * - 2026-10-19 17:45:09: DECIMAL and MONEY values are shown at their scale and REAL values at full precision; MONEY added to the type choices
+ * - 2026-10-19 19:02:31: Added Undo/Redo buttons and Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) for the server-side table history
+ * - 2026-10-19 20:14:52: DELETE_ROWS, SET_VALUE, REPLACE_TEXT and DROP_COLUMNS show a preview of the deleted rows and changed cells, applied only on Confirm
+ * - 2026-10-19 21:06:38: Added AUTO_TAG; the dialog stays open afterwards to show how many rows each rule tagged and which rows stayed untagged
+ * - 2026-10-19 22:10:45: Rows can be multi-selected with shift-click and ctrl-click and tagged together from the tag menu; the Tag Rows dialog tags every row matching an expression
+ * - 2026-10-19 23:04:19: The tag menu of an untagged row pins the server's tag suggestions, with their confidence, above the other tags
+ * - 2026-10-20 09:15:02: The tag menu shows nested tag categories as an indented tree; COLLAPSE_TABLE and GROUP_TABLE can roll tags up to a level
+ * - 2026-10-20 10:22:47: Added the tag manager dialog to add, rename, merge and delete tags
+ * - 2026-10-20 11:31:26: The tag menu's "Multiple tags per row" switch adds and removes tags instead of replacing the row's tag; GROUP_TABLE can explode multi-tagged rows
+ * - 2026-10-20 13:07:52: The Edit Row dialog can split the row into several rows with their own amount and tag (SPLIT_ROW)
+ * - 2026-10-20 14:26:11: Added MATCH_TRANSFERS; both tables are updated and the dialog stays open to show the matched pairs and the unmatched rows
+ * - 2026-10-20 15:38:40: Added DEDUPE_TABLE; its preview shows each group of duplicates and which row stays before anything is deleted
+ * - 2026-10-20 16:44:05: Added RECONCILE; the dialog stays open to show the final balance, the discrepancy and where bank balances diverge
+ * - 2026-10-20 18:02:37: GROUP_TABLE and COLLAPSE_TABLE take several group columns and a list of output columns, each with its own aggregate
+ * - 2026-10-20 19:20:14: Added PIVOT_TABLE and UNPIVOT; both switch to the table they create
+ * - 2026-10-20 20:41:53: The JOIN_TABLE form takes a join type, several key columns (named differently in the second table if need be) and column prefixes; the dialog reports how many rows matched
+ * - 2026-10-20 22:08:36: The JOIN_TABLE form takes a join condition over left. and right. fields and a date range, which can replace the join columns
+ */
+
 const { createApp } = Vue;
 
 createApp({
@@ -9,12 +34,32 @@ createApp({
       currentTableData: null,
       selectedCommand: '',
       selectedRowIndex: null,
+      selectedRowIndices: [],
       showCommandModal: false,
       showRowModal: false,
       rowModalMode: 'add',
+      splitParts: [],
+      splitError: '',
+      splitErrorParts: [],
       commandParams: {},
       commandError: '',
       commandSuccess: '',
+      commandPreview: null,
+      aggregateFunctions: ['SUM', 'COUNT', 'AVG', 'MIN', 'MAX', 'FIRST', 'LAST', 'MEDIAN', 'COUNT_DISTINCT'],
+      previewCommands: ['DELETE_ROWS', 'SET_VALUE', 'REPLACE_TEXT', 'DROP_COLUMNS', 'DEDUPE_TABLE'],
+      previewDisplayLimit: 100,
+      autoTagReport: null,
+      transferReport: null,
+      reconcileReport: null,
+      joinReport: null,
+      showTagRowsModal: false,
+      tagRowsExpression: '',
+      tagRowsTag: '',
+      tagRowsError: '',
+      showTagManager: false,
+      newTagName: '',
+      tagManagerError: '',
+      tagManagerMessage: '',
       rowData: {},
       rowErrors: [],
       rowError: '',
@@ -24,27 +69,44 @@ createApp({
       tags: [],
       showTagMenu: false,
       tagMenuRowIndex: null,
+      tagMenuRowIndices: [],
+      multiTagMode: false,
+      tagSuggestions: [],
       tagMenuPosition: { x: 0, y: 0 },
       tagFilter: '',
       selectedTagIndex: 0,
+      pendingImports: {},
+      showImportModal: false,
+      importTableName: '',
+      importTypes: {},
+      importError: '',
+      historyTable: '',
+      undoLabels: [],
+      redoLabels: [],
       commands: [
         'ADD_COLUMN',
+        'AUTO_TAG',
         'COLLAPSE_TABLE',
         'CONVERT_COLUMN',
         'COPY_TABLE',
+        'DEDUPE_TABLE',
         'DELETE_ROWS',
         'DELETE_TABLE',
         'DROP_COLUMNS',
         'GROUP_TABLE',
         'JOIN_TABLE',
+        'MATCH_TRANSFERS',
+        'PIVOT_TABLE',
         'REORDER_COLUMNS',
         'RENAME_COLUMN',
+        'RECONCILE',
         'RENAME_TABLE',
         'REPLACE_TEXT',
         'SAVE_TABLE',
         'SET_VALUE',
         'SORT_TABLE',
-        'SPLICE_TABLES'
+        'SPLICE_TABLES',
+        'UNPIVOT'
       ]
     };
   },
@@ -56,6 +118,51 @@ createApp({
       if (!this.currentTableData) return [];
       return this.currentTableData.schema.filter(col => col.type === 'TEXT');
     },
+    convertibleColumns() {
+      if (!this.currentTableData) return [];
+      // INT and REAL columns can also be converted to MONEY
+      if (this.commandParams.type === 'MONEY') {
+        return this.currentTableData.schema.filter(col => ['TEXT', 'INT', 'REAL'].includes(col.type));
+      }
+      return this.textColumns;
+    },
+    splitAmountColumn() {
+      if (!this.currentTableData) return null;
+      // The Amount column, or else the first numeric column
+      const numeric = this.currentTableData.schema.filter(col => ['INT', 'REAL', 'MONEY'].includes(col.type) || col.type.startsWith('DECIMAL'));
+      const column = numeric.find(col => col.name === 'Amount') || numeric[0];
+      return column ? column.name : null;
+    },
+    splitRemainder() {
+      if (!this.splitAmountColumn || this.selectedRowIndex === null || !this.currentTableData) return 0;
+      // Add up in whole units of the smallest decimal used, so 0.1 + 0.2 leaves no rounding error
+      const source = this.currentTableData.rows[this.selectedRowIndex][this.splitAmountColumn];
+      const values = [source, ...this.splitParts.map(part => part.amount)].map(value => String(value || '0').replace(/[,$]/g, ''));
+      const places = Math.max(...values.map(value => (value.split('.')[1] || '').length));
+      const factor = Math.pow(10, places);
+      const units = values.map(value => Math.round((parseFloat(value) || 0) * factor));
+      return (units[0] - units.slice(1).reduce((sum, unit) => sum + unit, 0)) / factor;
+    },
+    needsPreview() {
+      return this.previewCommands.includes(this.selectedCommand) && !this.commandPreview;
+    },
+    previewSummary() {
+      const preview = this.commandPreview;
+      if (!preview) return '';
+      if (preview.groups) {
+        if (preview.groups.length === 0) return 'No duplicates found.';
+        return preview.deletedRows.length > 0
+          ? `${preview.groups.length} groups of duplicates; ${preview.deletedRows.length} of ${preview.rowCount} rows would be deleted.`
+          : `${preview.groups.length} groups of duplicates would be copied to ${this.commandParams.newName || 'a new table'} for review.`;
+      }
+      if (preview.deletedRows) {
+        return `${preview.deletedRows.length} of ${preview.rowCount} rows would be deleted.`;
+      }
+      if (preview.droppedColumns) {
+        return `Columns ${preview.droppedColumns.join(', ')} would be dropped, removing ${preview.changes.length} values.`;
+      }
+      return `${preview.changes.length} cells would change.`;
+    },
     canExecuteCommand() {
       if (!this.selectedCommand) return false;
       
@@ -72,17 +179,32 @@ createApp({
         case 'DELETE_ROWS':
           return this.commandParams.expression;
         case 'COLLAPSE_TABLE':
-          return this.commandParams.newName; // newName is required
+          return this.commandParams.newName; // newName is required; no output columns sums every numeric column
         case 'ADD_COLUMN':
           return this.commandParams.columnName && this.commandParams.columnType && this.commandParams.expression;
         case 'SET_VALUE':
           return this.commandParams.columnName && this.commandParams.expression;
         case 'JOIN_TABLE':
-          return this.commandParams.newName && this.commandParams.tableName1 && this.commandParams.joinColumn;
+          // Rows can be matched by join columns, a join condition, a date range or any mix of them
+          return this.commandParams.newName && this.commandParams.tableName1
+            && (this.commandParams.joinColumnsText || this.commandParams.condition
+              || (this.commandParams.dateColumn && (this.commandParams.rangeStart || this.commandParams.rangeEnd)));
+        case 'MATCH_TRANSFERS':
+          return this.commandParams.tableName1;
+        case 'DEDUPE_TABLE':
+          return this.commandParams.keep !== 'review' || this.commandParams.newName;
+        case 'RECONCILE':
+          return this.commandParams.openingBalance !== undefined && this.commandParams.openingBalance !== ''
+            && this.commandParams.closingBalance !== undefined && this.commandParams.closingBalance !== '';
         case 'SORT_TABLE':
           return this.commandParams.columnName;
         case 'GROUP_TABLE':
-          return this.commandParams.newName && this.commandParams.groupColumn && this.commandParams.columnsText;
+          return this.commandParams.newName && this.commandParams.groupColumns.length > 0
+            && this.commandParams.aggregates.some(output => output.column);
+        case 'PIVOT_TABLE':
+          return this.commandParams.newName && this.commandParams.rowKey && this.commandParams.columnKey && this.commandParams.valueColumn;
+        case 'UNPIVOT':
+          return this.commandParams.newName; // no columns ticked unpivots every column that is not an id column
         case 'REORDER_COLUMNS':
           return this.commandParams.columnsText;
         case 'CONVERT_COLUMN':
@@ -91,12 +213,28 @@ createApp({
           return this.commandParams.newName && this.commandParams.selectedTables && this.commandParams.selectedTables.length > 0;
         case 'SAVE_TABLE':
         case 'DELETE_TABLE':
+        case 'AUTO_TAG':
           return true;
         default:
           return false;
       }
     }
   },
+  watch: {
+    // Clearing the selected row clears a multi-row selection too
+    selectedRowIndex(value) {
+      if (value === null) {
+        this.selectedRowIndices = [];
+      }
+    },
+    // A preview no longer matches once the parameters change
+    commandParams: {
+      handler() {
+        this.commandPreview = null;
+      },
+      deep: true
+    }
+  },
   async mounted() {
     this.checkLoggingStatus();
     await this.loadTables();
@@ -116,8 +254,19 @@ createApp({
       }
     });
     
-    // Handle keyboard input for tag menu
+    // Handle keyboard input for tag menu, and undo/redo shortcuts
     document.addEventListener('keydown', (e) => {
+      if (!this.showTagMenu && (e.ctrlKey || e.metaKey) && this.isHistoryShortcutAllowed(e)) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          this.undo();
+        } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+          e.preventDefault();
+          this.redo();
+        }
+        return;
+      }
       if (this.showTagMenu) {
         if (e.key === 'Enter') {
           e.preventDefault();
@@ -169,6 +318,10 @@ createApp({
             this.currentTable = this.tableNames[0];
             this.onTableChange();
           }
+          this.pendingImports = data.imports || {};
+          if (!this.showImportModal) {
+            this.openNextImport();
+          }
         }
       } catch (error) {
         console.error('Failed to load tables:', error);
@@ -182,6 +335,86 @@ createApp({
           this.updateTableWidth();
         });
       }
+      this.refreshHistory();
+    },
+    async refreshHistory() {
+      if (this.currentTable) {
+        this.historyTable = this.currentTable;
+      }
+      if (!this.historyTable) {
+        this.undoLabels = [];
+        this.redoLabels = [];
+        return;
+      }
+      try {
+        const response = await fetch(`/api/history/${encodeURIComponent(this.historyTable)}`);
+        const data = await response.json();
+        if (data.success) {
+          this.undoLabels = data.undo;
+          this.redoLabels = data.redo;
+        }
+      } catch (error) {
+        console.error('Failed to load history:', error);
+      }
+    },
+    isHistoryShortcutAllowed(event) {
+      // Leave Ctrl+Z in text fields to the browser, and do nothing behind a dialog
+      const target = event.target;
+      if (target && target.closest && target.closest('input, textarea, select')) {
+        return false;
+      }
+      return !this.showCommandModal && !this.showRowModal && !this.showImportModal && !this.showTagRowsModal && !this.showTagManager;
+    },
+    async undo() {
+      if (this.undoLabels.length === 0) return;
+      await this.applyHistoryStep('/api/undo');
+    },
+    async redo() {
+      if (this.redoLabels.length === 0) return;
+      await this.applyHistoryStep('/api/redo');
+    },
+    async applyHistoryStep(endpoint) {
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ tableName: this.historyTable })
+        });
+        
+        const data = await response.json();
+        if (!data.success) {
+          alert(data.error || 'Failed to apply history step');
+          return;
+        }
+        
+        // Tables a step created are removed again (null); the others are replaced
+        for (const [name, table] of Object.entries(data.tables)) {
+          if (table) {
+            this.tables[name] = table;
+          } else {
+            delete this.tables[name];
+          }
+        }
+        this.tableNames = Object.keys(this.tables);
+        this.historyTable = data.tableName;
+        this.undoLabels = data.history.undo;
+        this.redoLabels = data.history.redo;
+        this.selectedRowIndex = null;
+        
+        // Keep the buttons pointing at the table even when the step removed it, so it can be redone
+        if (this.tables[data.tableName]) {
+          this.currentTable = data.tableName;
+          this.currentTableData = this.tables[data.tableName];
+          this.$nextTick(() => {
+            this.updateTableWidth();
+          });
+        } else {
+          this.currentTable = '';
+          this.currentTableData = null;
+        }
+      } catch (error) {
+        alert('Error: ' + error.message);
+      }
     },
     updateTableWidth() {
       this.$nextTick(() => {
@@ -214,10 +447,43 @@ createApp({
       if (value === null || value === undefined) return '0.0';
       const num = parseFloat(value);
       if (isNaN(num)) return '0.0';
-      return num.toFixed(1);
+      // Full precision, with at least one decimal place (as saved)
+      return Number.isInteger(num) ? num.toFixed(1) : String(num);
+    },
+    decimalScale(type) {
+      if (type === 'MONEY') return 2;
+      const match = /^DECIMAL\(\d+,(\d+)\)$/.exec(type);
+      return match ? Number(match[1]) : null;
+    },
+    formatDecimal(value, type) {
+      const num = parseFloat(value);
+      return (isNaN(num) ? 0 : num).toFixed(this.decimalScale(type));
     },
-    selectRow(index) {
+    selectRow(index, event) {
+      if (event && event.shiftKey && this.selectedRowIndex !== null) {
+        // Select the range from the last clicked row, which stays the anchor
+        const start = Math.min(this.selectedRowIndex, index);
+        const end = Math.max(this.selectedRowIndex, index);
+        this.selectedRowIndices = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+        return;
+      }
+      if (event && (event.ctrlKey || event.metaKey)) {
+        const position = this.selectedRowIndices.indexOf(index);
+        if (position === -1) {
+          this.selectedRowIndices.push(index);
+          this.selectedRowIndex = index;
+        } else {
+          this.selectedRowIndices.splice(position, 1);
+          const last = this.selectedRowIndices[this.selectedRowIndices.length - 1];
+          this.selectedRowIndex = last === undefined ? null : last;
+        }
+        return;
+      }
       this.selectedRowIndex = index;
+      this.selectedRowIndices = [index];
+    },
+    isRowSelected(index) {
+      return this.selectedRowIndices.includes(index);
     },
     onCommandSelect() {
       if (this.selectedCommand) {
@@ -230,13 +496,46 @@ createApp({
         if (this.selectedCommand === 'DROP_COLUMNS') {
           this.commandParams.selectedColumns = [];
         }
+        // DEDUPE_TABLE compares every column (except tag) unless key columns are ticked
+        if (this.selectedCommand === 'DEDUPE_TABLE') {
+          this.commandParams.selectedColumns = [];
+          this.commandParams.keep = 'first';
+        }
         // Initialize column name fields for RENAME_COLUMN
         if (this.selectedCommand === 'RENAME_COLUMN') {
           this.commandParams.oldColumnName = '';
           this.commandParams.newColumnName = '';
         }
+        // GROUP_TABLE and COLLAPSE_TABLE start with no group columns and one output column
+        if (this.selectedCommand === 'GROUP_TABLE' || this.selectedCommand === 'COLLAPSE_TABLE') {
+          this.commandParams.groupColumns = [];
+          this.commandParams.aggregates = [];
+          this.addAggregate();
+        }
+        // PIVOT_TABLE sums and adds totals unless told otherwise
+        if (this.selectedCommand === 'PIVOT_TABLE') {
+          this.commandParams.aggregate = 'SUM';
+          this.commandParams.totals = true;
+        }
+        if (this.selectedCommand === 'UNPIVOT') {
+          this.commandParams.idColumns = [];
+          this.commandParams.selectedColumns = [];
+        }
+        // JOIN_TABLE keeps every row of the current table unless another join type is chosen
+        if (this.selectedCommand === 'JOIN_TABLE') {
+          this.commandParams.joinType = 'left';
+        }
+        // CONVERT_COLUMN converts to REAL unless DATE is chosen
+        if (this.selectedCommand === 'CONVERT_COLUMN') {
+          this.commandParams.type = 'REAL';
+        }
         this.commandError = '';
         this.commandSuccess = '';
+        this.commandPreview = null;
+        this.autoTagReport = null;
+        this.transferReport = null;
+        this.reconcileReport = null;
+        this.joinReport = null;
         this.showCommandModal = true;
       }
     },
@@ -246,40 +545,105 @@ createApp({
       this.commandParams = {};
       this.commandError = '';
       this.commandSuccess = '';
+      this.commandPreview = null;
+      this.autoTagReport = null;
+      this.transferReport = null;
+      this.reconcileReport = null;
+      this.joinReport = null;
     },
-    async executeCommand() {
-      if (!this.canExecuteCommand) return;
-      // SPLICE_TABLES doesn't require a current table
-      if (this.selectedCommand !== 'SPLICE_TABLES' && !this.currentTable) return;
-      
-      this.commandError = '';
-      this.commandSuccess = '';
-      
+    buildCommandRequest() {
       // Process command params - convert comma-separated strings to arrays where needed
       const processedParams = { ...this.commandParams };
-      if (this.selectedCommand === 'GROUP_TABLE' || this.selectedCommand === 'REORDER_COLUMNS') {
+      if (this.selectedCommand === 'GROUP_TABLE' || this.selectedCommand === 'COLLAPSE_TABLE') {
+        // Output columns without a column chosen are left out; an empty name lets the server name it
+        processedParams.columns = processedParams.aggregates
+          .filter(output => output.column)
+          .map(output => ({ column: output.column, aggregate: output.aggregate, name: output.name.trim() || undefined }));
+        delete processedParams.aggregates;
+      }
+      if (this.selectedCommand === 'REORDER_COLUMNS') {
         if (processedParams.columnsText) {
           processedParams.columns = processedParams.columnsText.split(',').map(c => c.trim()).filter(c => c);
           delete processedParams.columnsText;
         }
       }
-      // DROP_COLUMNS now uses selectedColumns array directly
-      if (this.selectedCommand === 'DROP_COLUMNS') {
+      if (this.selectedCommand === 'JOIN_TABLE') {
+        const toColumns = text => (text || '').split(',').map(c => c.trim()).filter(c => c);
+        processedParams.joinColumns = toColumns(processedParams.joinColumnsText);
+        processedParams.joinColumns1 = toColumns(processedParams.joinColumns1Text);
+        delete processedParams.joinColumnsText;
+        delete processedParams.joinColumns1Text;
+        // An empty prefix field means the default prefix (the table's name)
+        if (!processedParams.rightPrefix) {
+          delete processedParams.rightPrefix;
+        }
+      }
+      if (this.selectedCommand === 'RECONCILE' && processedParams.balanceColumnsText !== undefined) {
+        processedParams.balanceColumns = processedParams.balanceColumnsText.split(',').map(c => c.trim()).filter(c => c);
+        delete processedParams.balanceColumnsText;
+      }
+      // DROP_COLUMNS, DEDUPE_TABLE and UNPIVOT use the selectedColumns array directly
+      if (this.selectedCommand === 'DROP_COLUMNS' || this.selectedCommand === 'DEDUPE_TABLE' || this.selectedCommand === 'UNPIVOT') {
         if (processedParams.selectedColumns) {
           processedParams.columns = processedParams.selectedColumns;
           delete processedParams.selectedColumns;
         }
       }
       
+      // SPLICE_TABLES doesn't use tableName parameter
+      const requestBody = {
+        command: this.selectedCommand,
+        params: processedParams
+      };
+      if (this.selectedCommand !== 'SPLICE_TABLES') {
+        requestBody.tableName = this.currentTable;
+      }
+      return requestBody;
+    },
+    async previewCommand() {
+      if (!this.canExecuteCommand || !this.currentTable) return;
+      
+      this.commandError = '';
+      this.commandSuccess = '';
+      
+      const requestBody = this.buildCommandRequest();
+      requestBody.params.preview = true;
+      
       try {
-        // SPLICE_TABLES doesn't use tableName parameter
-        const requestBody = {
-          command: this.selectedCommand,
-          params: processedParams
-        };
-        if (this.selectedCommand !== 'SPLICE_TABLES') {
-          requestBody.tableName = this.currentTable;
+        const response = await fetch('/api/command', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(requestBody)
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+          this.commandPreview = data.preview;
+        } else {
+          this.commandError = data.error || 'Preview failed';
         }
+      } catch (error) {
+        this.commandError = error.message || 'Failed to preview command';
+      }
+    },
+    formatPreviewValue(value) {
+      if (value === null || value === undefined) return '';
+      return String(value);
+    },
+    async executeCommand() {
+      if (!this.canExecuteCommand) return;
+      // SPLICE_TABLES doesn't require a current table
+      if (this.selectedCommand !== 'SPLICE_TABLES' && !this.currentTable) return;
+      
+      this.commandError = '';
+      this.commandSuccess = '';
+      this.autoTagReport = null;
+      this.transferReport = null;
+      this.reconcileReport = null;
+      this.joinReport = null;
+      
+      try {
+        const requestBody = this.buildCommandRequest();
         
         const response = await fetch('/api/command', {
           method: 'POST',
@@ -300,11 +664,12 @@ createApp({
             }
             // Update table list
             this.tableNames = Object.keys(this.tables);
-            // Clear current table if it was the deleted one
+            // Clear current table if it was the deleted one, keeping its history so the delete can be undone
             if (this.currentTable === deletedTableName) {
               this.currentTable = '';
               this.currentTableData = null;
               this.selectedRowIndex = null;
+              this.historyTable = deletedTableName;
             }
           }
           // Handle table rename - update local tables object and switch to new name
@@ -330,8 +695,8 @@ createApp({
               this.tables[data.newTableName] = data.table;
             }
             this.tableNames = Object.keys(this.tables);
-            // Switch to the new table for COPY_TABLE, COLLAPSE_TABLE, GROUP_TABLE, JOIN_TABLE, and SPLICE_TABLES
-            if ((this.selectedCommand === 'COPY_TABLE' || this.selectedCommand === 'COLLAPSE_TABLE' || this.selectedCommand === 'GROUP_TABLE' || this.selectedCommand === 'JOIN_TABLE' || this.selectedCommand === 'SPLICE_TABLES') && data.table) {
+            // Switch to the new table for COPY_TABLE, COLLAPSE_TABLE, GROUP_TABLE, PIVOT_TABLE, UNPIVOT, JOIN_TABLE, SPLICE_TABLES and DEDUPE_TABLE (review)
+            if ((this.selectedCommand === 'COPY_TABLE' || this.selectedCommand === 'COLLAPSE_TABLE' || this.selectedCommand === 'GROUP_TABLE' || this.selectedCommand === 'PIVOT_TABLE' || this.selectedCommand === 'UNPIVOT' || this.selectedCommand === 'JOIN_TABLE' || this.selectedCommand === 'SPLICE_TABLES' || this.selectedCommand === 'DEDUPE_TABLE') && data.table) {
               this.currentTable = data.newTableName;
               this.currentTableData = data.table;
               this.$nextTick(() => {
@@ -340,6 +705,11 @@ createApp({
             }
           }
           
+          // Commands that change several tables (MATCH_TRANSFERS) return all of them
+          if (data.tables) {
+            Object.assign(this.tables, data.tables);
+          }
+          
           if (data.table && !data.newTableName) {
             this.currentTableData = data.table;
             this.tables[this.currentTable] = data.table;
@@ -359,6 +729,26 @@ createApp({
             this.tableNames = Object.keys(this.tables);
           }
           
+          this.refreshHistory();
+          
+          // Keep the dialog open so the rule report can be read
+          if (this.selectedCommand === 'AUTO_TAG') {
+            this.autoTagReport = data;
+            return;
+          }
+          if (this.selectedCommand === 'MATCH_TRANSFERS') {
+            this.transferReport = data;
+            return;
+          }
+          if (this.selectedCommand === 'RECONCILE') {
+            this.reconcileReport = data;
+            return;
+          }
+          if (this.selectedCommand === 'JOIN_TABLE') {
+            this.joinReport = data;
+            return;
+          }
+          
           setTimeout(() => {
             this.closeCommandModal();
             // Don't reload from disk - we already have the updated data from the command response
@@ -478,6 +868,7 @@ createApp({
           this.currentTableData = data.table;
           this.tables[this.currentTable] = data.table;
           this.selectedRowIndex = null;
+          this.refreshHistory();
         } else {
           alert('Failed to delete row: ' + data.error);
         }
@@ -488,7 +879,7 @@ createApp({
     closeRowModal() {
       // Don't close if there are validation errors - user needs to fix them
       // This prevents accidental closing (click outside, X button) when errors exist
-      if (this.rowErrors.length > 0 || this.rowError) {
+      if (this.rowErrors.length > 0 || this.rowError || this.splitError) {
         return;
       }
       this.showRowModal = false;
@@ -496,6 +887,7 @@ createApp({
       this.rowErrors = [];
       this.rowError = '';
       this.rowValidationMessage = '';
+      this.cancelSplit();
     },
     cancelRowModal() {
       // Always allow cancel - clear errors and close
@@ -504,6 +896,82 @@ createApp({
       this.rowValidationMessage = '';
       this.showRowModal = false;
       this.rowData = {};
+      this.cancelSplit();
+    },
+    startSplit() {
+      if (!this.splitAmountColumn || this.selectedRowIndex === null) return;
+      
+      if (this.tags.length === 0) {
+        this.loadTags();
+      }
+      
+      // Start with the whole amount in the first part, keeping the row's tag
+      const row = this.currentTableData.rows[this.selectedRowIndex];
+      this.splitParts = [
+        { amount: String(row[this.splitAmountColumn]), tag: row.tag || '' },
+        { amount: '0', tag: '' }
+      ];
+      this.splitError = '';
+      this.splitErrorParts = [];
+    },
+    addAggregate() {
+      this.commandParams.aggregates.push({ column: '', aggregate: 'SUM', name: '' });
+    },
+    removeAggregate(index) {
+      this.commandParams.aggregates.splice(index, 1);
+    },
+    addSplitPart() {
+      // The new part takes whatever is not yet allocated
+      this.splitParts.push({ amount: String(this.splitRemainder), tag: '' });
+    },
+    removeSplitPart(index) {
+      this.splitParts.splice(index, 1);
+    },
+    cancelSplit() {
+      this.splitParts = [];
+      this.splitError = '';
+      this.splitErrorParts = [];
+    },
+    async applySplit() {
+      if (!this.currentTable || this.selectedRowIndex === null) return;
+      
+      this.splitError = '';
+      this.splitErrorParts = [];
+      
+      try {
+        const response = await fetch('/api/command', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            command: 'SPLIT_ROW',
+            tableName: this.currentTable,
+            params: {
+              rowIndex: this.selectedRowIndex,
+              amountColumn: this.splitAmountColumn,
+              parts: this.splitParts
+            }
+          })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+          this.currentTableData = data.table;
+          this.tables[this.currentTable] = data.table;
+          this.$nextTick(() => {
+            this.updateTableWidth();
+          });
+          this.cancelRowModal();
+          // Leave the new rows selected
+          this.selectedRowIndex = data.rowIndices[0];
+          this.selectedRowIndices = data.rowIndices;
+          this.refreshHistory();
+        } else {
+          this.splitError = data.error || 'Failed to split row';
+          this.splitErrorParts = (data.errors || []).map(error => error.part - 1);
+        }
+      } catch (error) {
+        this.splitError = error.message || 'Failed to split row';
+      }
     },
     async validateRow() {
       if (!this.currentTableData || this.rowModalMode !== 'add') return;
@@ -658,6 +1126,7 @@ createApp({
           if (this.rowModalMode === 'add') {
             this.selectedRowIndex = null;
           }
+          this.refreshHistory();
         } else {
           // Handle validation errors - keep modal open and show errors
           if (data.errors && data.errors.length > 0) {
@@ -689,6 +1158,9 @@ createApp({
           this.currentTableData = null;
           this.selectedRowIndex = null;
           this.selectedCommand = '';
+          this.historyTable = '';
+          this.undoLabels = [];
+          this.redoLabels = [];
           // Reset command logging to OFF (same as cold start)
           this.commandLoggingEnabled = false;
           await this.loadTables();
@@ -814,7 +1286,7 @@ createApp({
         const response = await fetch('/api/tags');
         const data = await response.json();
         if (data.success) {
-          this.tags = data.tags;
+          this.applyTagList(data);
         }
       } catch (error) {
         console.error('Failed to load tags:', error);
@@ -829,27 +1301,91 @@ createApp({
         this.loadTags();
       }
       
+      // Right-clicking a row of a multi-row selection tags the whole selection
       this.tagMenuRowIndex = rowIndex;
+      this.tagMenuRowIndices = this.selectedRowIndices.length > 1 && this.isRowSelected(rowIndex)
+        ? [...this.selectedRowIndices]
+        : [rowIndex];
       this.tagMenuPosition = { x: event.clientX, y: event.clientY };
       this.showTagMenu = true;
       this.tagFilter = '';
       this.selectedTagIndex = 0;
+      this.tagSuggestions = [];
+      
+      const row = this.currentTableData && this.currentTableData.rows[rowIndex];
+      if (this.tagMenuRowIndices.length === 1 && row && !row.tag) {
+        this.loadTagSuggestions(rowIndex);
+      }
+    },
+    async loadTagSuggestions(rowIndex) {
+      try {
+        const response = await fetch(`/api/tags/suggest?tableName=${encodeURIComponent(this.currentTable)}&rowIndex=${rowIndex}`);
+        const data = await response.json();
+        // Ignore the answer if the menu has moved on to another row
+        if (data.success && this.showTagMenu && this.tagMenuRowIndex === rowIndex) {
+          this.tagSuggestions = data.suggestions;
+          this.selectedTagIndex = 0;
+        }
+      } catch (error) {
+        console.error('Failed to load tag suggestions:', error);
+      }
+    },
+    applyTagList(data) {
+      // Depth-first order puts every category directly above its subcategories
+      this.tags = data.tree ? this.flattenTagTree(data.tree) : data.tags;
+    },
+    flattenTagTree(nodes) {
+      return nodes.flatMap(node => [node.path, ...this.flattenTagTree(node.children)]);
+    },
+    tagDepth(tag) {
+      return tag.split('/').length - 1;
+    },
+    tagLabel(tag) {
+      return tag.substring(tag.lastIndexOf('/') + 1);
+    },
+    getTagSuggestion(tag) {
+      return this.tagSuggestions.find(suggestion => suggestion.tag === tag);
+    },
+    rowTags(row) {
+      // A multi-tagged row keeps its tags separated by ';'
+      return String((row && row.tag) || '').split(';').map(tag => tag.trim()).filter(tag => tag !== '');
+    },
+    menuRowsHaveTag(tag) {
+      if (!this.currentTableData) {
+        return false;
+      }
+      return this.tagMenuRowIndices.every(index => this.rowTags(this.currentTableData.rows[index]).includes(tag));
     },
     async selectTag(tag) {
       if (this.tagMenuRowIndex === null || !this.currentTable) {
         return;
       }
       
+      // In multi-tag mode a tag the rows already have is taken off, any other tag is added
+      const mode = !this.multiTagMode ? 'replace' : (this.menuRowsHaveTag(tag) ? 'remove' : 'add');
+      
       try {
-        const response = await fetch('/api/row/tag', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            tableName: this.currentTable,
-            rowIndex: this.tagMenuRowIndex,
-            tag: tag
+        const response = this.tagMenuRowIndices.length > 1
+          ? await fetch('/api/rows/tag', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              tableName: this.currentTable,
+              rowIndices: this.tagMenuRowIndices,
+              tag: tag,
+              mode: mode
+            })
           })
-        });
+          : await fetch('/api/row/tag', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              tableName: this.currentTable,
+              rowIndex: this.tagMenuRowIndex,
+              tag: tag,
+              mode: mode
+            })
+          });
         
         const data = await response.json();
         if (data.success) {
@@ -858,6 +1394,7 @@ createApp({
           this.$nextTick(() => {
             this.updateTableWidth();
           });
+          this.refreshHistory();
         } else {
           alert('Failed to tag row: ' + (data.error || 'Unknown error'));
         }
@@ -867,17 +1404,206 @@ createApp({
       
       this.showTagMenu = false;
       this.tagMenuRowIndex = null;
+      this.tagMenuRowIndices = [];
+      this.tagSuggestions = [];
       this.tagFilter = '';
       this.selectedTagIndex = 0;
     },
+    openTagManager() {
+      this.loadTags();
+      this.newTagName = '';
+      this.tagManagerError = '';
+      this.tagManagerMessage = '';
+      this.showTagManager = true;
+    },
+    closeTagManager() {
+      this.showTagManager = false;
+    },
+    async sendTagChange(method, body) {
+      this.tagManagerError = '';
+      this.tagManagerMessage = '';
+      const response = await fetch('/api/tags', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (data.success) {
+        this.applyTagList(data);
+        // Rows whose tag was rewritten
+        for (const [name, table] of Object.entries(data.tables || {})) {
+          this.tables[name] = table;
+          if (name === this.currentTable) {
+            this.currentTableData = table;
+          }
+        }
+        if (data.tables && Object.keys(data.tables).length > 0) {
+          this.refreshHistory();
+        }
+      }
+      return data;
+    },
+    async addTag() {
+      if (!this.newTagName.trim()) return;
+      try {
+        const data = await this.sendTagChange('POST', { tag: this.newTagName });
+        if (data.success) {
+          this.tagManagerMessage = `Added ${this.newTagName.trim()}`;
+          this.newTagName = '';
+        } else {
+          this.tagManagerError = data.error;
+        }
+      } catch (error) {
+        this.tagManagerError = error.message;
+      }
+    },
+    async renameTag(tag) {
+      const newName = prompt(`Rename "${tag}" to (use an existing tag to merge into it; Parent/Child paths are allowed):`, tag);
+      if (!newName || newName.trim() === tag) return;
+      try {
+        const data = await this.sendTagChange('PUT', { from: tag, to: newName });
+        if (data.success) {
+          this.tagManagerMessage = `${data.merged ? 'Merged' : 'Renamed'} ${tag} ${data.merged ? 'into' : 'to'} ${newName.trim()}; ${data.rowsUpdated} rows updated`;
+        } else {
+          this.tagManagerError = data.error;
+        }
+      } catch (error) {
+        this.tagManagerError = error.message;
+      }
+    },
+    async deleteTag(tag) {
+      if (!confirm(`Delete tag "${tag}" and its subcategories?`)) return;
+      try {
+        let data = await this.sendTagChange('DELETE', { tag });
+        // A tag still in use is only deleted after a second confirmation
+        if (!data.success && data.inUse) {
+          if (!confirm(`${data.error}. Delete it anyway and remove it from those rows?`)) return;
+          data = await this.sendTagChange('DELETE', { tag, force: true });
+        }
+        if (data.success) {
+          this.tagManagerMessage = `Deleted ${tag}${data.rowsUpdated > 0 ? `; ${data.rowsUpdated} rows untagged` : ''}`;
+        } else {
+          this.tagManagerError = data.error;
+        }
+      } catch (error) {
+        this.tagManagerError = error.message;
+      }
+    },
+    openTagRowsModal() {
+      if (!this.currentTable) return;
+      if (this.tags.length === 0) {
+        this.loadTags();
+      }
+      this.tagRowsExpression = '';
+      this.tagRowsTag = '';
+      this.tagRowsError = '';
+      this.showTagRowsModal = true;
+    },
+    closeTagRowsModal() {
+      this.showTagRowsModal = false;
+      this.tagRowsError = '';
+    },
+    async tagMatchingRows() {
+      if (!this.currentTable || !this.tagRowsExpression || !this.tagRowsTag) return;
+      this.tagRowsError = '';
+      
+      try {
+        const response = await fetch('/api/rows/tag', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            tableName: this.currentTable,
+            expression: this.tagRowsExpression,
+            tag: this.tagRowsTag
+          })
+        });
+        
+        const data = await response.json();
+        if (data.success) {
+          this.currentTableData = data.table;
+          this.tables[this.currentTable] = data.table;
+          this.$nextTick(() => {
+            this.updateTableWidth();
+          });
+          this.refreshHistory();
+          // Leave the tagged rows selected so they can be seen
+          this.selectedRowIndex = data.taggedRows.length > 0 ? data.taggedRows[0] : null;
+          this.selectedRowIndices = data.taggedRows;
+          this.showTagRowsModal = false;
+        } else {
+          this.tagRowsError = data.error || 'Failed to tag rows';
+        }
+      } catch (error) {
+        this.tagRowsError = error.message || 'Failed to tag rows';
+      }
+    },
     getFilteredTags() {
+      // Suggested tags come first, so Enter picks the best suggestion
+      const suggested = this.tagSuggestions.map(suggestion => suggestion.tag);
+      const allTags = [...suggested, ...this.tags.filter(tag => !suggested.includes(tag))];
       if (!this.tagFilter) {
-        return this.tags;
+        return allTags;
       }
+      // A hierarchical tag matches when any of its levels starts with the filter
       const filter = this.tagFilter.toLowerCase();
-      return this.tags.filter(tag => 
-        tag.toLowerCase().startsWith(filter)
+      return allTags.filter(tag => 
+        tag.toLowerCase().split('/').some(part => part.startsWith(filter))
       );
+    },
+    openNextImport() {
+      const tableName = Object.keys(this.pendingImports)[0];
+      if (!tableName) return;
+      
+      this.importTableName = tableName;
+      this.importTypes = {};
+      for (const col of this.pendingImports[tableName].schema) {
+        this.importTypes[col.name] = col.type;
+      }
+      this.importError = '';
+      this.showImportModal = true;
+    },
+    closeImportModal() {
+      // The import stays pending and is offered again on the next load
+      this.showImportModal = false;
+      this.importTableName = '';
+      this.importTypes = {};
+      this.importError = '';
+    },
+    getImportSamples(columnIndex) {
+      const pending = this.pendingImports[this.importTableName];
+      if (!pending) return '';
+      return pending.sample
+        .map(fields => fields[columnIndex])
+        .filter(value => value !== undefined && value !== '')
+        .join(', ');
+    },
+    async commitImport() {
+      const tableName = this.importTableName;
+      this.importError = '';
+      
+      try {
+        const response = await fetch('/api/imports/commit', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ tableName, types: this.importTypes })
+        });
+        const data = await response.json();
+        if (data.success) {
+          delete this.pendingImports[tableName];
+          this.tables[tableName] = data.table;
+          this.tableNames = Object.keys(this.tables);
+          if (!this.currentTable) {
+            this.currentTable = tableName;
+            this.onTableChange();
+          }
+          this.closeImportModal();
+          this.openNextImport();
+        } else {
+          this.importError = data.error || 'Import failed';
+        }
+      } catch (error) {
+        this.importError = error.message;
+      }
     }
   }
 }).mount('#app');
@@ -10,17 +10,44 @@
  * - 2026-01-02 16:23:48: Modified SUM function to throw error on out-of-bounds indices (previously returned 0)
  * - 2026-01-02 21:12:06: Verified comparison operators (<, >, =) - code is correct, operands are passed in correct order to _compareValues
  * - 2026-01-02 21:20:05: Fixed operator precedence - moved comparison evaluation before boolean operations so expressions like "Amount < 0 || Amount = 0" work correctly
+ * - 2026-10-19 09:12:40: Replaced the string-substitution ExpressionEvaluator with a tokenizer, precedence-climbing parser and AST interpreter so field values containing quotes, colons or operators no longer break evaluation; syntax errors report their position; the server starts only when run directly and exports the expression classes for the tests in test/ (npm test)
+ * - 2026-10-19 10:05:17: Added a compiled expression cache so DELETE_ROWS, ADD_COLUMN, SET_VALUE and the rules endpoints parse each expression once instead of once per row; command timings are written to main.log
+ * - 2026-10-19 11:02:33: CURR_ROW and field[offset] now use a row index passed in by every caller instead of searching the table for the row, which was quadratic and picked the wrong row when duplicate rows existed
+ * - 2026-10-19 12:20:05: Replaced line splitting + parseCSVLine with a streaming RFC 4180 reader (CSVRecordReader) so quoted fields with embedded newlines, a BOM and CRLF or LF line endings load correctly; saveTable now quotes values with leading/trailing whitespace so they reload unchanged; the DATA_DIR environment variable can point the data directory elsewhere
+ * - 2026-10-19 13:41:52: Files with untyped columns in the schema line get an inferred schema (INT, REAL, DATE or TEXT) that is logged and held in pendingImports until the user accepts or overrides it via /api/imports/commit
+ * - 2026-10-19 15:08:26: Added the DATE column type: values are parsed with configurable input formats (DATE_FORMATS) and stored as YYYY-MM-DD, so SORT_TABLE and comparisons are chronological; CONVERT_COLUMN converts TEXT to DATE; TODAY() returns YYYY-MM-DD
+ * - 2026-10-19 16:27:14: Added DATE_PARSE, DATE_FORMAT, WEEKDAY, DATE_ADD and DATE_DIFF; DAY, MONTH and YEAR take an optional date argument (no argument still means today)
+ * - 2026-10-19 17:45:09: Added exact DECIMAL(p,s) and MONEY column types saved at their declared scale; + - * and TOTAL, SUM, COLLAPSE_TABLE and GROUP_TABLE add in exact decimal; REAL values are saved at full precision instead of toFixed(1); values with more than p - s integer digits are rejected
+ * - 2026-10-19 19:02:31: Added per-table undo/redo history (HISTORY_DEPTH steps) for every /api/command command except SAVE_TABLE and for row add, update, delete and tag, with /api/undo, /api/redo and /api/history/:tableName; a step keeps only the changed cells, the row list if it changed and the schema, and reloading a table from disk clears its history; ADD_COLUMN and SET_VALUE leave the table unchanged when the expression fails on a row
+ * - 2026-10-19 20:14:52: Added preview (dry run) mode to DELETE_ROWS, SET_VALUE, REPLACE_TEXT and DROP_COLUMNS: params.preview returns the rows that would be deleted and the before/after values of changed cells without touching the table
+ * - 2026-10-19 21:06:38: Added the AUTO_TAG command, which tags rows with the first matching `condition -> Tag` (or `condition ? 'Tag' : tag`) rule of a rules file and reports per-rule match counts and the rows left untagged; /api/row/tag and AUTO_TAG share ensureTagColumn
+ * - 2026-10-19 22:10:45: Added /api/rows/tag, which tags a list of row indices or every row matching an expression in one undo step
+ * - 2026-10-19 23:04:19: Added /api/tags/suggest, which ranks tags for a row by comparing its Description (word overlap and merchant prefix) with already tagged rows of all loaded tables
+ * - 2026-10-20 09:15:02: commands.tag can nest categories by indentation or Parent/Child paths; /api/tags also returns the tag tree, and COLLAPSE_TABLE and GROUP_TABLE take a level to roll hierarchical tags in the tag group column up; TAG_COLUMN names the tag column for all tagging code
+ * - 2026-10-20 10:22:47: /api/tags accepts POST, PUT and DELETE to add, rename or merge, and delete tags; renames and forced deletes rewrite the tag of every loaded row that uses it, and deleting a tag in use needs force
+ * - 2026-10-20 11:31:26: Rows can carry several tags separated by ";": /api/row/tag and /api/rows/tag take mode add or remove, HAS_TAG(tag) and TAG_COUNT() test a row's tags, GROUP_TABLE can explode multi-tagged rows of the tag group column into each tag's group, and tag renames, deletes, suggestions and roll-ups work per tag
+ * - 2026-10-20 13:07:52: Added the SPLIT_ROW command, which replaces a row with child rows whose amounts add up to the original, each with its own tag and a shared split_of id linking it to the source row; every child must pass the table's CHECK rules
+ * - 2026-10-20 14:26:11: Added the MATCH_TRANSFERS command, which pairs rows of two account tables with equal and opposite amounts within a date window, marks both in a transfer column with a shared T<n> id and reports the rows left unmatched; the step is linked into both tables' histories, and undo is refused once either table has changed since; ensureTagColumn now uses ensureTextColumn
+ * - 2026-10-20 15:38:40: Added the DEDUPE_TABLE command, which finds exact duplicates or fuzzy ones (key columns equal, dates within a tolerance) and keeps the first or last row of each group or copies the groups to a new table for review; it supports preview
+ * - 2026-10-20 16:44:05: Added the RECONCILE command, which writes a running balance from an opening balance over a date range, reports the discrepancy with the closing balance and flags the first row where each bank balance column diverges (rows with a blank bank balance are skipped); rows outside the range get a blank (null) running balance, which saveTable writes as an empty field and expressions read as the column's empty value, so BLANK() detects it
+ * - 2026-10-20 18:02:37: GROUP_TABLE and COLLAPSE_TABLE group by several columns of any type and give each output column an aggregate (SUM, COUNT, AVG, MIN, MAX, FIRST, LAST, MEDIAN, COUNT_DISTINCT); roll-up and explode apply only to the tag group column, and aggregates other than SUM and the counts are blank (null) for a group with no values
+ * - 2026-10-20 19:20:14: Added PIVOT_TABLE, a cross-tab of one aggregate by a row key and a column key with a Total row and column, and UNPIVOT, which turns columns back into key and value rows; missing cells and the Total row's other key cells are blank (null), UNPIVOT keeps empty values blank unless dropEmpty, and a row key column named Total is rejected when totals are on
+ * - 2026-10-20 20:41:53: JOIN_TABLE takes a join type (inner, left, right, full, semi, anti), composite and differently named keys and column prefixes, joins every matching row instead of the first, and reports how many rows matched; the columns of the side without a match are blank (null), so BLANK() is true for them and arithmetic reads them as 0
+ * - 2026-10-20 22:08:36: JOIN_TABLE can match rows by a condition over both rows, whose field references may be qualified as left. and right., and by a date lying in a range of the other table
+ * - 2026-10-20 23:17:45: Added the LOOKUP(table, keyColumn, keyValue, returnColumn) and EXISTS(table, keyColumn, keyValue) expression functions, which search an index of the other table built once per command; the indexes are built when the expression is compiled, before the command changes any row, hold copies of only the key and return values, and are shared by all rows of a command or request through its single evaluator (SPLIT_ROW now checks every part with one evaluator)
  */
 
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const path = require('path');
 const bodyParser = require('body-parser');
 
 const app = express();
 const PORT = 3000;
-const DATA_DIR = path.join(__dirname, 'Data');
+// DATA_DIR can point elsewhere, e.g. at a temporary directory for the tests
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'Data');
 const MAIN_LOG = path.join(__dirname, 'main.log');
 const COMMANDS_LOG = path.join(DATA_DIR, 'commands.txt');
 
@@ -78,75 +105,247 @@ async function logError(message, error) {
 let tables = {};
 /** @type {boolean} */
 let commandLoggingEnabled = false;
+/**
+ * Tables loaded from files whose schema line has columns without a :TYPE suffix.
+ * They wait here, with their inferred schema, until the user accepts or overrides it.
+ * @type {Object<string, {file: string, header: Array<string>, records: Array<Array<string>>, schema: Array<{name: string, type: string}>}>}
+ */
+let pendingImports = {};
+/**
+ * Schemas the user has accepted for untyped files, keyed by file name,
+ * so reloading the same file does not ask again.
+ * @type {Object<string, {header: Array<string>, schema: Array<{name: string, type: string}>}>}
+ */
+let importSchemas = {};
+/**
+ * Undo and redo stacks for each table, keyed by table name.
+ * @type {Object<string, {undo: Array<Object>, redo: Array<Object>}>}
+ */
+let tableHistory = {};
 
 // ============================================================================
 // CSV Parsing Functions
 // ============================================================================
 
 /**
- * Parses a CSV line, handling quoted fields and escaped quotes.
- * Supports fields enclosed in double quotes with internal quotes escaped as "".
+ * Incremental RFC 4180 CSV reader.
+ * Feed it text with write() as it arrives and call end() once the input is exhausted;
+ * both return the records completed so far, each an array of field strings.
+ * 
+ * Handles:
+ * - Fields enclosed in double quotes, with internal quotes escaped as ""
+ * - Line breaks (CRLF, LF or CR) inside quoted fields
+ * - CRLF, LF and CR record separators, including a CRLF split across two chunks
+ * - A UTF-8 byte order mark at the start of the input
+ * 
+ * Unquoted fields are trimmed; quoted fields are kept exactly. Blank lines are skipped.
  * 
- * @param {string} line - The CSV line to parse
- * @returns {Array<string>} Array of field values
+ * @class CSVRecordReader
  */
-function parseCSVLine(line) {
-  const fields = [];
-  let current = '';
-  let inQuotes = false;
-  let i = 0;
+class CSVRecordReader {
+  constructor() {
+    this.state = 'fieldStart';
+    this.field = '';
+    this.fieldQuoted = false;
+    this.record = [];
+    this.recordHasContent = false;
+    this.pendingCR = false;
+    this.atStart = true;
+    this.line = 1;
+    this.quoteLine = 0;
+  }
   
-  while (i < line.length) {
-    const char = line[i];
+  /**
+   * Consumes a chunk of CSV text.
+   * @param {string} chunk - The next piece of the input
+   * @returns {Array<Array<string>>} Records completed by this chunk
+   */
+  write(chunk) {
+    const records = [];
     
-    if (char === '"') {
-      if (inQuotes && i + 1 < line.length && line[i + 1] === '"') {
-        // Escaped quote ("")
-        current += '"';
-        i += 2;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      
+      if (this.atStart) {
+        this.atStart = false;
+        if (char === '\uFEFF') continue;
+      }
+      
+      // Second half of a CRLF whose CR already ended the record
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+      
+      if (char === '\n') {
+        this.line++;
+      }
+      
+      if (this.state === 'quoted') {
+        if (char === '"') {
+          this.state = 'quoteInQuoted';
+        } else {
+          this.field += char;
+        }
         continue;
+      }
+      
+      if (this.state === 'quoteInQuoted') {
+        if (char === '"') {
+          // Escaped quote ("")
+          this.field += '"';
+          this.state = 'quoted';
+          continue;
+        }
+        // The previous quote closed the field
+        this.state = 'afterQuoted';
+      }
+      
+      if (this.state === 'fieldStart') {
+        if (char === '"') {
+          // Whitespace before the opening quote is not part of the field
+          this.field = '';
+          this.fieldQuoted = true;
+          this.recordHasContent = true;
+          this.quoteLine = this.line;
+          this.state = 'quoted';
+          continue;
+        }
+        if (char === ' ' || char === '\t') {
+          this.field += char;
+          continue;
+        }
+        this.state = 'unquoted';
+      }
+      
+      // Unquoted field, or the text following a closing quote
+      if (char === ',') {
+        this.recordHasContent = true;
+        this._endField();
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r') {
+          this.line++;
+          this.pendingCR = true;
+        }
+        const record = this._endRecord();
+        if (record) records.push(record);
+      } else if (this.state === 'afterQuoted' && (char === ' ' || char === '\t')) {
+        // Whitespace between a closing quote and the separator is dropped
       } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-        i++;
-        continue;
+        if (char !== ' ' && char !== '\t') {
+          this.recordHasContent = true;
+        }
+        this.field += char;
       }
     }
     
-    if (char === ',' && !inQuotes) {
-      // Field separator
-      fields.push(current.trim());
-      current = '';
-      i++;
-      continue;
+    return records;
+  }
+  
+  /**
+   * Signals the end of the input.
+   * @returns {Array<Array<string>>} The last record, if the input did not end with a line break
+   * @throws {Error} If a quoted field was never closed
+   */
+  end() {
+    if (this.state === 'quoted') {
+      throw new Error(`Unterminated quoted field starting at line ${this.quoteLine}`);
     }
-    
-    current += char;
-    i++;
+    const record = this._endRecord();
+    return record ? [record] : [];
+  }
+  
+  /**
+   * Appends the current field to the current record.
+   * @private
+   */
+  _endField() {
+    this.record.push(this.fieldQuoted ? this.field : this.field.trim());
+    this.field = '';
+    this.fieldQuoted = false;
+    this.state = 'fieldStart';
   }
   
-  // Add the last field
-  fields.push(current.trim());
+  /**
+   * Finishes the current record.
+   * @private
+   * @returns {Array<string>|null} The record, or null for a blank line
+   */
+  _endRecord() {
+    this._endField();
+    const record = this.recordHasContent ? this.record : null;
+    this.record = [];
+    this.recordHasContent = false;
+    return record;
+  }
+}
+
+/**
+ * Streams a CSV file through CSVRecordReader.
+ * 
+ * @param {string} filePath - Path of the CSV file
+ * @returns {Promise<Array<Array<string>>>} The records of the file, schema line first
+ * @throws {Error} If the file cannot be read or has an unterminated quoted field
+ */
+async function readCSVFile(filePath) {
+  const reader = new CSVRecordReader();
+  const records = [];
+  const stream = createReadStream(filePath, { encoding: 'utf-8' });
   
-  return fields;
+  for await (const chunk of stream) {
+    records.push(...reader.write(chunk));
+  }
+  records.push(...reader.end());
+  
+  return records;
+}
+
+/**
+ * Normalizes a declared column type: upper case, no whitespace ("decimal(12, 2)" → "DECIMAL(12,2)").
+ * 
+ * @param {string} type - The declared type
+ * @returns {string} The normalized type
+ */
+function normalizeColumnType(type) {
+  return String(type).toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Rejoins schema line fields that were split at the comma inside DECIMAL(p,s)
+ * because the field was not quoted, e.g. ["Amount:DECIMAL(12", "2)"] → ["Amount:DECIMAL(12,2)"].
+ * 
+ * @param {Array<string>} columns - The fields of the schema line
+ * @returns {Array<string>} The fields with type parameters rejoined
+ */
+function joinTypeParameters(columns) {
+  const joined = [];
+  for (const col of columns) {
+    const last = joined[joined.length - 1];
+    if (last !== undefined && last.includes('(') && !last.includes(')')) {
+      joined[joined.length - 1] = `${last},${col}`;
+    } else {
+      joined.push(col);
+    }
+  }
+  return joined;
 }
 
 /**
  * Parses the schema line from a CSV file.
  * Format: "columnName:columnType,columnName2:columnType2,..."
- * If no type is specified, defaults to TEXT.
+ * If no type is specified, defaults to TEXT. DECIMAL(p,s) types contain a comma, so
+ * their field is quoted ("Amount:DECIMAL(12,2)"); see joinTypeParameters for unquoted ones.
  * 
- * @param {string} firstLine - The first line of the CSV file containing schema
+ * @param {Array<string>} columns - The fields of the first record of the CSV file
  * @returns {Array<{name: string, type: string}>} Array of column definitions
  */
-function parseSchema(firstLine) {
-  const columns = parseCSVLine(firstLine);
+function parseSchema(columns) {
   const schema = [];
   
   for (const col of columns) {
     const parts = col.split(':');
     const name = parts[0].trim();
-    const type = parts.length > 1 ? parts[1].trim().toUpperCase() : 'TEXT';
+    const type = parts.length > 1 ? normalizeColumnType(parts[1]) : 'TEXT';
     schema.push({ name, type });
   }
   
@@ -168,12 +367,219 @@ function cleanRealValue(value) {
 }
 
 /**
- * Parses a value according to its type (TEXT, INT, or REAL).
+ * Date input formats tried, in order, when a value is read into a DATE column.
+ * Set DATE_FORMATS (comma-separated, e.g. "D/M/YYYY,YYYY-MM-DD") to override.
+ * Tokens: YYYY, YY, MMM (Jan, Feb, ...), MM or M, DD or D; other characters must match literally.
+ * @type {Array<string>}
+ */
+const DATE_INPUT_FORMATS = process.env.DATE_FORMATS
+  ? process.env.DATE_FORMATS.split(',').map(f => f.trim()).filter(f => f !== '')
+  : ['M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD', 'YYYY/MM/DD'];
+
+/** Storage form of DATE values; these strings sort and compare chronologically. */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const MONTH_ABBREVIATIONS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/** @type {Map<string, {regex: RegExp, parts: Array<string>}>} */
+const compiledDateFormats = new Map();
+
+/**
+ * Compiles a date format such as "M/D/YYYY" into a regular expression.
+ * 
+ * @param {string} format - The date format
+ * @returns {{regex: RegExp, parts: Array<string>}} The regex and the token captured by each group
+ */
+function compileDateFormat(format) {
+  let compiled = compiledDateFormats.get(format);
+  if (compiled) return compiled;
+  
+  const parts = [];
+  let source = '';
+  let lastIndex = 0;
+  const tokenPattern = /YYYY|YY|MMM|MM|M|DD|D/g;
+  let match;
+  while ((match = tokenPattern.exec(format)) !== null) {
+    source += format.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const token = match[0];
+    parts.push(token);
+    if (token === 'YYYY') source += '(\\d{4})';
+    else if (token === 'YY') source += '(\\d{2})';
+    else if (token === 'MMM') source += '([A-Za-z]{3})';
+    else source += '(\\d{1,2})';
+    lastIndex = tokenPattern.lastIndex;
+  }
+  source += format.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  
+  compiled = { regex: new RegExp(`^${source}$`), parts };
+  compiledDateFormats.set(format, compiled);
+  return compiled;
+}
+
+/**
+ * Formats a year, month and day as a stored DATE value (YYYY-MM-DD).
+ * 
+ * @param {number} year - Full year
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of the month
+ * @returns {string} The ISO date
+ */
+function toISODate(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a date written in one of the given formats.
+ * YYYY-MM-DD is always accepted, so saved tables load back whatever formats are configured.
+ * Two-digit years below 70 are in the 2000s, the others in the 1900s.
+ * 
+ * @param {string} value - The date text
+ * @param {Array<string>} [formats] - Formats to try in order (defaults to DATE_INPUT_FORMATS)
+ * @returns {string|null} The date as YYYY-MM-DD, or null if the value is not a valid date
+ */
+function parseDate(value, formats = DATE_INPUT_FORMATS) {
+  const text = String(value).trim();
+  
+  for (const format of [...formats, 'YYYY-MM-DD']) {
+    const { regex, parts } = compileDateFormat(format);
+    const match = text.match(regex);
+    if (!match) continue;
+    
+    let year = NaN, month = NaN, day = NaN;
+    parts.forEach((token, i) => {
+      const field = match[i + 1];
+      if (token === 'YYYY') year = Number(field);
+      else if (token === 'YY') year = Number(field) < 70 ? 2000 + Number(field) : 1900 + Number(field);
+      else if (token === 'MMM') month = MONTH_ABBREVIATIONS.indexOf(field.toUpperCase()) + 1;
+      else if (token[0] === 'M') month = Number(field);
+      else day = Number(field);
+    });
+    
+    if (month < 1 || month > 12 || day < 1) continue;
+    // Day 0 of the next month is the last day of this month
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day > daysInMonth) continue;
+    
+    return toISODate(year, month, day);
+  }
+  
+  return null;
+}
+
+/**
+ * Formats a stored DATE value (YYYY-MM-DD) using the same tokens as the input formats.
+ * 
+ * @param {string} isoDate - The date as YYYY-MM-DD
+ * @param {string} format - The output format, e.g. "YYYY-MM" or "MMM D, YYYY"
+ * @returns {string} The formatted date
+ */
+function formatDate(isoDate, format) {
+  const [, year, month, day] = isoDate.match(ISO_DATE_PATTERN).map(Number);
+  
+  return format.replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => {
+    switch (token) {
+      case 'YYYY': return String(year).padStart(4, '0');
+      case 'YY': return String(year % 100).padStart(2, '0');
+      case 'MMM': return MONTH_ABBREVIATIONS[month - 1][0] + MONTH_ABBREVIATIONS[month - 1].slice(1).toLowerCase();
+      case 'MM': return String(month).padStart(2, '0');
+      case 'M': return String(month);
+      case 'DD': return String(day).padStart(2, '0');
+      default: return String(day);
+    }
+  });
+}
+
+/**
+ * Normalizes a date unit name: DAY(S), WEEK(S), MONTH(S) or YEAR(S), case-insensitive.
+ * 
+ * @param {string} unit - The unit name (defaults to DAY when empty)
+ * @returns {string} DAY, WEEK, MONTH or YEAR
+ * @throws {Error} If the unit is not recognized
+ */
+function normalizeDateUnit(unit) {
+  const name = String(unit || 'DAY').toUpperCase().replace(/S$/, '');
+  if (!['DAY', 'WEEK', 'MONTH', 'YEAR'].includes(name)) {
+    throw new Error(`Unknown date unit: ${unit}. Use DAY, WEEK, MONTH or YEAR`);
+  }
+  return name;
+}
+
+/**
+ * Adds a number of days, weeks, months or years to a date.
+ * Adding months or years keeps the day of the month where possible and otherwise
+ * uses the last day of the target month (2025-01-31 + 1 MONTH = 2025-02-28).
+ * 
+ * @param {string} isoDate - The date as YYYY-MM-DD
+ * @param {number} amount - Number of units to add (may be negative)
+ * @param {string} unit - DAY, WEEK, MONTH or YEAR
+ * @returns {string} The resulting date as YYYY-MM-DD
+ */
+function addToDate(isoDate, amount, unit) {
+  const [, year, month, day] = isoDate.match(ISO_DATE_PATTERN).map(Number);
+  
+  if (unit === 'DAY' || unit === 'WEEK') {
+    const days = unit === 'WEEK' ? amount * 7 : amount;
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return toISODate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+  }
+  
+  const months = unit === 'YEAR' ? amount * 12 : amount;
+  const monthIndex = year * 12 + (month - 1) + months;
+  const targetYear = Math.floor(monthIndex / 12);
+  const targetMonth = monthIndex - targetYear * 12 + 1;
+  const daysInMonth = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
+  return toISODate(targetYear, targetMonth, Math.min(day, daysInMonth));
+}
+
+/**
+ * Counts the whole days, weeks, months or years from date b to date a (a - b).
+ * Partial units are dropped: from 2025-01-31 to 2025-02-27 is 0 months, to 2025-02-28 is 1 month.
+ * 
+ * @param {string} a - The later date as YYYY-MM-DD (the result is negative if it is earlier)
+ * @param {string} b - The earlier date as YYYY-MM-DD
+ * @param {string} unit - DAY, WEEK, MONTH or YEAR
+ * @returns {number} The number of whole units
+ */
+function dateDifference(a, b, unit) {
+  const [, yearA, monthA, dayA] = a.match(ISO_DATE_PATTERN).map(Number);
+  const [, yearB, monthB, dayB] = b.match(ISO_DATE_PATTERN).map(Number);
+  
+  if (unit === 'DAY' || unit === 'WEEK') {
+    const days = Math.round((Date.UTC(yearA, monthA - 1, dayA) - Date.UTC(yearB, monthB - 1, dayB)) / 86400000);
+    return unit === 'WEEK' ? Math.trunc(days / 7) : days;
+  }
+  
+  let months = (yearA - yearB) * 12 + (monthA - monthB);
+  // Drop the last month if it is not complete. The last day of a month completes it,
+  // matching DATE_ADD (2025-01-31 + 1 MONTH = 2025-02-28).
+  const lastDayA = new Date(Date.UTC(yearA, monthA, 0)).getUTCDate();
+  if (months > 0 && dayA < dayB && dayA !== lastDayA) months--;
+  if (months < 0 && dayA > dayB) months++;
+  return unit === 'YEAR' ? Math.trunc(months / 12) : months;
+}
+
+/**
+ * Checks whether a cell value is blank: empty text, null (a cell left blank, such as the
+ * running balance RECONCILE leaves out), or 0, which is what an empty numeric field loads as.
+ * 
+ * @param {*} value - The value
+ * @returns {boolean}
+ */
+function isBlankValue(value) {
+  return value === '' || value === null || value === undefined || value === 0;
+}
+
+/**
+ * Parses a value according to its type (TEXT, INT, REAL or DATE).
  * Handles type conversion and default values.
+ * DATE values are stored as YYYY-MM-DD; text that is not a date in a configured format becomes ''.
+ * DECIMAL(p,s) and MONEY values are cleaned like REAL and rounded to the column's scale;
+ * a value with more than p - s digits before the decimal point does not fit and is rejected.
  * 
  * @param {string} value - The raw value string
- * @param {string} type - The column type (TEXT, INT, or REAL)
+ * @param {string} type - The column type (TEXT, INT, REAL, DATE, DECIMAL(p,s) or MONEY)
  * @returns {string|number} Parsed value according to type
+ * @throws {Error} If a DECIMAL(p,s) or MONEY value overflows the precision
  */
 function parseValue(value, type) {
   if (value === '' || value === null || value === undefined) {
@@ -181,8 +587,21 @@ function parseValue(value, type) {
       case 'INT': return 0;
       case 'REAL': return 0.0;
       case 'TEXT': return '';
-      default: return '';
+      case 'DATE': return '';
+      default: return parseDecimalType(type) ? 0 : '';
+    }
+  }
+  
+  const decimalType = parseDecimalType(type);
+  if (decimalType) {
+    const decimalVal = parseFloat(cleanRealValue(String(value)));
+    if (isNaN(decimalVal)) return 0;
+    // Rounding first, so 999.995 does not fit DECIMAL(5,2) either
+    const rounded = roundToScale(decimalVal, decimalType.scale);
+    if (Math.abs(rounded) >= Math.pow(10, decimalType.precision - decimalType.scale)) {
+      throw new Error(`Value ${value} does not fit ${type}`);
     }
+    return rounded;
   }
   
   switch (type) {
@@ -193,6 +612,8 @@ function parseValue(value, type) {
       const cleaned = cleanRealValue(String(value));
       const realVal = parseFloat(cleaned);
       return isNaN(realVal) ? 0.0 : realVal;
+    case 'DATE':
+      return parseDate(value) || '';
     case 'TEXT':
       return String(value);
     default:
@@ -200,9 +621,172 @@ function parseValue(value, type) {
   }
 }
 
+/**
+ * Validates a value entered for a cell by /api/row/add, /api/row/validate or /api/row/update
+ * and converts it to the column's type. Unlike parseValue, which reads file values leniently,
+ * it rejects numbers that do not parse, DECIMAL(p,s) and MONEY values that overflow the
+ * precision, and text that is not a date in a configured format.
+ * 
+ * @param {{name: string, type: string}} col - The column
+ * @param {*} value - The entered value
+ * @returns {{success: boolean, value?: string|number}} The converted value, or success false if the value does not fit the column
+ */
+function validateCellValue(col, value) {
+  if (col.type === 'INT') {
+    const intVal = parseInt(value, 10);
+    if (isNaN(intVal) || !Number.isInteger(parseFloat(value))) {
+      return { success: false };
+    }
+    return { success: true, value: intVal };
+  }
+  
+  if (col.type === 'REAL') {
+    const realVal = parseFloat(value);
+    return isNaN(realVal) ? { success: false } : { success: true, value: realVal };
+  }
+  
+  if (parseDecimalType(col.type)) {
+    if (isNaN(parseFloat(cleanRealValue(String(value))))) {
+      return { success: false };
+    }
+    try {
+      // parseValue rounds to the scale and rejects values that overflow the precision
+      return { success: true, value: parseValue(value, col.type) };
+    } catch {
+      return { success: false };
+    }
+  }
+  
+  if (col.type === 'DATE') {
+    // An empty DATE is allowed, like an empty TEXT value
+    const dateVal = value === '' || value === null || value === undefined ? '' : parseDate(value);
+    return dateVal === null ? { success: false } : { success: true, value: dateVal };
+  }
+  
+  return { success: true, value: String(value || '') };
+}
+
+/** Column types a CSV schema line may declare, besides DECIMAL(p,s). */
+const COLUMN_TYPES = ['TEXT', 'INT', 'REAL', 'DATE', 'MONEY'];
+
+/**
+ * Checks whether a (normalized) column type is supported.
+ * 
+ * @param {string} type - The column type
+ * @returns {boolean} True for TEXT, INT, REAL, DATE, MONEY and valid DECIMAL(p,s) types
+ */
+function isValidColumnType(type) {
+  return COLUMN_TYPES.includes(type) || parseDecimalType(type) !== null;
+}
+
+/** Number of non-empty values per column examined by type inference. */
+const INFERENCE_SAMPLE_SIZE = 500;
+
+/**
+ * Checks whether a schema line field carries an explicit :TYPE suffix.
+ * 
+ * @param {string} column - A field of the schema line, e.g. "Amount:REAL"
+ * @returns {boolean} True if the column declares its type
+ */
+function hasTypeSuffix(column) {
+  return column.includes(':');
+}
+
+/**
+ * Proposes a type for a column from a sample of its raw values.
+ * Empty values are ignored. A type is only proposed if every sampled value fits it:
+ * - INT: plain integers ("42", "-7")
+ * - REAL: numbers, including currency strings ("-13,955.00", "$1,485.23"), cleaned
+ *   the same way as cleanRealValue and CONVERT_COLUMN
+ * - DATE: dates in one of the configured input formats (see parseDate)
+ * Anything else, including numbers with leading zeros (account numbers, ZIP codes), is TEXT.
+ * 
+ * @param {Array<string>} values - Raw values of the column
+ * @returns {string} The proposed column type
+ */
+function inferColumnType(values) {
+  const sample = [];
+  for (const value of values) {
+    if (value === undefined || value === '') continue;
+    sample.push(value);
+    if (sample.length >= INFERENCE_SAMPLE_SIZE) break;
+  }
+  
+  if (sample.length === 0) return 'TEXT';
+  
+  const isNumeric = v => /^[+-]?(\d+\.?\d*|\.\d+)$/.test(v) && !/^[+-]?0\d/.test(v);
+  
+  if (sample.every(v => /^[+-]?\d+$/.test(v) && isNumeric(v))) return 'INT';
+  if (sample.every(v => isNumeric(v.replace(/[$,\s]/g, '')))) return 'REAL';
+  if (sample.every(v => parseDate(v) !== null)) return 'DATE';
+  return 'TEXT';
+}
+
+/**
+ * Builds a schema for a CSV file whose schema line has untyped columns.
+ * Columns with an explicit :TYPE keep it; the others get an inferred type.
+ * 
+ * @param {Array<string>} header - The fields of the schema line
+ * @param {Array<Array<string>>} records - The data records of the file
+ * @returns {Array<{name: string, type: string}>} The proposed schema
+ */
+function inferSchema(header, records) {
+  const declared = parseSchema(header);
+  
+  return declared.map((col, j) => {
+    if (hasTypeSuffix(header[j])) return col;
+    return { name: col.name, type: inferColumnType(records.map(fields => fields[j])) };
+  });
+}
+
+/**
+ * Converts CSV data records into row objects for a schema.
+ * Missing fields are padded with empty values and extra fields are dropped.
+ * 
+ * @param {Array<Array<string>>} records - The data records (schema line excluded)
+ * @param {Array<{name: string, type: string}>} schema - The table schema
+ * @returns {Array<Object>} The parsed rows
+ * @throws {Error} If a DECIMAL(p,s) or MONEY value overflows its column's precision
+ */
+function recordsToRows(records, schema) {
+  const rows = [];
+  
+  for (let i = 0; i < records.length; i++) {
+    const fields = records[i];
+    const row = {};
+    
+    for (let j = 0; j < schema.length; j++) {
+      const col = schema[j];
+      const value = j < fields.length ? fields[j] : '';
+      try {
+        row[col.name] = parseValue(value, col.type);
+      } catch (error) {
+        throw new Error(`Row ${i + 1}, column ${col.name}: ${error.message}`);
+      }
+    }
+    
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Formats a schema as a schema line, e.g. "Date:DATE,Amount:REAL".
+ * 
+ * @param {Array<{name: string, type: string}>} schema - The schema
+ * @returns {string} The schema line
+ */
+function formatSchema(schema) {
+  return schema.map(col => `${col.name}:${col.type}`).join(',');
+}
+
 /**
  * Loads all CSV files from the Data directory.
  * Preserves in-memory tables (like copied tables) that don't have files on disk.
+ * Files whose schema line has columns without a :TYPE suffix get an inferred schema
+ * and are held in pendingImports until the user commits them (see commitImport),
+ * unless a schema was already accepted for the same file and header.
  * 
  * @param {boolean} resetTables - If true, clears all tables before loading
  * @returns {Promise<{success: boolean, tables?: Object, error?: string}>}
@@ -218,7 +802,8 @@ async function loadCSVFiles(resetTables = false) {
       const expectedFile = path.join(DATA_DIR, table.originalFile);
       try {
         await fs.access(expectedFile);
-        // File exists, will be reloaded from disk
+        // File exists, will be reloaded from disk; its undo steps refer to the replaced table
+        delete tableHistory[name];
       } catch {
         // File doesn't exist, preserve this in-memory table
         inMemoryTables[name] = table;
@@ -229,9 +814,12 @@ async function loadCSVFiles(resetTables = false) {
   // Reset tables if requested, otherwise start with in-memory tables
   if (resetTables) {
     tables = {};
+    importSchemas = {};
+    tableHistory = {};
   } else {
     tables = inMemoryTables;
   }
+  pendingImports = {};
   
   try {
     const files = await fs.readdir(DATA_DIR);
@@ -239,34 +827,50 @@ async function loadCSVFiles(resetTables = false) {
     
     for (const file of csvFiles) {
       const filePath = path.join(DATA_DIR, file);
-      const content = await fs.readFile(filePath, 'utf-8');
-      const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+      let records;
+      try {
+        records = await readCSVFile(filePath);
+      } catch (error) {
+        // Skip the malformed file but keep loading the others
+        await logError(`Failed to read CSV file ${file}`, error);
+        continue;
+      }
       
-      if (lines.length === 0) continue;
+      if (records.length === 0) continue;
       
-      const schema = parseSchema(lines[0]);
+      const header = joinTypeParameters(records[0]);
+      const dataRecords = records.slice(1);
       // Strip .csv/.CSV extension from filename to get table name (case-insensitive)
       const fileName = path.basename(file);
       const tableName = fileName.replace(/\.(csv|CSV)$/i, '');
-      const rows = [];
+      let schema;
       
-      for (let i = 1; i < lines.length; i++) {
-        const fields = parseCSVLine(lines[i]);
-        const row = {};
-        
-        for (let j = 0; j < schema.length; j++) {
-          const col = schema[j];
-          let value = j < fields.length ? fields[j] : '';
-          // Remove surrounding quotes if present
-          if (value.startsWith('"') && value.endsWith('"')) {
-            value = value.slice(1, -1).replace(/""/g, '"');
-          }
-          value = parseValue(value, col.type);
-          row[col.name] = value;
-        }
-        
-        // Truncate extra columns
-        rows.push(row);
+      // Undo steps of a table this file replaces (even one deleted since) no longer apply
+      delete tableHistory[tableName];
+      
+      if (header.every(hasTypeSuffix)) {
+        schema = parseSchema(header);
+      } else if (importSchemas[file] && importSchemas[file].header.join(',') === header.join(',')) {
+        schema = importSchemas[file].schema;
+      } else {
+        schema = inferSchema(header, dataRecords);
+        pendingImports[tableName] = { file, header, records: dataRecords, schema };
+        await logAction(`Inferred schema for ${file}: ${formatSchema(schema)} (awaiting confirmation)`);
+        continue;
+      }
+      
+      const invalidCol = schema.find(col => /^DECIMAL\b/.test(col.type) && !parseDecimalType(col.type));
+      if (invalidCol) {
+        await logError(`Failed to load ${file}`, `Invalid type ${invalidCol.type} for column ${invalidCol.name}: use DECIMAL(p,s) with 1 <= p <= ${MAX_DECIMAL_PRECISION} and s <= p`);
+        continue;
+      }
+      
+      let rows;
+      try {
+        rows = recordsToRows(dataRecords, schema);
+      } catch (error) {
+        await logError(`Failed to load ${file}`, error);
+        continue;
       }
       
       tables[tableName] = {
@@ -285,363 +889,989 @@ async function loadCSVFiles(resetTables = false) {
   }
 }
 
-// ============================================================================
-// Expression Evaluator
-// ============================================================================
+/**
+ * Summarizes the pending imports for the client: the proposed schema and the first few rows.
+ * 
+ * @returns {Object<string, {file: string, schema: Array<{name: string, type: string}>, rowCount: number, sample: Array<Array<string>>}>}
+ */
+function describePendingImports() {
+  const imports = {};
+  for (const [tableName, pending] of Object.entries(pendingImports)) {
+    imports[tableName] = {
+      file: pending.file,
+      schema: pending.schema,
+      rowCount: pending.records.length,
+      sample: pending.records.slice(0, 5)
+    };
+  }
+  return imports;
+}
 
 /**
- * Evaluates augmented expressions with support for:
- * - Arithmetic operations (+, -, *, /, ^)
- * - Unary minus (-expression)
- * - Boolean operations (&&, ||, !)
- * - Comparisons (<, =, >, !=)
- * - Conditional expressions (condition ? trueValue : falseValue)
- * - Special functions (BLANK, TODAY, DAY, MONTH, YEAR, NOW, LENGTH, APPEND, UPPER, TOTAL, REGEXP, CURR_ROW, NUM_ROWS, SUM, REPLACE)
- * - Field references and constants
+ * Commits a pending import as a table, using the inferred schema or the user's overrides.
+ * The accepted schema is remembered for the file so later reloads do not ask again.
  * 
- * @class ExpressionEvaluator
+ * @param {string} tableName - Name of the pending table
+ * @param {Object<string, string>} [types] - Column types overriding the inferred ones, by column name
+ * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
  */
-class ExpressionEvaluator {
-  constructor(row, tables, currentTable) {
-    this.row = row;
-    this.tables = tables;
-    this.currentTable = currentTable;
+async function commitImport(tableName, types = {}) {
+  const pending = pendingImports[tableName];
+  if (!pending) {
+    return { success: false, error: `No pending import for table ${tableName}` };
   }
   
-  evaluate(expression) {
-    if (!expression || expression.trim() === '') {
-      throw new Error('Empty expression');
+  for (const [name, type] of Object.entries(types)) {
+    if (!pending.schema.some(col => col.name === name)) {
+      return { success: false, error: `Column ${name} not found` };
     }
-    
-    const trimmedExpr = expression.trim();
-    
-    // Validate syntax before evaluation
-    this._validateSyntax(trimmedExpr);
-    
-    try {
-      return this._evaluateExpression(trimmedExpr);
-    } catch (error) {
-      // If it's already a well-formed error, re-throw it
-      if (error.message.includes('Syntax error') || 
-          error.message.includes('Type mismatch') ||
-          error.message.includes('Expression evaluation error')) {
-        throw error;
-      }
-      // Otherwise, wrap it with context
-      throw new Error(`Expression evaluation error: ${error.message}`);
+    if (!isValidColumnType(normalizeColumnType(type))) {
+      return { success: false, error: `Invalid column type for ${name}: ${type}` };
+    }
+  }
+  
+  const schema = pending.schema.map(col => ({
+    name: col.name,
+    type: types[col.name] ? normalizeColumnType(types[col.name]) : col.type
+  }));
+  const overridden = schema.some((col, j) => col.type !== pending.schema[j].type);
+  
+  let rows;
+  try {
+    rows = recordsToRows(pending.records, schema);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+  
+  tables[tableName] = {
+    schema,
+    rows,
+    originalFile: pending.file
+  };
+  importSchemas[pending.file] = { header: pending.header, schema };
+  delete pendingImports[tableName];
+  
+  await logAction(`Committed import of ${pending.file} as table ${tableName} with ${overridden ? 'overridden' : 'inferred'} schema: ${formatSchema(schema)}`);
+  return { success: true, table: serializeTable(tables[tableName]) };
+}
+
+// ============================================================================
+// Exact Decimal Arithmetic
+// ============================================================================
+
+/**
+ * Largest precision a DECIMAL column may declare. Up to 15 significant digits a
+ * JavaScript number holds a decimal value exactly enough to print it back unchanged.
+ */
+const MAX_DECIMAL_PRECISION = 15;
+
+/** Precision and scale of the MONEY type. */
+const MONEY_TYPE = { precision: 15, scale: 2 };
+
+/**
+ * Reads the precision and scale of a DECIMAL(p,s) or MONEY column type.
+ * 
+ * @param {string} type - The column type
+ * @returns {{precision: number, scale: number}|null} Null if the type is not a valid decimal type
+ */
+function parseDecimalType(type) {
+  if (type === 'MONEY') return MONEY_TYPE;
+  
+  const match = typeof type === 'string' && type.match(/^DECIMAL\((\d+),(\d+)\)$/);
+  if (!match) return null;
+  
+  const precision = Number(match[1]);
+  const scale = Number(match[2]);
+  if (precision < 1 || precision > MAX_DECIMAL_PRECISION || scale > precision) return null;
+  return { precision, scale };
+}
+
+/**
+ * Checks whether a column type holds numbers: INT, REAL, DECIMAL(p,s) or MONEY.
+ * 
+ * @param {string} type - The column type
+ * @returns {boolean}
+ */
+function isNumericType(type) {
+  return type === 'INT' || type === 'REAL' || parseDecimalType(type) !== null;
+}
+
+/**
+ * Counts the digits after the decimal point in the shortest representation of a number.
+ * 
+ * @param {number} num - The number
+ * @returns {number} The number of decimal places, Infinity for exponent notation with a fraction
+ */
+function decimalPlaces(num) {
+  const str = String(num);
+  if (str.includes('e')) {
+    return /e\+/.test(str) ? 0 : Infinity;
+  }
+  const point = str.indexOf('.');
+  return point === -1 ? 0 : str.length - point - 1;
+}
+
+/**
+ * Scales a number by a power of ten by moving its decimal point, which, unlike
+ * multiplying, does not pick up binary rounding errors (1.005 → 100.5, not 100.49999999999999).
+ * 
+ * @param {number} num - The number
+ * @param {number} places - Power of ten (may be negative)
+ * @returns {number} num × 10^places
+ */
+function shiftDecimal(num, places) {
+  const str = String(num);
+  if (str.includes('e')) return num * Math.pow(10, places);
+  return Number(`${str}e${places}`);
+}
+
+/**
+ * Rounds a number to a number of decimal places, halves away from zero.
+ * 
+ * @param {number} num - The number
+ * @param {number} scale - Decimal places to keep
+ * @returns {number} The rounded number
+ */
+function roundToScale(num, scale) {
+  if (!isFinite(num) || decimalPlaces(num) <= scale) return num;
+  const units = Math.sign(num) * Math.round(Math.abs(shiftDecimal(num, scale)));
+  return shiftDecimal(units, -scale);
+}
+
+/**
+ * Adds two numbers exactly in decimal, as long as the scaled operands fit in a safe integer
+ * (0.1 + 0.2 = 0.3, -1485.23 + -269.34 = -1754.57). Otherwise falls back to floating point.
+ * 
+ * @param {number} a - First addend
+ * @param {number} b - Second addend
+ * @returns {number} The sum
+ */
+function exactAdd(a, b) {
+  const places = Math.max(decimalPlaces(a), decimalPlaces(b));
+  if (places === 0 || places > MAX_DECIMAL_PRECISION) return a + b;
+  
+  const units = shiftDecimal(a, places) + shiftDecimal(b, places);
+  if (!Number.isSafeInteger(units)) return a + b;
+  return shiftDecimal(units, -places);
+}
+
+/**
+ * Multiplies two numbers exactly in decimal, as long as the scaled product fits in a safe integer
+ * (1.1 * 3 = 3.3). Otherwise falls back to floating point.
+ * 
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {number} The product
+ */
+function exactMultiply(a, b) {
+  const places = decimalPlaces(a) + decimalPlaces(b);
+  if (places === 0 || places > MAX_DECIMAL_PRECISION) return a * b;
+  
+  const units = shiftDecimal(a, decimalPlaces(a)) * shiftDecimal(b, decimalPlaces(b));
+  if (!Number.isSafeInteger(units)) return a * b;
+  return shiftDecimal(units, -places);
+}
+
+/**
+ * Sums numeric column values exactly. Values that are not numbers are skipped.
+ * For DECIMAL and MONEY columns the total is rounded to the column's scale.
+ * 
+ * @param {Array<*>} values - The column values
+ * @param {string} type - The column type
+ * @returns {number} The total
+ */
+function sumColumnValues(values, type) {
+  let total = 0;
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    const num = parseFloat(value);
+    if (!isNaN(num)) {
+      total = exactAdd(total, num);
     }
   }
   
+  const decimalType = parseDecimalType(type);
+  return decimalType ? roundToScale(total, decimalType.scale) : total;
+}
+
+// ============================================================================
+// Expression Lexer and Parser
+// ============================================================================
+
+/**
+ * Binary operators of the augmented expression language, with their
+ * precedence (higher binds tighter) and associativity.
+ * The NOT operator (!) sits between && and the comparisons, see NOT_PRECEDENCE.
+ * @type {Object<string, {precedence: number, rightAssoc: boolean}>}
+ */
+const BINARY_OPERATORS = {
+  '||': { precedence: 1, rightAssoc: false },
+  '&&': { precedence: 2, rightAssoc: false },
+  '<': { precedence: 4, rightAssoc: false },
+  '>': { precedence: 4, rightAssoc: false },
+  '=': { precedence: 4, rightAssoc: false },
+  '!=': { precedence: 4, rightAssoc: false },
+  '+': { precedence: 5, rightAssoc: false },
+  '-': { precedence: 5, rightAssoc: false },
+  '*': { precedence: 6, rightAssoc: false },
+  '/': { precedence: 6, rightAssoc: false },
+  '^': { precedence: 7, rightAssoc: true }
+};
+
+/** Precedence of the operand of "!", so that "!a = b" means "!(a = b)". */
+const NOT_PRECEDENCE = 4;
+
+/**
+ * Splits an augmented expression into tokens.
+ * Positions are 1-based character offsets into the original expression and are
+ * used to report syntax errors.
+ *
+ * @param {string} text - The expression text
+ * @returns {Array<{type: string, value: *, pos: number}>} Tokens, terminated by an 'eof' token
+ * @throws {Error} Syntax error on unterminated strings, invalid characters or invalid operator sequences
+ */
+function tokenizeExpression(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Numeric literal
+    if (/[0-9]/.test(char)) {
+      const match = /^\d+(?:\.\d+)?/.exec(text.substring(i));
+      tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i + 1 });
+      i += match[0].length;
+      continue;
+    }
+
+    // String literal in single or double quotes; a backslash escapes the quote character
+    if (char === "'" || char === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === '\\' && text[i + 1] === char) {
+          value += char;
+          i += 2;
+          continue;
+        }
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) {
+        const quoteName = char === "'" ? 'single' : 'double';
+        throw new Error(`Syntax error: Unmatched ${quoteName} quote (${char}) at position ${start + 1}`);
+      }
+      tokens.push({ type: 'string', value, pos: start + 1 });
+      i++;
+      continue;
+    }
+
+    // Identifier (field name or function name); a field name may be qualified, as in left.Amount
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)?/.exec(text.substring(i));
+      tokens.push({ type: 'identifier', value: match[0], pos: i + 1 });
+      i += match[0].length;
+      continue;
+    }
+
+    // Common mistakes get a hint instead of a generic error
+    const pair = text.substring(i, i + 2);
+    if (pair === '==' || pair === '**') {
+      const hint = pair === '==' ? '== (should be =)' : '** (should be ^)';
+      throw new Error(`Syntax error: Invalid operator sequence (${hint}) at position ${i + 1}`);
+    }
+
+    if (pair === '!=' || pair === '&&' || pair === '||') {
+      tokens.push({ type: 'operator', value: pair, pos: i + 1 });
+      i += 2;
+      continue;
+    }
+
+    if ('+-*/^<>=!()[],?:'.includes(char)) {
+      tokens.push({ type: 'operator', value: char, pos: i + 1 });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Syntax error: Invalid character '${char}' at position ${i + 1} in expression`);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: text.length + 1 });
+  return tokens;
+}
+
+/**
+ * Precedence-climbing parser for augmented expressions.
+ * Produces an AST made of plain objects with a `type` and a `pos` (1-based):
+ * - number:      { value }
+ * - string:      { value }
+ * - field:       { name }
+ * - fieldOffset: { name, offset }
+ * - call:        { name, args }
+ * - unary:       { operator, operand }
+ * - binary:      { operator, left, right }
+ * - conditional: { condition, whenTrue, whenFalse }
+ *
+ * @class ExpressionParser
+ */
+class ExpressionParser {
+  constructor(text) {
+    this.tokens = tokenizeExpression(text);
+    this.index = 0;
+  }
+
   /**
-   * Validates expression syntax for common errors.
-   * @param {string} expr - The expression to validate
-   * @throws {Error} If syntax errors are detected
+   * Parses the whole expression.
+   * @returns {Object} The root AST node
+   * @throws {Error} Syntax error if the expression is malformed
    */
-  _validateSyntax(expr) {
-    // Check for unmatched quotes (single or double)
-    let singleQuoteCount = 0;
-    let doubleQuoteCount = 0;
-    let inSingleQuote = false;
-    let inDoubleQuote = false;
-    let escapeNext = false;
-    
-    for (let i = 0; i < expr.length; i++) {
-      const char = expr[i];
-      
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
+  parse() {
+    const node = this._parseConditional();
+    const token = this._peek();
+    if (token.type !== 'eof') {
+      if (token.value === ')') {
+        throw new Error(`Syntax error: Mismatched parentheses - extra closing parenthesis at position ${token.pos}`);
       }
-      
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
+      throw this._unexpected(token);
+    }
+    return node;
+  }
+
+  _peek() {
+    return this.tokens[this.index];
+  }
+
+  _next() {
+    return this.tokens[this.index++];
+  }
+
+  _isOperator(value) {
+    const token = this._peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  _unexpected(token) {
+    if (token.type === 'eof') {
+      return new Error(`Syntax error: Unexpected end of expression at position ${token.pos}`);
+    }
+    const text = token.type === 'string' ? `'${token.value}'` : String(token.value);
+    return new Error(`Syntax error: Unexpected ${token.type === 'operator' ? 'operator' : token.type} ${text} at position ${token.pos}`);
+  }
+
+  _expect(value, openToken) {
+    if (this._isOperator(value)) {
+      return this._next();
+    }
+    const token = this._peek();
+    if (value === ')' && token.type === 'eof') {
+      throw new Error(`Syntax error: Mismatched parentheses - missing closing parenthesis for '(' at position ${openToken.pos}`);
+    }
+    if (value === ']' && token.type === 'eof') {
+      throw new Error(`Syntax error: Mismatched brackets - missing closing bracket for '[' at position ${openToken.pos}`);
+    }
+    if (value === ':' && token.type === 'eof') {
+      throw new Error(`Syntax error: Mismatched conditional operator - missing ':' for '?' at position ${openToken.pos}`);
+    }
+    throw this._unexpected(token);
+  }
+
+  // condition ? whenTrue : whenFalse (right-associative, lowest precedence)
+  _parseConditional() {
+    const condition = this._parseBinary(1);
+    if (!this._isOperator('?')) {
+      return condition;
+    }
+    const questionToken = this._next();
+    const whenTrue = this._parseConditional();
+    this._expect(':', questionToken);
+    const whenFalse = this._parseConditional();
+    return { type: 'conditional', condition, whenTrue, whenFalse, pos: questionToken.pos };
+  }
+
+  // Precedence climbing over BINARY_OPERATORS
+  _parseBinary(minPrecedence) {
+    let left = this._parseUnary();
+
+    while (true) {
+      const token = this._peek();
+      const op = token.type === 'operator' ? BINARY_OPERATORS[token.value] : undefined;
+      if (!op || op.precedence < minPrecedence) {
+        break;
       }
-      
-      if (char === "'" && !inDoubleQuote) {
-        inSingleQuote = !inSingleQuote;
-        singleQuoteCount++;
-      } else if (char === '"' && !inSingleQuote) {
-        inDoubleQuote = !inDoubleQuote;
-        doubleQuoteCount++;
-      }
-    }
-    
-    if (inSingleQuote) {
-      throw new Error(`Syntax error: Unmatched single quote (') in expression`);
-    }
-    if (inDoubleQuote) {
-      throw new Error(`Syntax error: Unmatched double quote (") in expression`);
-    }
-    
-    // Check for invalid operator sequences
-    // Note: We need to check these patterns while ignoring content inside quoted strings
-    const invalidPatterns = [
-      { pattern: /\*\s*\*/g, desc: '** (should be ^)' },
-      { pattern: /\/\s*\//g, desc: '//' },
-      { pattern: /\+\s*\+/g, desc: '++' },
-      { pattern: /\-\s*\-/g, desc: '--' },
-      { pattern: /\^\s*\^/g, desc: '^^' },
-      { pattern: /&&\s*&&/g, desc: '&&&&' },
-      { pattern: /\|\|\s*\|\|/g, desc: '||||' },
-      { pattern: /!\s*!/g, desc: '!!' },
-      { pattern: /=\s*=/g, desc: '== (should be =)' },
-    ];
-    
-    // Check invalid patterns, but only outside of quoted strings
-    inSingleQuote = false;
-    inDoubleQuote = false;
-    escapeNext = false;
-    
-    for (const { pattern, desc } of invalidPatterns) {
-      // Reset regex lastIndex to avoid issues with global regex
-      pattern.lastIndex = 0;
-      let match;
-      while ((match = pattern.exec(expr)) !== null) {
-        // Check if this match is inside a quoted string
-        const matchStart = match.index;
-        
-        // Determine if match is inside quotes by checking quote state at match position
-        let inQuote = false;
-        let checkInSingleQuote = false;
-        let checkInDoubleQuote = false;
-        let checkEscapeNext = false;
-        
-        for (let i = 0; i < matchStart; i++) {
-          const char = expr[i];
-          
-          if (checkEscapeNext) {
-            checkEscapeNext = false;
-            continue;
-          }
-          
-          if (char === '\\') {
-            checkEscapeNext = true;
-            continue;
-          }
-          
-          if (char === "'" && !checkInDoubleQuote) {
-            checkInSingleQuote = !checkInSingleQuote;
-          } else if (char === '"' && !checkInSingleQuote) {
-            checkInDoubleQuote = !checkInDoubleQuote;
+      this._next();
+      const right = this._parseBinary(op.rightAssoc ? op.precedence : op.precedence + 1);
+      left = { type: 'binary', operator: token.value, left, right, pos: token.pos };
+    }
+
+    return left;
+  }
+
+  _parseUnary() {
+    const token = this._peek();
+    if (token.type === 'operator' && token.value === '!') {
+      this._next();
+      const operand = this._parseBinary(NOT_PRECEDENCE);
+      return { type: 'unary', operator: '!', operand, pos: token.pos };
+    }
+    if (token.type === 'operator' && token.value === '-') {
+      // Unary minus binds tighter than every binary operator, including ^
+      this._next();
+      const operand = this._parseUnary();
+      return { type: 'unary', operator: '-', operand, pos: token.pos };
+    }
+    return this._parsePrimary();
+  }
+
+  _parsePrimary() {
+    const token = this._next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value, pos: token.pos };
+    }
+
+    if (token.type === 'string') {
+      return { type: 'string', value: token.value, pos: token.pos };
+    }
+
+    if (token.type === 'identifier') {
+      if (this._isOperator('(')) {
+        const openToken = this._next();
+        const args = [];
+        if (!this._isOperator(')')) {
+          args.push(this._parseConditional());
+          while (this._isOperator(',')) {
+            this._next();
+            args.push(this._parseConditional());
           }
         }
-        
-        // Check if we're in a quote at the match position
-        inQuote = checkInSingleQuote || checkInDoubleQuote;
-        
-        // Only throw error if match is NOT inside quotes
-        if (!inQuote) {
-          throw new Error(`Syntax error: Invalid operator sequence (${desc}) in expression`);
-        }
+        this._expect(')', openToken);
+        return { type: 'call', name: token.value.toUpperCase(), args, pos: token.pos };
       }
-    }
-    
-    // Check for invalid characters (basic check - allow alphanumeric, operators, quotes, spaces, parentheses, brackets, underscores)
-    // But skip characters inside quoted strings
-    const validCharPattern = /[A-Za-z0-9\s\+\-\*\/\^\(\)\[\]=\<\>!&|?:"'.,_]/;
-    inSingleQuote = false;
-    inDoubleQuote = false;
-    escapeNext = false;
-    
-    for (let i = 0; i < expr.length; i++) {
-      const char = expr[i];
-      
-      if (escapeNext) {
-        escapeNext = false;
-        continue;
+      if (this._isOperator('[')) {
+        const openToken = this._next();
+        const offset = this._parseConditional();
+        this._expect(']', openToken);
+        return { type: 'fieldOffset', name: token.value, offset, pos: token.pos };
       }
-      
-      if (char === '\\') {
-        escapeNext = true;
-        continue;
+      return { type: 'field', name: token.value, pos: token.pos };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = this._parseConditional();
+      this._expect(')', token);
+      return inner;
+    }
+
+    // Put the token back so the error reports the right position
+    this.index--;
+    throw this._unexpected(token);
+  }
+}
+
+// ============================================================================
+// Expression Evaluator
+// ============================================================================
+
+/** Maximum number of compiled expressions kept in expressionCache. */
+const EXPRESSION_CACHE_SIZE = 500;
+
+/**
+ * Compiled (parsed and validated) expressions keyed by trimmed expression text.
+ * Map iteration order is insertion order, so the first key is the least recently used.
+ * @type {Map<string, Object>}
+ */
+const expressionCache = new Map();
+
+/**
+ * Evaluates augmented expressions with support for:
+ * - Arithmetic operations (+, -, *, /, ^)
+ * - Unary minus (-expression)
+ * - Boolean operations (&&, ||, !)
+ * - Comparisons (<, =, >, !=)
+ * - Conditional expressions (condition ? trueValue : falseValue)
+ * - Special functions (BLANK, TODAY, DAY, MONTH, YEAR, WEEKDAY, DATE_PARSE, DATE_FORMAT, DATE_ADD, DATE_DIFF, NOW, LENGTH, APPEND, UPPER, TOTAL, LOOKUP, EXISTS, REGEXP, CURR_ROW, NUM_ROWS, SUM, REPLACE)
+ * - Field references and constants; in a JOIN_TABLE condition, references qualified by
+ *   left. or right. (left.Description, right.Pattern) read the row of either table
+ *
+ * The expression is parsed once into an AST by ExpressionParser and the AST is
+ * then interpreted against the current row. Field values are never spliced back
+ * into the expression text, so values containing quotes, colons or operator
+ * characters are handled like any other value.
+ *
+ * @class ExpressionEvaluator
+ */
+class ExpressionEvaluator {
+  /**
+   * @param {Object|null} row - The row being evaluated
+   * @param {Object} tables - All loaded tables
+   * @param {string} currentTable - Name of the table the row belongs to
+   * @param {number|null} rowIndex - Index of the row in the current table; for a row that is
+   *   being added this is the index it will occupy (table.rows.length). Callers that loop over
+   *   rows must update it together with `row`.
+   */
+  constructor(row, tables, currentTable, rowIndex = null) {
+    this.row = row;
+    this.tables = tables;
+    this.currentTable = currentTable;
+    this.rowIndex = rowIndex;
+    // Rows that qualified references read, keyed by qualifier ({left, right}); set by joinTable
+    this.qualifiedRows = null;
+    // LOOKUP and EXISTS indexes, built when an expression is compiled and kept for the life of the
+    // evaluator; commands and requests use one evaluator, so they share one set of indexes
+    this.lookupIndexes = new Map();
+    this.functions = this._handleFunctions();
+  }
+
+  evaluate(expression) {
+    return this.run(this.compile(expression));
+  }
+
+  /**
+   * Parses and validates an expression once, returning its compiled form (the AST).
+   * Results are kept in expressionCache, so repeated compiles of the same text are free.
+   * The indexes its LOOKUP and EXISTS calls search are built here, before the command changes any row.
+   * @param {string} expression - The expression text
+   * @returns {Object} The compiled expression, to be passed to run()
+   * @throws {Error} If the expression is empty or has a syntax error
+   */
+  compile(expression) {
+    if (!expression || expression.trim() === '') {
+      throw new Error('Empty expression');
+    }
+
+    const trimmedExpr = expression.trim();
+
+    let ast = expressionCache.get(trimmedExpr);
+    if (ast) {
+      // Move to the end so it is evicted last
+      expressionCache.delete(trimmedExpr);
+      expressionCache.set(trimmedExpr, ast);
+    } else {
+      // Parse and validate before evaluation
+      ast = new ExpressionParser(trimmedExpr).parse();
+      this._validateSyntax(ast);
+
+      expressionCache.set(trimmedExpr, ast);
+      if (expressionCache.size > EXPRESSION_CACHE_SIZE) {
+        expressionCache.delete(expressionCache.keys().next().value);
       }
-      
-      if (char === "'" && !inDoubleQuote) {
-        inSingleQuote = !inSingleQuote;
-        continue; // Don't validate the quote character itself
-      } else if (char === '"' && !inSingleQuote) {
-        inDoubleQuote = !inDoubleQuote;
-        continue; // Don't validate the quote character itself
+    }
+
+    this._buildLookupIndexes(ast);
+    return ast;
+  }
+
+  /**
+   * Evaluates a compiled expression against the current row.
+   * @param {Object} ast - The compiled expression returned by compile()
+   * @returns {string|number} The value of the expression
+   */
+  run(ast) {
+    try {
+      return this._evaluateNode(ast);
+    } catch (error) {
+      // If it's already a well-formed error, re-throw it
+      if (error.message.includes('Syntax error') ||
+          error.message.includes('Type mismatch') ||
+          error.message.includes('Expression evaluation error')) {
+        throw error;
       }
-      
-      // Skip validation for characters inside quoted strings
-      if (inSingleQuote || inDoubleQuote) {
-        continue;
+      // Otherwise, wrap it with context
+      throw new Error(`Expression evaluation error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validates a parsed expression: every function call must name a known function.
+   * @param {Object} node - The AST node to validate
+   * @throws {Error} If an unknown function is called
+   */
+  _validateSyntax(node) {
+    switch (node.type) {
+      case 'call':
+        if (!this.functions[node.name]) {
+          throw new Error(`Syntax error: Unknown function ${node.name} at position ${node.pos}`);
+        }
+        node.args.forEach(arg => this._validateSyntax(arg));
+        break;
+      case 'fieldOffset':
+        this._validateSyntax(node.offset);
+        break;
+      case 'unary':
+        this._validateSyntax(node.operand);
+        break;
+      case 'binary':
+        this._validateSyntax(node.left);
+        this._validateSyntax(node.right);
+        break;
+      case 'conditional':
+        this._validateSyntax(node.condition);
+        this._validateSyntax(node.whenTrue);
+        this._validateSyntax(node.whenFalse);
+        break;
+    }
+  }
+
+  /**
+   * Builds the index of every LOOKUP and EXISTS call of a compiled expression that names its
+   * table and columns. Commands compile before they change anything, so the indexes hold the
+   * tables as they were before the command: a SET_VALUE rewriting the key column it looks up
+   * still finds the original keys. Calls whose names are computed are indexed when they first run.
+   * @param {Object} node - The AST node
+   */
+  _buildLookupIndexes(node) {
+    switch (node.type) {
+      case 'call': {
+        const nameArgs = node.name === 'LOOKUP' ? [node.args[0], node.args[1], node.args[3]]
+          : node.name === 'EXISTS' ? [node.args[0], node.args[1]] : null;
+        if (nameArgs && nameArgs.every(arg => arg && (arg.type === 'field' || arg.type === 'string'))) {
+          try {
+            this._lookupIndex(nameArgs[0], nameArgs[1], nameArgs[2], node.name);
+          } catch (error) {
+            // A missing table or column is reported when the call runs
+          }
+        }
+        node.args.forEach(arg => this._buildLookupIndexes(arg));
+        break;
       }
-      
-      // Skip escaped characters
-      if (i > 0 && expr[i - 1] === '\\') continue;
-      
-      // Allow valid characters
-      if (validCharPattern.test(char)) continue;
-      
-      // If we get here, it's an invalid character
-      throw new Error(`Syntax error: Invalid character '${char}' at position ${i + 1} in expression`);
+      case 'fieldOffset':
+        this._buildLookupIndexes(node.offset);
+        break;
+      case 'unary':
+        this._buildLookupIndexes(node.operand);
+        break;
+      case 'binary':
+        this._buildLookupIndexes(node.left);
+        this._buildLookupIndexes(node.right);
+        break;
+      case 'conditional':
+        this._buildLookupIndexes(node.condition);
+        this._buildLookupIndexes(node.whenTrue);
+        this._buildLookupIndexes(node.whenFalse);
+        break;
     }
-    
-    // Check for conditional operator syntax errors
-    const questionCount = (expr.match(/\?/g) || []).length;
-    const colonCount = (expr.match(/:/g) || []).length;
-    // Colons can appear in time strings, so we need a more sophisticated check
-    // But if there are ? without matching :, that's an error
-    if (questionCount > 0 && colonCount < questionCount) {
-      // Check if colons are part of conditional operators (not time strings)
-      const conditionalColons = (expr.match(/\?\s*[^:]*:/g) || []).length;
-      if (conditionalColons < questionCount) {
-        throw new Error(`Syntax error: Mismatched conditional operator (? :). Found ${questionCount} '?' but only ${conditionalColons} matching ':'`);
-      }
-    }
-  }
-  
-  _evaluateExpression(expr) {
-    expr = expr.trim();
-    
-    // Handle conditional expressions (find the rightmost ? : pair)
-    let questionIndex = -1;
-    let colonIndex = -1;
-    let depth = 0;
-    
-    for (let i = expr.length - 1; i >= 0; i--) {
-      if (expr[i] === ')') depth++;
-      else if (expr[i] === '(') depth--;
-      else if (depth === 0) {
-        if (expr[i] === ':' && colonIndex === -1) {
-          colonIndex = i;
-        } else if (expr[i] === '?' && colonIndex !== -1 && questionIndex === -1) {
-          questionIndex = i;
-          break;
+  }
+
+  /**
+   * Evaluates an AST node against the current row.
+   * TEXT values are returned as strings, INT and REAL values as numbers.
+   * @param {Object} node - The AST node
+   * @returns {string|number} The value of the node
+   */
+  _evaluateNode(node) {
+    switch (node.type) {
+      case 'number':
+      case 'string':
+        return node.value;
+
+      case 'field': {
+        const value = this._getFieldValue(node.name);
+        if (value !== null && value !== undefined) {
+          return value;
+        }
+        // A blank (null) cell reads as its column's empty value; names that are not columns of the row are kept as bare words
+        return this.row && this.row.hasOwnProperty(node.name) ? this._emptyFieldValue(node.name) : node.name;
+      }
+
+      case 'fieldOffset':
+        return this._evaluateFieldOffset(node);
+
+      case 'call':
+        return this.functions[node.name](...node.args);
+
+      case 'unary': {
+        const value = this._evaluateNode(node.operand);
+        if (node.operator === '!') {
+          return this._isTruthy(value) ? 0 : 1;
         }
+        const num = this._toNumeric(value);
+        if (isNaN(num)) {
+          throw new Error(`Type mismatch: Cannot apply unary minus (-) to non-numeric value: ${value}`);
+        }
+        return -num;
       }
+
+      case 'binary':
+        return this._evaluateBinary(node);
+
+      case 'conditional': {
+        const condResult = this._evaluateNode(node.condition);
+        // Convert to number if it's a string representation of a number
+        const numResult = typeof condResult === 'string' ? parseFloat(condResult) : condResult;
+        return numResult && numResult !== 0 ? this._evaluateNode(node.whenTrue) : this._evaluateNode(node.whenFalse);
+      }
+
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
     }
-    
-    if (questionIndex !== -1 && colonIndex !== -1 && questionIndex < colonIndex) {
-      const condition = expr.substring(0, questionIndex).trim();
-      const trueExpr = expr.substring(questionIndex + 1, colonIndex).trim();
-      const falseExpr = expr.substring(colonIndex + 1).trim();
-      const condResult = this._evaluateExpression(condition);
-      // Convert to number if it's a string representation of a number
-      const numResult = typeof condResult === 'string' ? parseFloat(condResult) : condResult;
-      return numResult && numResult !== 0 ? this._evaluateExpression(trueExpr) : this._evaluateExpression(falseExpr);
+  }
+
+  _evaluateBinary(node) {
+    const { operator } = node;
+
+    // Boolean operators short-circuit
+    if (operator === '&&') {
+      return this._isTruthy(this._evaluateNode(node.left)) && this._isTruthy(this._evaluateNode(node.right)) ? 1 : 0;
     }
-    
-    // Handle function calls FIRST (before parentheses processing)
-    // Functions like BLANK(), TODAY(), etc. are processed here
-    expr = this._handleFunctions(expr);
-    
-    // Handle parentheses for grouping sub-expressions
-    // This processes nested expressions like (a + b) * (c + d)
-    depth = 0;
-    let start = -1;
-    for (let i = 0; i < expr.length; i++) {
-      if (expr[i] === '(') {
-        if (depth === 0) start = i;
-        depth++;
-      } else if (expr[i] === ')') {
-        depth--;
-        if (depth === 0 && start !== -1) {
-          const inner = expr.substring(start + 1, i);
-          const result = this._evaluateExpression(inner);
-          expr = expr.substring(0, start) + String(result) + expr.substring(i + 1);
-          i = start + String(result).length - 1;
-          start = -1;
-        }
+    if (operator === '||') {
+      return this._isTruthy(this._evaluateNode(node.left)) || this._isTruthy(this._evaluateNode(node.right)) ? 1 : 0;
+    }
+
+    const left = this._evaluateNode(node.left);
+    const right = this._evaluateNode(node.right);
+
+    if (operator === '<' || operator === '>' || operator === '=' || operator === '!=') {
+      return this._compareValues(left, right, operator);
+    }
+
+    return this._handleArithmetic(left, right, operator);
+  }
+
+  /**
+   * Applies an arithmetic operator. INT and REAL values (and numeric strings) can be mixed;
+   * "+" concatenates when either operand is non-numeric TEXT.
+   */
+  _handleArithmetic(left, right, operator) {
+    const l = this._toNumeric(left);
+    const r = this._toNumeric(right);
+
+    if (isNaN(l) || isNaN(r)) {
+      if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+        return String(left) + String(right);
       }
+      throw new Error(`Type mismatch: cannot apply operator '${operator}' to ${isNaN(l) ? 'TEXT' : 'numeric'} value ${JSON.stringify(left)} and ${isNaN(r) ? 'TEXT' : 'numeric'} value ${JSON.stringify(right)}`);
     }
-    
-    if (depth !== 0) {
-      throw new Error(`Syntax error: Mismatched parentheses - ${depth > 0 ? 'missing closing' : 'extra closing'} parenthesis`);
+
+    // + - * are exact in decimal (0.1 + 0.2 = 0.3), so DECIMAL and MONEY amounts keep their cents
+    switch (operator) {
+      case '+': return exactAdd(l, r);
+      case '-': return exactAdd(l, -r);
+      case '*': return exactMultiply(l, r);
+      case '/': return l / r;
+      case '^': return Math.pow(l, r);
+      default:
+        throw new Error(`Unknown arithmetic operator: ${operator}`);
+    }
+  }
+
+  _evaluateFieldOffset(node) {
+    // Errors in the offset expression propagate like any other evaluation error
+    const offset = this._toNumeric(this._evaluateNode(node.offset));
+    if (isNaN(offset)) {
+      throw new Error(`Invalid offset expression at position ${node.offset.pos}`);
+    }
+
+    // Out of bounds gives the column type's empty value, so Amount + Balance[-1] on the first row is a number
+    const value = this._getFieldValueWithOffset(node.name, Math.round(offset));
+    return value !== null && value !== undefined ? value : this._emptyFieldValue(node.name);
+  }
+
+  /**
+   * Returns the empty value of a column of the current table, as parseValue gives for an empty field:
+   * 0 for INT and REAL, '' for TEXT, and '' for a name that is not a column.
+   * @param {string} fieldName - The column name
+   * @returns {string|number} The empty value
+   */
+  _emptyFieldValue(fieldName) {
+    const table = this.currentTable ? this.tables[this.currentTable] : null;
+    const column = table ? table.schema.find(col => col.name === fieldName) : null;
+    return column ? parseValue('', column.type) : '';
+  }
+
+  /**
+   * Returns the name carried by a function argument that names a table or column.
+   * Bare identifiers and string literals give their text; any other argument is evaluated.
+   * @param {Object} node - The argument AST node
+   * @returns {string} The name
+   */
+  _argName(node) {
+    if (node.type === 'field') {
+      return node.name;
+    }
+    if (node.type === 'string') {
+      return node.value;
+    }
+    return String(this._evaluateNode(node));
+  }
+
+  /**
+   * Evaluates a function argument that holds a date: a DATE value (YYYY-MM-DD)
+   * or text in one of the date input formats.
+   * @param {Object} node - The argument AST node
+   * @param {string} functionName - Name of the calling function, for error messages
+   * @returns {string} The date as YYYY-MM-DD, or '' for an empty value
+   * @throws {Error} If the argument is missing or is not a date
+   */
+  _dateArg(node, functionName) {
+    if (!node) {
+      throw new Error(`${functionName}: missing date argument`);
+    }
+    const value = this._evaluateNode(node);
+    if (value === '') return '';
+    const isoDate = parseDate(value);
+    if (isoDate === null) {
+      throw new Error(`${functionName}: "${value}" is not a date`);
+    }
+    return isoDate;
+  }
+
+  /**
+   * Returns the index LOOKUP and EXISTS search a table column with, building it on first use.
+   * The index maps each key (see _lookupKey) to the return column's value in the first row
+   * holding it; only those values are copied, so later changes to the table do not show through.
+   * @param {Object} tableNode - The argument naming the table
+   * @param {Object} columnNode - The argument naming the key column
+   * @param {Object|undefined} returnNode - The argument naming the return column (LOOKUP only)
+   * @param {string} functionName - Name of the calling function, for error messages
+   * @returns {{column: Object, values: Map<string, *>}} The key column and the index
+   * @throws {Error} If the table or a column does not exist
+   */
+  _lookupIndex(tableNode, columnNode, returnNode, functionName) {
+    if (!tableNode || !columnNode) {
+      throw new Error(`${functionName}: missing table or key column argument`);
+    }
+    const tableName = this._argName(tableNode);
+    const columnName = this._argName(columnNode);
+    const returnName = returnNode ? this._argName(returnNode) : null;
+    const cacheKey = JSON.stringify([tableName, columnName, returnName]);
+    if (this.lookupIndexes.has(cacheKey)) {
+      return this.lookupIndexes.get(cacheKey);
     }
     
-    // Handle field references (replace column names with their values)
-    // Example: "Price" becomes the actual price value from the current row
-    expr = this._handleFieldReferences(expr);
-    
-    // Handle string literals (single-quoted strings)
-    // Example: 'Hello' becomes "Hello" (converted to double quotes for consistency)
-    expr = this._handleStringLiterals(expr);
-    
-    // Handle unary minus (-expression)
-    expr = this._handleUnaryMinus(expr);
-    
-    // Handle arithmetic operations (^, *, /, +, -)
-    // Order: exponentiation, multiplication/division, addition/subtraction
-    // Arithmetic must be processed BEFORE comparisons for correct operator precedence
-    expr = this._handleArithmetic(expr);
-    
-    // Handle comparisons (<, =, >, !=)
-    // Returns 1 if true, 0 if false
-    // INT and REAL can be compared with each other, TEXT only with TEXT
-    // Comparisons are processed AFTER arithmetic so expressions like "a < b - 1" work correctly
-    // Comparisons must be processed BEFORE boolean operations so expressions like "a < 0 || a = 0" work correctly
-    expr = this._handleComparisons(expr);
+    const table = this.tables[tableName];
+    if (!table) {
+      throw new Error(`${functionName}: table ${tableName} not found`);
+    }
+    const column = table.schema.find(c => c.name === columnName);
+    if (!column) {
+      throw new Error(`${functionName}: column ${columnName} not found in ${tableName}`);
+    }
+    if (returnName !== null && !table.schema.some(c => c.name === returnName)) {
+      throw new Error(`${functionName}: column ${returnName} not found in ${tableName}`);
+    }
     
-    // Handle boolean operations (!, &&, ||)
-    // Order: ! (NOT) first, then && (AND), then || (OR)
-    // Boolean operations are processed AFTER comparisons for correct operator precedence
-    expr = this._handleBooleanOps(expr);
-    
-    // Final cleanup: strip quotes from simple quoted string results
-    // This handles cases where functions like REPLACE return quoted strings
-    if (typeof expr === 'string' && expr.startsWith('"') && expr.endsWith('"') && expr.length >= 2) {
-      // Only strip if it's a simple quoted string (no operators, no nested quotes)
-      const inner = expr.slice(1, -1);
-      // Check for operators that would indicate this is part of an expression
-      // Allow dashes in the middle (like dates), but not at start (unary minus) or with spaces (binary minus)
-      const hasOperator = inner.includes('"') || inner.includes("'") || 
-          inner.includes('=') || inner.includes('<') || inner.includes('>') || 
-          inner.includes('!') || inner.includes('+') || 
-          (inner.includes('-') && (inner.trim().startsWith('-') || /\s-\s/.test(inner))) ||
-          inner.includes('*') || inner.includes('/') || inner.includes('^') ||
-          inner.includes('?') || inner.includes(':');
-      if (!hasOperator) {
-        return inner;
-      }
-    }
-    
-    return expr;
-  }
-  
-  _handleFunctions(expr) {
-    const functions = {
+    const values = new Map();
+    for (const row of table.rows) {
+      const key = this._lookupKey(row[columnName], column);
+      if (key !== null && !values.has(key)) {
+        values.set(key, returnName !== null ? row[returnName] : null);
+      }
+    }
+    const lookupIndex = { column, values };
+    this.lookupIndexes.set(cacheKey, lookupIndex);
+    return lookupIndex;
+  }
+
+  /**
+   * Normalizes a key for LOOKUP and EXISTS, so a key given as 12.50 finds 12.5 in a numeric
+   * column and 1/2/2025 finds 2025-01-02 in a DATE column. TEXT keys match exactly.
+   * @param {*} value - The key value
+   * @param {Object} column - Schema entry of the key column
+   * @returns {string|null} The key, or null for an empty value (which matches nothing)
+   */
+  _lookupKey(value, column) {
+    if (value === null || value === undefined || value === '') return null;
+    if (column.type === 'DATE') {
+      const isoDate = parseDate(value);
+      return isoDate === null ? String(value) : isoDate;
+    }
+    if (isNumericType(column.type)) {
+      const num = this._toNumeric(value);
+      return isNaN(num) ? String(value) : String(num);
+    }
+    return String(value);
+  }
+
+  /**
+   * Builds the table of built-in functions, keyed by upper-case name.
+   * Each function receives its argument AST nodes unevaluated, so it can decide
+   * whether an argument is a value (use _evaluateNode) or a name (use _argName).
+   * @returns {Object<string, Function>}
+   */
+  _handleFunctions() {
+    return {
       'BLANK': (field) => {
-        // Resolve field reference (strips quotes, resolves field names)
-        const val = this._resolveStringArg(field, true);
-        // Check if blank: empty string, null, undefined, or 0
-        const isBlank = (val === '' || val === null || val === undefined || val === 0);
-        return isBlank ? 1 : 0;
+        // Resolve field reference (quoted strings are literals, bare names are fields)
+        const val = field ? this._evaluateNode(field) : '';
+        return isBlankValue(val) ? 1 : 0;
       },
       'TODAY': () => {
+        // Same form as stored DATE values, so TODAY() compares and sorts with them
         const now = new Date();
-        return `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/${String(now.getDate()).padStart(2, '0')}`;
+        return toISODate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+      },
+      'DAY': (date) => {
+        // Without an argument: the current day
+        if (!date) return String(new Date().getDate()).padStart(2, '0');
+        const isoDate = this._dateArg(date, 'DAY');
+        return isoDate === '' ? '' : formatDate(isoDate, 'DD');
+      },
+      'MONTH': (date) => {
+        if (!date) return String(new Date().getMonth() + 1).padStart(2, '0');
+        const isoDate = this._dateArg(date, 'MONTH');
+        return isoDate === '' ? '' : formatDate(isoDate, 'MM');
+      },
+      'YEAR': (date) => {
+        if (!date) return String(new Date().getFullYear());
+        const isoDate = this._dateArg(date, 'YEAR');
+        return isoDate === '' ? '' : formatDate(isoDate, 'YYYY');
       },
-      'DAY': () => {
-        return String(new Date().getDate()).padStart(2, '0');
+      'WEEKDAY': (date) => {
+        // 1 = Monday ... 7 = Sunday
+        const isoDate = this._dateArg(date, 'WEEKDAY');
+        if (isoDate === '') return '';
+        const [, year, month, day] = isoDate.match(ISO_DATE_PATTERN).map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
       },
-      'MONTH': () => {
-        return String(new Date().getMonth() + 1).padStart(2, '0');
+      'DATE_PARSE': (text, format) => {
+        // Text that is not a date gives an empty date, as when a file is loaded
+        const value = text ? this._evaluateNode(text) : '';
+        if (value === '') return '';
+        const formats = format ? String(this._evaluateNode(format)).split(',').map(f => f.trim()) : DATE_INPUT_FORMATS;
+        return parseDate(value, formats) || '';
+      },
+      'DATE_FORMAT': (date, format) => {
+        const isoDate = this._dateArg(date, 'DATE_FORMAT');
+        if (isoDate === '') return '';
+        return formatDate(isoDate, format ? String(this._evaluateNode(format)) : 'YYYY-MM-DD');
+      },
+      'DATE_ADD': (date, amount, unit) => {
+        const isoDate = this._dateArg(date, 'DATE_ADD');
+        if (isoDate === '') return '';
+        const n = this._toNumeric(amount ? this._evaluateNode(amount) : 0);
+        if (!Number.isInteger(n)) {
+          throw new Error('DATE_ADD: amount must be a whole number');
+        }
+        return addToDate(isoDate, n, normalizeDateUnit(unit ? this._argName(unit) : ''));
       },
-      'YEAR': () => {
-        return String(new Date().getFullYear());
+      'DATE_DIFF': (a, b, unit) => {
+        const dateA = this._dateArg(a, 'DATE_DIFF');
+        const dateB = this._dateArg(b, 'DATE_DIFF');
+        if (dateA === '' || dateB === '') return '';
+        return dateDifference(dateA, dateB, normalizeDateUnit(unit ? this._argName(unit) : ''));
       },
       'NOW': () => {
         const now = new Date();
         return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
       },
       'LENGTH': (str) => {
-        // Resolve string argument (strips quotes, resolves field names)
-        const val = this._resolveStringArg(str, true);
+        const val = str ? this._evaluateNode(str) : '';
         return String(val).length;
       },
       'APPEND': (str1, str2) => {
-        // Resolve both string arguments (strips quotes, resolves field names)
-        const val1 = this._resolveStringArg(str1, true);
-        const val2 = this._resolveStringArg(str2, true);
+        const val1 = str1 ? this._evaluateNode(str1) : '';
+        const val2 = str2 ? this._evaluateNode(str2) : '';
         return String(val1) + String(val2);
       },
       'UPPER': (str) => {
-        // Resolve string argument (strips quotes, resolves field names)
-        const val = this._resolveStringArg(str, true);
+        const val = str ? this._evaluateNode(str) : '';
         return String(val).toUpperCase();
       },
       'TOTAL': (tableName, columnName) => {
@@ -649,67 +1879,55 @@ class ExpressionEvaluator {
         if (!tableName || !columnName) {
           return 0;
         }
-        
-        // Remove quotes if present
-        const cleanTableName = typeof tableName === 'string' ? tableName.replace(/^"|"$/g, '') : String(tableName);
-        const cleanColumnName = typeof columnName === 'string' ? columnName.replace(/^"|"$/g, '') : String(columnName);
-        
+
+        const cleanTableName = this._argName(tableName);
+        const cleanColumnName = this._argName(columnName);
+
         const table = this.tables[cleanTableName];
         if (!table) {
           return 0;
         }
-        
+
         const col = table.schema.find(c => c.name === cleanColumnName);
         if (!col) {
           return 0;
         }
-        
-        // Sum values based on column type
-        let total = 0;
-        for (const row of table.rows) {
-          const value = row[cleanColumnName];
-          if (value !== null && value !== undefined) {
-            if (col.type === 'INT' || col.type === 'REAL') {
-              const num = parseFloat(value);
-              if (!isNaN(num)) {
-                total += num;
-              }
-            }
-            // TEXT columns are ignored (total remains 0)
-          }
+
+        // TEXT and DATE columns are ignored (total remains 0)
+        if (!isNumericType(col.type)) {
+          return 0;
         }
-        
-        return total;
+
+        return sumColumnValues(table.rows.map(row => row[cleanColumnName]), col.type);
+      },
+      'LOOKUP': (tableName, keyColumn, keyValue, returnColumn) => {
+        // Value of returnColumn in the first row of the table whose keyColumn equals keyValue, or '' if none
+        if (!keyValue || !returnColumn) {
+          throw new Error('LOOKUP: missing key value or return column argument');
+        }
+        const lookupIndex = this._lookupIndex(tableName, keyColumn, returnColumn, 'LOOKUP');
+        const key = this._lookupKey(this._evaluateNode(keyValue), lookupIndex.column);
+        const value = key === null ? null : lookupIndex.values.get(key);
+        return value !== null && value !== undefined ? value : '';
+      },
+      'EXISTS': (tableName, keyColumn, keyValue) => {
+        // 1 if a row of the table has keyValue in keyColumn, 0 otherwise
+        const lookupIndex = this._lookupIndex(tableName, keyColumn, undefined, 'EXISTS');
+        if (!keyValue) {
+          throw new Error('EXISTS: missing key value argument');
+        }
+        const key = this._lookupKey(this._evaluateNode(keyValue), lookupIndex.column);
+        return key !== null && lookupIndex.values.has(key) ? 1 : 0;
       },
       'REGEXP': (pattern, str) => {
         // Apply regular expression pattern to string, return first match or ''
         if (!pattern || !str) {
           return '';
         }
-        
-        // Remove quotes if present (handle both single and double quotes)
-        let cleanPattern = typeof pattern === 'string' ? pattern : String(pattern);
-        if ((cleanPattern.startsWith('"') && cleanPattern.endsWith('"')) ||
-            (cleanPattern.startsWith("'") && cleanPattern.endsWith("'"))) {
-          cleanPattern = cleanPattern.slice(1, -1);
-        }
-        
-        // Handle the string argument - it might be a field name that needs to be resolved
-        let cleanStr = typeof str === 'string' ? str : String(str);
-        
-        // Remove quotes if present (handle both single and double quotes)
-        if ((cleanStr.startsWith('"') && cleanStr.endsWith('"')) ||
-            (cleanStr.startsWith("'") && cleanStr.endsWith("'"))) {
-          cleanStr = cleanStr.slice(1, -1);
-        } else {
-          // If it's not quoted, it might be a field name - try to resolve it
-          const fieldValue = this._getFieldValue(cleanStr);
-          if (fieldValue !== null && fieldValue !== undefined) {
-            cleanStr = typeof fieldValue === 'string' ? fieldValue : String(fieldValue);
-          }
-          // If field not found, use the string as-is (might be a literal)
-        }
-        
+
+        const cleanPattern = String(this._evaluateNode(pattern));
+        const cleanStr = String(this._evaluateNode(str));
+
         try {
           const regex = new RegExp(cleanPattern);
           const match = cleanStr.match(regex);
@@ -720,52 +1938,23 @@ class ExpressionEvaluator {
         }
       },
       'CURR_ROW': () => {
-        // Returns the index (0-based) of the current row in the table
-        if (!this.row || !this.currentTable) {
-          return 0;
-        }
-        
-        const table = this.tables[this.currentTable];
-        if (!table) {
+        // Returns the index (0-based) of the current row in the table, as given by the caller
+        if (this.rowIndex === null || this.rowIndex === undefined) {
           return 0;
         }
-        
-        // Find the current row index by comparing row objects
-        // First try reference equality (fastest)
-        const index = table.rows.indexOf(this.row);
-        if (index !== -1) {
-          return index;
-        }
-        
-        // If not found by reference, try to find by comparing all field values
-        for (let i = 0; i < table.rows.length; i++) {
-          const row = table.rows[i];
-          let matches = true;
-          for (const col of table.schema) {
-            if (row[col.name] !== this.row[col.name]) {
-              matches = false;
-              break;
-            }
-          }
-          if (matches) {
-            return i;
-          }
-        }
-        
-        // Row not found, return 0
-        return 0;
+        return this.rowIndex;
       },
       'NUM_ROWS': () => {
         // Returns the number of rows in the current table
         if (!this.currentTable) {
           return 0;
         }
-        
+
         const table = this.tables[this.currentTable];
         if (!table) {
           return 0;
         }
-        
+
         return table.rows.length;
       },
       'SUM': (columnName, start, finish) => {
@@ -773,885 +1962,642 @@ class ExpressionEvaluator {
         // Returns 0 if start > finish
         // Throws error if indices are out of bounds
         // Throws error if attempting to sum a TEXT column
-        
-        if (!this.currentTable) {
+
+        if (!this.currentTable || !columnName || !start || !finish) {
           return 0;
         }
-        
+
         const table = this.tables[this.currentTable];
         if (!table) {
           return 0;
         }
-        
-        // Remove quotes if present from column name
-        const cleanColumnName = typeof columnName === 'string' ? columnName.replace(/^"|"$/g, '') : String(columnName);
-        
+
+        const cleanColumnName = this._argName(columnName);
+
         // Find the column
         const col = table.schema.find(c => c.name === cleanColumnName);
         if (!col) {
           return 0;
         }
-        
+
         // Check if column is TEXT - throw error if so
         if (col.type === 'TEXT') {
           throw new Error(`Cannot sum TEXT column: ${cleanColumnName}`);
         }
-        
-        // Evaluate start and finish as expressions if they are strings
-        // This allows expressions like NUM_ROWS()-1 to be evaluated
-        let startValue = start;
-        let finishValue = finish;
-        
-        if (typeof start === 'string') {
-          // Remove quotes if present
-          const startExpr = start.replace(/^"|"$/g, '');
-          
-          // Check if it's a simple number first (for performance and correctness)
-          const directParse = parseFloat(startExpr);
-          if (!isNaN(directParse) && isFinite(directParse) && String(directParse) === startExpr.trim()) {
-            // It's a simple number, use it directly
-            startValue = directParse;
-          } else {
-            // It's an expression, evaluate it
-            try {
-              const tempEvaluator = new ExpressionEvaluator(this.row, this.tables, this.currentTable);
-              const evaluated = tempEvaluator.evaluate(startExpr);
-              // Convert result to number
-              startValue = typeof evaluated === 'string' ? parseFloat(evaluated.replace(/^"|"$/g, '')) : parseFloat(evaluated);
-            } catch (error) {
-              // If evaluation fails, try parsing directly
-              startValue = parseFloat(startExpr);
-            }
-          }
-        } else {
-          startValue = parseFloat(start);
-        }
-        
-        if (typeof finish === 'string') {
-          // Remove quotes if present
-          const finishExpr = finish.replace(/^"|"$/g, '');
-          
-          // Check if it's a simple number first (for performance and correctness)
-          const directParse = parseFloat(finishExpr);
-          if (!isNaN(directParse) && isFinite(directParse) && String(directParse) === finishExpr.trim()) {
-            // It's a simple number, use it directly
-            finishValue = directParse;
-          } else {
-            // It's an expression, evaluate it
-            try {
-              const tempEvaluator = new ExpressionEvaluator(this.row, this.tables, this.currentTable);
-              const evaluated = tempEvaluator.evaluate(finishExpr);
-              // Convert result to number
-              finishValue = typeof evaluated === 'string' ? parseFloat(evaluated.replace(/^"|"$/g, '')) : parseFloat(evaluated);
-            } catch (error) {
-              // If evaluation fails, try parsing directly
-              finishValue = parseFloat(finishExpr);
-            }
-          }
-        } else {
-          finishValue = parseFloat(finish);
-        }
-        
+
+        // start and finish are expressions, e.g. NUM_ROWS()-1
+        const startValue = this._toNumeric(this._evaluateNode(start));
+        const finishValue = this._toNumeric(this._evaluateNode(finish));
+
         // Parse start and finish indices
         const startIdx = Math.round(startValue);
         const finishIdx = Math.round(finishValue);
-        
+
         // Check if indices are valid numbers
         if (isNaN(startIdx) || isNaN(finishIdx)) {
-          throw new Error(`SUM: Invalid index values (start: ${start}, finish: ${finish})`);
+          throw new Error(`SUM: Invalid index values (start: ${startValue}, finish: ${finishValue})`);
         }
-        
+
         const numRows = table.rows.length;
-        
+
         // Return 0 if start > finish
         if (startIdx > finishIdx) {
           return 0;
         }
-        
+
         // Throw error if start or finish are out of bounds
         if (startIdx < 0 || startIdx >= numRows || finishIdx < 0 || finishIdx >= numRows) {
           throw new Error(`SUM: Index out of bounds (start: ${startIdx}, finish: ${finishIdx}, table rows: ${numRows})`);
         }
-        
+
         // Sum values from start to finish (inclusive)
-        let total = 0;
+        const values = [];
         for (let i = startIdx; i <= finishIdx; i++) {
-          const row = table.rows[i];
-          const value = row[cleanColumnName];
-          if (value !== null && value !== undefined) {
-            const num = parseFloat(value);
-            if (!isNaN(num)) {
-              total += num;
-            }
-          }
+          values.push(table.rows[i][cleanColumnName]);
         }
-        
-        return total;
+
+        return sumColumnValues(values, col.type);
       },
       'REPLACE': (column1, regexp1, target1) => {
         // Replaces text in column1 using regexp1 pattern and inserts matches into target1
         // Uses $1, $2, ... convention for captured groups, $0 for full match
-        
+
         if (!column1 || !regexp1 || !target1) {
           return '';
         }
-        
-        // Remove quotes from column name if present
-        const cleanColumnName = typeof column1 === 'string' ? column1.replace(/^"|"$/g, '').replace(/^'|'$/g, '') : String(column1);
-        
+
         // Get the field value from the current row
-        const fieldValue = this._getFieldValue(cleanColumnName);
+        const fieldValue = this._getFieldValue(this._argName(column1));
         if (fieldValue === null || fieldValue === undefined) {
           return '';
         }
-        
+
         // Convert field value to string
         const sourceStr = typeof fieldValue === 'string' ? fieldValue : String(fieldValue);
-        
-        // Remove quotes from regex pattern if present (handle both single and double quotes)
-        let cleanPattern = typeof regexp1 === 'string' ? regexp1 : String(regexp1);
-        if ((cleanPattern.startsWith('"') && cleanPattern.endsWith('"')) ||
-            (cleanPattern.startsWith("'") && cleanPattern.endsWith("'"))) {
-          cleanPattern = cleanPattern.slice(1, -1);
-        }
-        
-        // Remove quotes from target string if present (handle both single and double quotes)
-        let cleanTarget = typeof target1 === 'string' ? target1 : String(target1);
-        if ((cleanTarget.startsWith('"') && cleanTarget.endsWith('"')) ||
-            (cleanTarget.startsWith("'") && cleanTarget.endsWith("'"))) {
-          cleanTarget = cleanTarget.slice(1, -1);
-        }
-        
+        const cleanPattern = String(this._evaluateNode(regexp1));
+        const cleanTarget = String(this._evaluateNode(target1));
+
         try {
           // Create regex with global flag to replace all matches
           const regex = new RegExp(cleanPattern, 'g');
-          
+
           // Replace all matches in source string with target template
-          const result = sourceStr.replace(regex, (match, ...groups) => {
+          return sourceStr.replace(regex, (match, ...groups) => {
             // Start with the target template
             let replacement = cleanTarget;
-            
+
             // Replace $0 with full match
             replacement = replacement.replace(/\$0/g, match || '');
-            
-            // Replace $1, $2, ... with captured groups
-            for (let i = 0; i < groups.length; i++) {
+
+            // Replace $1, $2, ... with captured groups (the last two entries are offset and input)
+            for (let i = 0; i < groups.length - 2; i++) {
               const groupValue = groups[i] || '';
               const placeholder = `$${i + 1}`;
               replacement = replacement.replace(new RegExp(`\\${placeholder}`, 'g'), groupValue);
             }
-            
+
             return replacement;
           });
-          
-          // If no matches were found, return original string (not empty string)
-          // (replace doesn't change the string if no matches, so we need to check)
-          if (result === sourceStr) {
-            // Check if there was actually a match by doing a test match
-            const testRegex = new RegExp(cleanPattern);
-            if (!testRegex.test(sourceStr)) {
-              // No match found - return original string unchanged
-              return sourceStr;
-            }
-          }
-          
-          return result;
         } catch (error) {
           // Invalid regex pattern, return empty string
           return '';
         }
-      }
-    };
-    
-    // Process functions from innermost to outermost
-    let changed = true;
-    let iterations = 0;
-    while (changed && iterations < 100) {
-      changed = false;
-      iterations++;
-      
-      for (const [funcName, func] of Object.entries(functions)) {
-        // Match function calls - handle both with and without arguments
-        // Pattern: FUNC_NAME(optional_args) - case insensitive, word boundary before function name
-        const regex = new RegExp(`\\b${funcName}\\s*\\(([^()]*(?:\\([^()]*\\)[^()]*)*)\\)`, 'gi');
-        let foundMatch = false;
-        const newExpr = expr.replace(regex, (match, args) => {
-          foundMatch = true;
-          changed = true;
-          // Handle empty arguments (like TODAY())
-          const trimmedArgs = args ? args.trim() : '';
-          const argList = trimmedArgs ? this._parseFunctionArgs(trimmedArgs) : [];
-          const result = func(...argList);
-          return typeof result === 'string' ? `"${result}"` : String(result);
-        });
-        if (foundMatch && newExpr !== expr) {
-          expr = newExpr;
-          break;
-        }
-      }
-    }
-    
-    return expr;
-  }
-  
-  _parseFunctionArgs(args) {
-    // Parse function arguments, handling nested parentheses and commas
-    const result = [];
-    let current = '';
-    let depth = 0;
-    let inString = false;
-    let stringChar = '';
-    
-    for (let i = 0; i < args.length; i++) {
-      const char = args[i];
-      
-      if ((char === '"' || char === "'") && (i === 0 || args[i-1] !== '\\')) {
-        if (!inString) {
-          inString = true;
-          stringChar = char;
-        } else if (char === stringChar) {
-          inString = false;
-          stringChar = '';
-        }
-        current += char;
-      } else if (!inString) {
-        if (char === '(') {
-          depth++;
-          current += char;
-        } else if (char === ')') {
-          depth--;
-          current += char;
-        } else if (char === ',' && depth === 0) {
-          result.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-      } else {
-        current += char;
-      }
-    }
-    if (current.trim()) result.push(current.trim());
-    
-    // Return arguments as-is without automatically resolving field references
-    // Functions should handle their own argument interpretation
-    // For example, SUM(Amount,0,1) should receive "Amount" as a string, not the field value
-    // Functions that need field values (like BLANK) can resolve them themselves
-    return result.map(arg => {
-      const trimmedArg = typeof arg === 'string' ? arg.trim() : String(arg);
-      return trimmedArg;
-    });
-  }
-  
-  _handleFieldReferences(expr) {
-    // Replace field references with their values
-    // First, protect string literals and already processed values
-    const protectedValues = [];
-    let protectedIndex = 0;
-    
-    // Protect quoted strings
-    expr = expr.replace(/"([^"]*)"/g, (match) => {
-      const key = `__PROTECTED_${protectedIndex}__`;
-      protectedValues[protectedIndex] = match;
-      protectedIndex++;
-      return key;
-    });
-    
-    // Handle field references with offsets: columnName[offset]
-    // This must be done BEFORE protecting numbers, so brackets are still visible
-    // Pattern: columnName[offset] where offset can be an expression
-    // Process from right to left to handle nested brackets correctly
-    let changed = true;
-    let iterations = 0;
-    while (changed && iterations < 100) {
-      changed = false;
-      iterations++;
-      
-      // Match columnName[offset] pattern
-      // The offset can contain brackets, so we need to match balanced brackets
-      // Find the rightmost [ that's not part of a protected value
-      // When searching backwards: ] means we need to find its opening [, [ means we found an opening
-      let bracketStart = -1;
-      let bracketDepth = 0;
-      for (let i = expr.length - 1; i >= 0; i--) {
-        // Skip if we're inside a protected value placeholder
-        if (expr.substring(Math.max(0, i - 15), i + 1).includes('__PROTECTED_')) {
-          continue;
-        }
-        
-        if (expr[i] === ']') {
-          // Closing bracket when searching backwards - we need to find its opening
-          bracketDepth++;
-        } else if (expr[i] === '[') {
-          if (bracketDepth > 0) {
-            // Found the opening bracket for a closing bracket we saw
-            bracketDepth--;
-            if (bracketDepth === 0) {
-              // This is the outermost opening bracket we want
-              bracketStart = i;
-              break;
-            }
-          }
-          // If bracketDepth is 0, this [ doesn't have a matching ], skip it
-        }
-      }
-      
-      if (bracketStart === -1) {
-        break; // No more indexed fields
-      }
-      
-      // Find the field name before the bracket
-      const beforeBracket = expr.substring(0, bracketStart);
-      const fieldNameMatch = beforeBracket.match(/\b([A-Za-z_][A-Za-z0-9_]*)\s*$/);
-      if (!fieldNameMatch) {
-        break; // Not a field reference
-      }
-      
-      const fieldName = fieldNameMatch[1];
-      const fieldStart = bracketStart - fieldName.length;
-      
-      // Find the matching closing bracket
-      bracketDepth = 1;
-      let bracketEnd = bracketStart + 1;
-      for (let i = bracketStart + 1; i < expr.length; i++) {
-        if (expr[i] === '[') {
-          bracketDepth++;
-        } else if (expr[i] === ']') {
-          bracketDepth--;
-          if (bracketDepth === 0) {
-            bracketEnd = i;
-            break;
-          }
-        }
-      }
-      
-      if (bracketDepth !== 0) {
-        break; // Unmatched brackets
-      }
-      
-      const offsetExpr = expr.substring(bracketStart + 1, bracketEnd);
-      const matchStart = fieldStart;
-      const matchEnd = bracketEnd + 1;
-      
-      try {
-        // Evaluate the offset expression
-        const offsetResult = this._evaluateExpression(offsetExpr);
-        const offset = typeof offsetResult === 'string' ? parseFloat(offsetResult) : offsetResult;
-        
-        if (isNaN(offset)) {
-          throw new Error(`Invalid offset expression: ${offsetExpr}`);
-        }
-        
-        // Get the value from the offset row
-        const value = this._getFieldValueWithOffset(fieldName, Math.round(offset));
-        
-        if (value !== null && value !== undefined) {
-          const key = `__PROTECTED_${protectedIndex}__`;
-          protectedValues[protectedIndex] = typeof value === 'string' ? `"${value}"` : String(value);
-          protectedIndex++;
-          
-          // Replace the indexed field reference
-          expr = expr.substring(0, matchStart) + key + expr.substring(matchEnd);
-          changed = true;
-        } else {
-          // Field not found or out of bounds, replace with empty string
-          const key = `__PROTECTED_${protectedIndex}__`;
-          protectedValues[protectedIndex] = '""'; // Empty string
-          protectedIndex++;
-          expr = expr.substring(0, matchStart) + key + expr.substring(matchEnd);
-          changed = true;
-        }
-      } catch (error) {
-        // If offset evaluation fails, treat as regular field reference (offset 0)
-        const value = this._getFieldValue(fieldName);
-        if (value !== null && value !== undefined) {
-          const key = `__PROTECTED_${protectedIndex}__`;
-          protectedValues[protectedIndex] = typeof value === 'string' ? `"${value}"` : String(value);
-          protectedIndex++;
-          expr = expr.substring(0, matchStart) + key + expr.substring(matchEnd);
-          changed = true;
+      },
+      'HAS_TAG': (tag) => {
+        // 1 if one of the row's tags is the tag or one of its subcategories, else 0
+        if (!tag) {
+          return 0;
         }
+
+        const cleanTag = normalizeTagPath(this._evaluateNode(tag));
+        return cleanTag && rowHasTag(this._getFieldValue(TAG_COLUMN), cleanTag) ? 1 : 0;
+      },
+      'TAG_COUNT': () => {
+        // Number of tags on the row (0 if untagged or the table has no tag column)
+        return splitTags(this._getFieldValue(TAG_COLUMN)).length;
       }
-    }
-    
-    // Now replace regular field references (without offsets)
-    // Use a regex that excludes field names followed by [
-    const fieldRegex = /\b([A-Za-z_][A-Za-z0-9_]*)\b(?!\s*\[)/g;
-    expr = expr.replace(fieldRegex, (match, fieldName) => {
-      // Skip if this looks like it might be part of an indexed reference we already processed
-      // (though at this point, indexed references should already be replaced)
-      const value = this._getFieldValue(fieldName);
-      if (value !== null && value !== undefined) {
-        const key = `__PROTECTED_${protectedIndex}__`;
-        protectedValues[protectedIndex] = typeof value === 'string' ? `"${value}"` : String(value);
-        protectedIndex++;
-        return key;
-      }
-      return match;
-    });
-    
-    // Restore protected values
-    for (let i = 0; i < protectedValues.length; i++) {
-      expr = expr.replace(`__PROTECTED_${i}__`, protectedValues[i]);
-    }
-    
-    return expr;
+    };
   }
-  
+
   _getFieldValueWithOffset(fieldName, offset) {
     // Get field value from a row offset by 'offset' from the current row
     // offset > 0 means next rows, offset < 0 means previous rows, offset = 0 means current row
-    if (!this.row || !this.currentTable) {
-      return null;
+    // Offset 0 is the row being evaluated, which may not be stored in the table yet
+    if (offset === 0) {
+      return this._getFieldValue(fieldName);
     }
-    
+
+    if (!this.currentTable || this.rowIndex === null || this.rowIndex === undefined) {
+      return null; // Current row position unknown
+    }
+
     const table = this.tables[this.currentTable];
     if (!table) {
       return null;
     }
-    
-    // Get current row index
-    let currentIndex = table.rows.indexOf(this.row);
-    if (currentIndex === -1) {
-      // Try to find by comparing field values
-      for (let i = 0; i < table.rows.length; i++) {
-        const row = table.rows[i];
-        let matches = true;
-        for (const col of table.schema) {
-          if (row[col.name] !== this.row[col.name]) {
-            matches = false;
-            break;
-          }
-        }
-        if (matches) {
-          currentIndex = i;
-          break;
-        }
-      }
-    }
-    
-    if (currentIndex === -1) {
-      return null; // Current row not found
-    }
-    
+
     // Calculate target row index
-    const targetIndex = currentIndex + offset;
-    
+    const targetIndex = this.rowIndex + offset;
+
     // Check bounds
     if (targetIndex < 0 || targetIndex >= table.rows.length) {
       return null; // Out of bounds
     }
-    
+
     // Get value from target row
     const targetRow = table.rows[targetIndex];
     if (targetRow && targetRow.hasOwnProperty(fieldName)) {
       return targetRow[fieldName];
     }
-    
+
     return null;
   }
-  
+
   _getFieldValue(fieldName) {
     if (this.row && this.row.hasOwnProperty(fieldName)) {
       return this.row[fieldName];
     }
+    if (this.qualifiedRows) {
+      // left.Description reads the left row; an unqualified name missing from the left row reads the right one
+      const dot = fieldName.indexOf('.');
+      const qualifiedRow = dot > 0 ? this.qualifiedRows[fieldName.slice(0, dot).toLowerCase()] : this.qualifiedRows.right;
+      const name = dot > 0 ? fieldName.slice(dot + 1) : fieldName;
+      if (qualifiedRow && qualifiedRow.hasOwnProperty(name)) {
+        return qualifiedRow[name];
+      }
+    }
     return null;
   }
-  
+
+  /**
+   * Compares two values. Numbers (and numeric strings) compare numerically,
+   * TEXT compares with TEXT; anything else is a type mismatch.
+   * @returns {number} 1 if the comparison holds, 0 otherwise
+   */
+  _compareValues(left, right, operator) {
+    const leftIsString = typeof left === 'string';
+    const rightIsString = typeof right === 'string';
+
+    let leftVal;
+    let rightVal;
+
+    if (leftIsString && rightIsString) {
+      // Both TEXT: string comparison
+      leftVal = left;
+      rightVal = right;
+      // A DATE value (stored as YYYY-MM-DD) compares chronologically with text in any date input format
+      if (ISO_DATE_PATTERN.test(left) || ISO_DATE_PATTERN.test(right)) {
+        const leftDate = parseDate(left);
+        const rightDate = parseDate(right);
+        if (leftDate !== null && rightDate !== null) {
+          leftVal = leftDate;
+          rightVal = rightDate;
+        }
+      }
+    } else {
+      // At least one side is numeric: both must be numeric
+      leftVal = this._toNumeric(left);
+      rightVal = this._toNumeric(right);
+      if (isNaN(leftVal) || isNaN(rightVal)) {
+        const leftDisplay = leftIsString ? `"${left}"` : String(left);
+        const rightDisplay = rightIsString ? `"${right}"` : String(right);
+        throw new Error(`Type mismatch: cannot compare ${isNaN(leftVal) ? 'TEXT' : 'numeric'} value ${leftDisplay} with ${isNaN(rightVal) ? 'TEXT' : 'numeric'} value ${rightDisplay} using operator '${operator}'`);
+      }
+    }
+
+    let result;
+    switch (operator) {
+      case '<':
+        result = leftVal < rightVal;
+        break;
+      case '>':
+        result = leftVal > rightVal;
+        break;
+      case '=':
+        result = leftVal === rightVal;
+        break;
+      case '!=':
+        result = leftVal !== rightVal;
+        break;
+      default:
+        throw new Error(`Unknown comparison operator: ${operator}`);
+    }
+    return result ? 1 : 0;
+  }
+
   /**
-   * Resolves a string argument by stripping quotes and optionally resolving field references.
-   * Handles both single and double quotes. If the string is not quoted and resolveField is true,
-   * attempts to resolve it as a field name, falling back to the string itself if not found.
-   * 
-   * @param {string|*} arg - The argument to resolve
-   * @param {boolean} resolveField - If true, resolve unquoted strings as field names
-   * @returns {*} The resolved value (string if quoted, field value if resolved, original if not)
+   * Converts a value to a number for arithmetic and numeric comparison.
+   * @param {*} val - The value
+   * @returns {number} The number, or NaN if the value is not numeric
    */
-  _resolveStringArg(arg, resolveField = true) {
-    if (typeof arg !== 'string') {
-      return arg;
+  _toNumeric(val) {
+    if (typeof val === 'number') return val;
+    if (typeof val === 'string') {
+      const trimmed = val.trim();
+      return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed) ? parseFloat(trimmed) : NaN;
     }
-    
-    // Check if it's a quoted string (single or double quotes)
-    const isDoubleQuoted = arg.startsWith('"') && arg.endsWith('"');
-    const isSingleQuoted = arg.startsWith("'") && arg.endsWith("'");
-    
-    if (isDoubleQuoted || isSingleQuoted) {
-      // Extract content from quoted string
-      return arg.slice(1, -1);
+    return NaN;
+  }
+
+  /**
+   * Boolean truthiness: 0 and '' are false, other numbers and strings are true.
+   * @param {*} val - The value
+   * @returns {boolean}
+   */
+  _isTruthy(val) {
+    if (typeof val === 'number') return val !== 0 && !isNaN(val);
+    if (typeof val === 'string') return val !== '';
+    return !!val;
+  }
+}
+
+// ============================================================================
+// Table History (Undo/Redo)
+// ============================================================================
+
+/**
+ * Number of steps kept in each table's undo stack.
+ * Set HISTORY_DEPTH to override; older steps are dropped.
+ * @type {number}
+ */
+const HISTORY_DEPTH = parseInt(process.env.HISTORY_DEPTH, 10) > 0 ? parseInt(process.env.HISTORY_DEPTH, 10) : 20;
+
+/**
+ * Returns the history of a table, creating empty stacks if it has none.
+ * 
+ * @param {string} tableName - The table name
+ * @returns {{undo: Array<Object>, redo: Array<Object>}}
+ */
+function getTableHistory(tableName) {
+  if (!tableHistory[tableName]) {
+    tableHistory[tableName] = { undo: [], redo: [] };
+  }
+  return tableHistory[tableName];
+}
+
+/**
+ * Captures the state of some tables just before they change, so the change can be
+ * worked out afterwards by diffTableState. The capture is transient: history steps keep
+ * only the differences. Row objects are kept by reference; the values of the rows that
+ * may change are copied (row values are primitives, so a shallow copy is enough).
+ * 
+ * @param {Array<string>} tableNames - Names of the tables about to change
+ * @param {Object<string, Array<Object>>} [rowsToCopy] - For some tables, the only rows whose values
+ *   may change; the values of every row of the other tables are copied
+ * @returns {Object<string, Object|null>} The state of each table, or null for a table that does not exist
+ */
+function captureTables(tableNames, rowsToCopy = {}) {
+  const states = {};
+  for (const name of tableNames) {
+    const table = tables[name];
+    if (!table) {
+      states[name] = null;
+      continue;
     }
-    
-    // If not quoted and resolveField is true, try to resolve as field name
-    if (resolveField) {
-      const fieldValue = this._getFieldValue(arg);
-      if (fieldValue !== null && fieldValue !== undefined) {
-        return fieldValue;
-      }
+    const values = new Map();
+    for (const row of rowsToCopy[name] || table.rows) {
+      values.set(row, { ...row });
     }
-    
-    // Return the string as-is if not quoted or field not found
-    return arg;
+    states[name] = {
+      table,
+      schema: table.schema.map(col => ({ ...col })),
+      rows: table.rows.slice(),
+      values,
+      originalFile: table.originalFile
+    };
   }
-  
-  _handleStringLiterals(expr) {
-    // Handle single-quoted strings
-    return expr.replace(/'([^']*)'/g, (match, content) => {
-      return `"${content}"`;
-    });
+  return states;
+}
+
+/**
+ * Works out what undoing a change to a table takes, from its state captured before the change.
+ * Only what changed is kept: the schema, the row list if rows were added, removed or
+ * reordered, and the previous values of the cells that changed. Cells of columns the
+ * change added are not kept, since restoring the old schema removes those columns.
+ * 
+ * @param {string} tableName - The table name
+ * @param {Object|null} state - The table's state from captureTables, or null if it did not exist
+ * @returns {Object} The change, for restoreTableState
+ */
+function diffTableState(tableName, state) {
+  if (!state) {
+    return { table: null };
   }
   
-  _handleBooleanOps(expr) {
-    // Handle ! (NOT) - match numbers, quoted strings, or function results
-    // Process iteratively to handle all ! operators
-    let changed = true;
-    let iterations = 0;
-    while (changed && iterations < 100) {
-      changed = false;
-      iterations++;
-      // Match ! followed by a number (with optional decimal), quoted string, or standalone number
-      // This handles both !1 and !"1" cases
-      const notRegex = /!(\d+(?:\.\d+)?|"[^"]*")/g;
-      const newExpr = expr.replace(notRegex, (match, val) => {
-        changed = true;
-        const num = this._toNumber(val);
-        // If num is truthy (non-zero), return 0 (false), else return 1 (true)
-        return num ? 0 : 1;
-      });
-      if (newExpr !== expr) {
-        expr = newExpr;
-      } else {
-        break;
+  const table = tables[tableName];
+  const sameRows = table === state.table && table.rows.length === state.rows.length &&
+    table.rows.every((row, i) => row === state.rows[i]);
+  const columns = new Set(state.schema.map(col => col.name));
+  
+  const cells = [];
+  for (const [row, values] of state.values) {
+    for (const column of columns) {
+      if (row[column] !== values[column]) {
+        cells.push({ row, column, value: values[column] });
       }
     }
-    
-    // Handle && (AND) - need to be careful with order
-    const andRegex = /(\d+(?:\.\d+)?|"[^"]*")\s*&&\s*(\d+(?:\.\d+)?|"[^"]*")/g;
-    while (andRegex.test(expr)) {
-      expr = expr.replace(andRegex, (match, left, right) => {
-        const l = this._toNumber(left);
-        const r = this._toNumber(right);
-        return (l && r) ? 1 : 0;
-      });
+  }
+  
+  return {
+    table: state.table,
+    schema: state.schema,
+    rows: sameRows ? null : state.rows,
+    cells,
+    originalFile: state.originalFile
+  };
+}
+
+/**
+ * Puts a table back into the state a change from diffTableState describes,
+ * removing it if it did not exist.
+ * 
+ * @param {string} tableName - The table name
+ * @param {Object} change - Result of diffTableState
+ */
+function restoreTableState(tableName, change) {
+  if (!change.table) {
+    delete tables[tableName];
+    return;
+  }
+  
+  // Columns the undone change added are removed from the rows again
+  const current = tables[tableName];
+  const addedColumns = current
+    ? current.schema.filter(col => !change.schema.some(c => c.name === col.name)).map(col => col.name)
+    : [];
+  
+  const table = change.table;
+  table.schema = change.schema;
+  table.originalFile = change.originalFile;
+  if (change.rows) {
+    table.rows = change.rows;
+  }
+  for (const cell of change.cells) {
+    if (cell.value === undefined) {
+      delete cell.row[cell.column];
+    } else {
+      cell.row[cell.column] = cell.value;
     }
-    
-    // Handle || (OR)
-    const orRegex = /(\d+(?:\.\d+)?|"[^"]*")\s*\|\|\s*(\d+(?:\.\d+)?|"[^"]*")/g;
-    while (orRegex.test(expr)) {
-      expr = expr.replace(orRegex, (match, left, right) => {
-        const l = this._toNumber(left);
-        const r = this._toNumber(right);
-        return (l || r) ? 1 : 0;
-      });
+  }
+  if (addedColumns.length > 0) {
+    for (const row of table.rows) {
+      for (const column of addedColumns) {
+        delete row[column];
+      }
     }
-    
-    return expr;
+  }
+  tables[tableName] = table;
+}
+
+/**
+ * Lists the rows whose values restoring a change may alter, so that only those are copied
+ * when the change is captured for its inverse: the rows with changed cells, or every row
+ * if columns will be removed.
+ * 
+ * @param {string} tableName - The table name
+ * @param {Object} change - Result of diffTableState
+ * @returns {Array<Object>|undefined} The rows, or undefined for every row
+ */
+function rowsChangedByRestore(tableName, change) {
+  const current = tables[tableName];
+  if (!current || !change.table) {
+    // Removing a table changes no row values; a table that is put back is not captured
+    return [];
+  }
+  if (current.schema.some(col => !change.schema.some(c => c.name === col.name))) {
+    return undefined;
+  }
+  return change.cells.map(cell => cell.row);
+}
+
+/**
+ * Moves a table's history to a new name, for RENAME_TABLE and its undo/redo.
+ * 
+ * @param {string} fromName - Current name of the table
+ * @param {string} toName - Name the history moves to
+ */
+function moveTableHistory(fromName, toName) {
+  if (fromName === toName || !tableHistory[fromName]) return;
+  tableHistory[toName] = tableHistory[fromName];
+  delete tableHistory[fromName];
+}
+
+/**
+ * Records a step in a table's undo stack. A new step clears the redo stack.
+ * Only the differences between the captured states and the tables now are kept.
+ * 
+ * @param {Object} step - The step
+ * @param {string} step.label - Description of the change, e.g. the command name
+ * @param {string} step.tableName - Table whose history holds the step (the table's name after the change)
+ * @param {string} step.previousName - The table's name before the change; differs only for RENAME_TABLE
+ * @param {Object<string, Object|null>} step.states - The affected tables before the change, from captureTables
+ * @param {Array<string>} [step.linkedTables] - Tables whose histories all hold the step, for a change
+ *   to several existing tables (MATCH_TRANSFERS); it can then be undone from any of them
+ */
+function recordHistory(step) {
+  const changes = {};
+  for (const [name, state] of Object.entries(step.states)) {
+    changes[name] = diffTableState(name, state);
   }
   
-  _handleComparisons(expr) {
-    // Ensure expr is a string (defensive check)
-    if (typeof expr !== 'string') {
-      expr = String(expr);
+  moveTableHistory(step.previousName, step.tableName);
+  const entry = { label: step.label, tableName: step.tableName, previousName: step.previousName, changes, linkedTables: step.linkedTables };
+  for (const name of step.linkedTables || [step.tableName]) {
+    const history = getTableHistory(name);
+    history.undo.push(entry);
+    if (history.undo.length > HISTORY_DEPTH) {
+      history.undo.splice(0, history.undo.length - HISTORY_DEPTH);
     }
-    
-    // Pattern to match values: numbers (with optional decimal, including negative) or quoted strings
-    // Also handles already-evaluated numeric expressions
-    const valuePattern = /(-?\d+(?:\.\d+)?|"[^"]*")/;
-    
-    // Process comparisons in order: != first (to avoid matching = in !=), then <, >, =
-    // Use a loop to handle multiple comparisons in the expression
-    let changed = true;
-    let iterations = 0;
-    while (changed && iterations < 100) {
-      changed = false;
-      iterations++;
-      
-      // Handle != (must come before = to avoid matching = in !=)
-      // Note: valuePattern has a capturing group, so we get nested groups
-      // match[1] = left value, match[3] = right value (not match[2]!)
-      const notEqualPattern = new RegExp(`(${valuePattern.source})\\s*!=\\s*(${valuePattern.source})`, 'g');
-      expr = expr.replace(notEqualPattern, (match, ...args) => {
-        // Due to nested capturing groups: args[0]=left, args[1]=inner left, args[2]=right
-        const left = args[0];
-        const right = args[2];
-        changed = true;
-        return String(this._compareValues(left, right, '!='));
-      });
-      
-      // Handle <
-      const lessPattern = new RegExp(`(${valuePattern.source})\\s*<\\s*(${valuePattern.source})`, 'g');
-      expr = expr.replace(lessPattern, (match, ...args) => {
-        // Due to nested capturing groups: args[0]=outer left, args[1]=inner left, args[2]=outer right, args[3]=inner right
-        // The outer groups (args[0] and args[2]) contain the actual values we want to compare
-        const left = args[0];
-        const right = args[2];
-        changed = true;
-        return String(this._compareValues(left, right, '<'));
-      });
-      
-      // Handle >
-      const greaterPattern = new RegExp(`(${valuePattern.source})\\s*>\\s*(${valuePattern.source})`, 'g');
-      expr = expr.replace(greaterPattern, (match, ...args) => {
-        // Due to nested capturing groups: args[0]=outer left, args[2]=outer right
-        const left = args[0];
-        const right = args[2];
-        changed = true;
-        return String(this._compareValues(left, right, '>'));
-      });
-      
-      // Handle = (must come after !=)
-      const equalPattern = new RegExp(`(${valuePattern.source})\\s*=\\s*(${valuePattern.source})`, 'g');
-      expr = expr.replace(equalPattern, (match, ...args) => {
-        // Due to nested capturing groups: args[0]=outer left, args[2]=outer right
-        const left = args[0];
-        const right = args[2];
-        changed = true;
-        return String(this._compareValues(left, right, '='));
-      });
+    history.redo = [];
+  }
+}
+
+/**
+ * Changes one table in place and records the change as an undo step.
+ * 
+ * @param {string} tableName - The table to change
+ * @param {string} label - Description of the change
+ * @param {Function} change - Makes the change (synchronously)
+ * @param {Array<Object>} [rows] - The only rows whose values the change may alter; by default any row
+ * @returns {*} The result of change
+ */
+function recordTableChange(tableName, label, change, rows) {
+  const states = captureTables([tableName], rows ? { [tableName]: rows } : {});
+  const result = change();
+  recordHistory({ label, tableName, previousName: tableName, states });
+  return result;
+}
+
+/**
+ * Works out which tables a command changes, so they can be captured before it runs.
+ * Commands that create a table capture the new name, which undo then removes again.
+ * 
+ * @param {string} command - The command name
+ * @param {string} tableName - The target table name
+ * @param {Object} params - Command parameters
+ * @returns {{tableName: string, previousName: string, tableNames: Array<string>, linkedTables?: Array<string>}|null}
+ *   The table whose history records the step, the tables to capture and, for a step kept in several
+ *   histories, their tables; or null if the command changes no table
+ */
+function getCommandHistoryTarget(command, tableName, params) {
+  switch (command) {
+    case 'SAVE_TABLE':
+      return null;
+    case 'RENAME_TABLE':
+      if (!params || !params.newName || !tables[tableName]) return null;
+      return { tableName: params.newName, previousName: tableName, tableNames: [tableName, params.newName] };
+    case 'DEDUPE_TABLE':
+      // Reviewing duplicates creates a table and leaves the source alone
+      if (params && params.keep === 'review') {
+        if (!params.newName) return null;
+        return { tableName: params.newName, previousName: params.newName, tableNames: [params.newName] };
+      }
+      if (!tables[tableName]) return null;
+      return { tableName, previousName: tableName, tableNames: [tableName] };
+    case 'MATCH_TRANSFERS': {
+      // Marks rows of both tables, so the step is kept in both tables' histories
+      if (!params || !tables[tableName] || !tables[params.tableName1]) return null;
+      const tableNames = [...new Set([tableName, params.tableName1])];
+      return { tableName, previousName: tableName, tableNames, linkedTables: tableNames };
     }
-    
-    return expr;
+    case 'COLLAPSE_TABLE':
+    case 'JOIN_TABLE':
+    case 'COPY_TABLE':
+    case 'GROUP_TABLE':
+    case 'PIVOT_TABLE':
+    case 'UNPIVOT':
+    case 'SPLICE_TABLES':
+      if (!params || !params.newName) return null;
+      return { tableName: params.newName, previousName: params.newName, tableNames: [params.newName] };
+    default:
+      // A command on a missing table fails without changing anything
+      if (!tableName || !tables[tableName]) return null;
+      return { tableName, previousName: tableName, tableNames: [tableName] };
+  }
+}
+
+/**
+ * Undoes or redoes the last step of a table. The current state of the affected
+ * tables is pushed onto the opposite stack, so the step can be reversed again.
+ * A step linked to other tables is undone in all of them at once, and only while
+ * it is still the last step of each; otherwise it is refused.
+ * 
+ * @param {string} tableName - The table name (for a deleted table, the name it had)
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Promise<Object>} Result object with the table's current name and the affected tables
+ */
+async function applyHistoryStep(tableName, direction) {
+  if (!tableName) {
+    return { success: false, error: 'Table name is required' };
   }
   
-  _compareValues(leftStr, rightStr, operator) {
-    // Determine if operands are strings or numbers
-    // A value is a string (TEXT) if it's quoted with double quotes
-    const leftIsString = typeof leftStr === 'string' && leftStr.startsWith('"') && leftStr.endsWith('"');
-    const rightIsString = typeof rightStr === 'string' && rightStr.startsWith('"') && rightStr.endsWith('"');
-    
-    // If both are quoted strings, do TEXT comparison
-    if (leftIsString && rightIsString) {
-      const leftVal = leftStr.slice(1, -1);
-      const rightVal = rightStr.slice(1, -1);
-      let result;
-      switch (operator) {
-        case '<':
-          result = leftVal < rightVal;
-          break;
-        case '>':
-          result = leftVal > rightVal;
-          break;
-        case '=':
-          result = leftVal === rightVal;
-          break;
-        case '!=':
-          result = leftVal !== rightVal;
-          break;
-        default:
-          throw new Error(`Unknown comparison operator: ${operator}`);
-      }
-      return result ? 1 : 0;
-    }
-    
-    // Check if both are numeric (even if one is quoted and one is not, or both are unquoted)
-    // This handles cases like "50.5" (unquoted numeric string from REAL/INT field) vs "100.0" (unquoted numeric literal)
-    // Also handles cases where a numeric value might be in quotes but is still numeric
-    const leftNum = parseFloat(leftIsString ? leftStr.slice(1, -1) : leftStr);
-    const rightNum = parseFloat(rightIsString ? rightStr.slice(1, -1) : rightStr);
-    const leftIsNumeric = !isNaN(leftNum) && isFinite(leftNum) && leftStr.trim() !== '';
-    const rightIsNumeric = !isNaN(rightNum) && isFinite(rightNum) && rightStr.trim() !== '';
-    
-    // If both are numeric, do numeric comparison (regardless of whether they're quoted)
-    if (leftIsNumeric && rightIsNumeric) {
-      let result;
-      switch (operator) {
-        case '<':
-          result = leftNum < rightNum;
-          break;
-        case '>':
-          result = leftNum > rightNum;
-          break;
-        case '=':
-          result = leftNum === rightNum;
-          break;
-        case '!=':
-          result = leftNum !== rightNum;
-          break;
-        default:
-          throw new Error(`Unknown comparison operator: ${operator}`);
-      }
-      return result ? 1 : 0;
-    }
-    
-    // If one is quoted and one is not, and they're not both numeric, that's a type mismatch
-    if (leftIsString !== rightIsString) {
-      const leftDisplay = leftIsString ? `"${leftStr.slice(1, -1)}"` : leftStr;
-      const rightDisplay = rightIsString ? `"${rightStr.slice(1, -1)}"` : rightStr;
-      throw new Error(`Type mismatch: cannot compare ${leftIsString ? 'TEXT' : 'numeric'} value ${leftDisplay} with ${rightIsString ? 'TEXT' : 'numeric'} value ${rightDisplay} using operator '${operator}'`);
-    }
-    
-    // One is numeric, one is not - this is an error
-    if (leftIsNumeric || rightIsNumeric) {
-      const leftDisplay = leftIsString ? `"${leftStr.slice(1, -1)}"` : leftStr;
-      const rightDisplay = rightIsString ? `"${rightStr.slice(1, -1)}"` : rightStr;
-      throw new Error(`Type mismatch: cannot compare ${leftIsNumeric ? 'numeric' : 'TEXT'} value ${leftDisplay} with ${rightIsNumeric ? 'numeric' : 'TEXT'} value ${rightDisplay} using operator '${operator}'`);
-    }
-    
-    // Neither is numeric and neither is quoted - treat as TEXT comparison
-    // This handles edge cases where both are non-numeric strings
-    let result;
-    switch (operator) {
-      case '<':
-        result = leftStr < rightStr;
-        break;
-      case '>':
-        result = leftStr > rightStr;
-        break;
-      case '=':
-        result = leftStr === rightStr;
-        break;
-      case '!=':
-        result = leftStr !== rightStr;
-        break;
-      default:
-        throw new Error(`Unknown comparison operator: ${operator}`);
-    }
-    return result ? 1 : 0;
+  const history = tableHistory[tableName];
+  if (!history || history[direction].length === 0) {
+    return { success: false, error: `Nothing to ${direction} for table ${tableName}` };
   }
   
-  _toComparable(val) {
-    if (typeof val === 'string' && val.startsWith('"') && val.endsWith('"')) {
-      return val.slice(1, -1);
+  const step = history[direction][history[direction].length - 1];
+  const owners = step.linkedTables || [tableName];
+  for (const name of owners) {
+    const other = tableHistory[name];
+    if (!other || other[direction][other[direction].length - 1] !== step) {
+      return { success: false, error: `Cannot ${direction} ${step.label}: it also changed table ${name}, which has changed since` };
     }
-    return this._toNumber(val);
   }
+  for (const name of owners) {
+    tableHistory[name][direction].pop();
+  }
+  const names = Object.keys(step.changes);
   
-  _handleUnaryMinus(expr) {
-    // Handle unary minus: -expression
-    // This processes unary minus before binary arithmetic operations
-    // Pattern: - at start of expression or after operators/whitespace/parens, followed by a number or parenthesized expression
-    // Note: Handles cases like -Amount where Amount might be negative (results in --5 which becomes 5)
-    
-    let changed = true;
-    let iterations = 0;
-    
-    while (changed && iterations < 100) {
-      changed = false;
-      iterations++;
-      
-      // Match unary minus at start or after operators/whitespace/parens
-      // Look for: (start|operator|whitespace|paren) whitespace* - (number|negative number|parenthesized expression)
-      // This avoids matching binary subtraction (which has a number before the -)
-      // Note: number can be negative (e.g., --5 should become 5)
-      const unaryMinusPattern = /(^|[\s\+\-\*\/\^\(])\s*-\s*(-?\d+(?:\.\d+)?|\([^)]+\))/;
-      const match = expr.match(unaryMinusPattern);
-      
-      if (match) {
-        const beforeMinus = match[1]; // Character before minus (or empty string at start)
-        const value = match[2]; // Value to negate
-        
-        // Verify it's unary (not binary subtraction)
-        // If beforeMinus is empty (start) or is an operator/whitespace/paren, it's unary
-        const isUnary = match.index === 0 || /[\s\+\-\*\/\^\(]/.test(beforeMinus);
-        
-        if (isUnary) {
-          let negatedValue;
-          
-          // If value is in parentheses, evaluate the inner expression
-          if (value.startsWith('(') && value.endsWith(')')) {
-            const innerExpr = value.slice(1, -1);
-            const innerResult = this._evaluateExpression(innerExpr);
-            const innerNum = this._toNumber(String(innerResult));
-            negatedValue = -innerNum;
-          } else {
-            // It's a number (may be negative)
-            const num = parseFloat(value);
-            if (isNaN(num)) {
-              throw new Error(`Type mismatch: Cannot apply unary minus (-) to non-numeric value: ${value}`);
-            }
-            negatedValue = -num;
-          }
-          
-          // Replace the unary minus expression
-          // If beforeMinus is just whitespace or empty, don't include it in replacement
-          const prefix = (beforeMinus === '' || /^\s+$/.test(beforeMinus)) ? '' : beforeMinus;
-          const replacement = prefix + String(negatedValue);
-          const newExpr = expr.substring(0, match.index) + replacement + expr.substring(match.index + match[0].length);
-          
-          // Only mark as changed if the expression actually changed
-          if (newExpr !== expr) {
-            expr = newExpr;
-            changed = true;
-          } else {
-            // Expression didn't change, stop processing to avoid infinite loop
-            changed = false;
-          }
-        }
-      }
-    }
-    
-    return expr;
+  // Capture what the restore changes, so the inverse step can be worked out
+  const rowsToCopy = {};
+  for (const name of names) {
+    rowsToCopy[name] = rowsChangedByRestore(name, step.changes[name]);
+  }
+  const states = captureTables(names, rowsToCopy);
+  for (const name of names) {
+    restoreTableState(name, step.changes[name]);
+  }
+  const changes = {};
+  for (const name of names) {
+    changes[name] = diffTableState(name, states[name]);
   }
+  const inverse = { ...step, changes };
   
-  _handleArithmetic(expr) {
-    // Protect quoted strings from arithmetic operations
-    const protectedStrings = [];
-    let protectedIndex = 0;
-    
-    expr = expr.replace(/"([^"]*)"/g, (match, content) => {
-      const key = `__STRING_${protectedIndex}__`;
-      protectedStrings[protectedIndex] = match;
-      protectedIndex++;
-      return key;
-    });
-    
-    // Handle exponentiation (only on numbers, not protected strings)
-    expr = expr.replace(/(\d+(?:\.\d+)?)\s*\^\s*(\d+(?:\.\d+)?)/g, (match, left, right) => {
-      return Math.pow(parseFloat(left), parseFloat(right));
-    });
-    
-    // Handle multiplication and division (only on numbers, not protected strings)
-    expr = expr.replace(/(\d+(?:\.\d+)?)\s*\*\s*(\d+(?:\.\d+)?)/g, (match, left, right) => {
-      return parseFloat(left) * parseFloat(right);
-    });
-    
-    expr = expr.replace(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/g, (match, left, right) => {
-      return parseFloat(left) / parseFloat(right);
-    });
-    
-    // Handle addition and subtraction (only on numbers, not protected strings)
-    expr = expr.replace(/(\d+(?:\.\d+)?)\s*\+\s*(\d+(?:\.\d+)?)/g, (match, left, right) => {
-      return parseFloat(left) + parseFloat(right);
-    });
-    
-    expr = expr.replace(/(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)/g, (match, left, right) => {
-      return parseFloat(left) - parseFloat(right);
-    });
-    
-    // Restore protected strings
-    for (let i = 0; i < protectedStrings.length; i++) {
-      expr = expr.replace(`__STRING_${i}__`, protectedStrings[i]);
-    }
-    
-    // Clean up string quotes and convert to number if possible
-    // Only strip quotes if the entire expression is just a quoted string (no operators)
-    // This prevents stripping quotes from expressions like "USD" = "USD"
-    if (expr.startsWith('"') && expr.endsWith('"') && !expr.includes('=') && !expr.includes('<') && !expr.includes('>') && !expr.includes('!') && !expr.includes('+') && !expr.includes('-') && !expr.includes('*') && !expr.includes('/') && !expr.includes('^')) {
-      return expr.slice(1, -1);
-    }
-    
-    const num = parseFloat(expr);
-    if (!isNaN(num) && expr.trim() === String(num)) {
-      // Return as string to ensure compatibility with subsequent operations
-      return String(num);
-    }
-    
-    return expr;
+  // After an undo the table has its previous name again; after a redo, its later one
+  const [fromName, toName] = direction === 'undo' ? [step.tableName, step.previousName] : [step.previousName, step.tableName];
+  moveTableHistory(fromName, toName);
+  for (const name of step.linkedTables || [toName]) {
+    getTableHistory(name)[direction === 'undo' ? 'redo' : 'undo'].push(inverse);
   }
   
-  _toNumber(val) {
-    if (typeof val === 'number') return val;
-    if (typeof val === 'string') {
-      if (val.startsWith('"') && val.endsWith('"')) {
-        const str = val.slice(1, -1);
-        return str === '' ? 0 : 1;
-      }
-      const num = parseFloat(val);
-      return isNaN(num) ? 0 : num;
-    }
-    return val ? 1 : 0;
+  const changed = {};
+  for (const name of names) {
+    changed[name] = tables[name] ? serializeTable(tables[name]) : null;
   }
+  
+  await logAction(`${direction === 'undo' ? 'Undid' : 'Redid'} ${step.label} on table ${toName}`);
+  return { success: true, tableName: toName, tables: changed, history: describeTableHistory(toName) };
+}
+
+/**
+ * Summarizes a table's history for the client.
+ * 
+ * @param {string} tableName - The table name
+ * @returns {{undo: Array<string>, redo: Array<string>}} Step labels, most recent last
+ */
+function describeTableHistory(tableName) {
+  const history = tableHistory[tableName] || { undo: [], redo: [] };
+  return {
+    undo: history.undo.map(step => step.label),
+    redo: history.redo.map(step => step.label)
+  };
 }
 
+/**
+ * Undoes the last change to a table.
+ * 
+ * @route POST /api/undo
+ * @param {string} tableName - The table name
+ * @returns {Promise<Object>} Result object with the restored tables (null for a removed table)
+ */
+app.post('/api/undo', async (req, res) => {
+  try {
+    const result = await applyHistoryStep(req.body.tableName, 'undo');
+    res.json(result);
+  } catch (error) {
+    await logError('Undo failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Redoes the last undone change to a table.
+ * 
+ * @route POST /api/redo
+ * @param {string} tableName - The table name
+ * @returns {Promise<Object>} Result object with the restored tables (null for a removed table)
+ */
+app.post('/api/redo', async (req, res) => {
+  try {
+    const result = await applyHistoryStep(req.body.tableName, 'redo');
+    res.json(result);
+  } catch (error) {
+    await logError('Redo failed', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Lists the steps that can be undone and redone for a table.
+ * 
+ * @route GET /api/history/:tableName
+ * @returns {Object} Step labels in the undo and redo stacks
+ */
+app.get('/api/history/:tableName', (req, res) => {
+  res.json({ success: true, ...describeTableHistory(req.params.tableName) });
+});
+
 // API Routes
 app.get('/api/tables', async (req, res) => {
   try {
@@ -1666,7 +2612,7 @@ app.get('/api/tables', async (req, res) => {
           originalFile: table.originalFile
         };
       }
-      res.json({ success: true, tables: serialized });
+      res.json({ success: true, tables: serialized, imports: describePendingImports() });
     } else {
       res.json({ success: false, error: result.error });
     }
@@ -1676,6 +2622,35 @@ app.get('/api/tables', async (req, res) => {
   }
 });
 
+/**
+ * Lists the CSV files waiting for their inferred schema to be accepted or overridden.
+ * 
+ * @route GET /api/imports
+ * @returns {Promise<Object>} Pending imports by table name, with proposed schema and sample rows
+ */
+app.get('/api/imports', (req, res) => {
+  res.json({ success: true, imports: describePendingImports() });
+});
+
+/**
+ * Commits a pending import as a table.
+ * 
+ * @route POST /api/imports/commit
+ * @param {string} tableName - Name of the pending table
+ * @param {Object<string, string>} [types] - Column types overriding the inferred ones, by column name
+ * @returns {Promise<Object>} Result with the committed table
+ */
+app.post('/api/imports/commit', async (req, res) => {
+  try {
+    const { tableName, types } = req.body;
+    const result = await commitImport(tableName, types || {});
+    res.json(result);
+  } catch (error) {
+    await logError('Failed to commit import', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Restart endpoint - performs a complete reset equivalent to a cold start.
  * Clears main.log, deletes all tables from memory, resets command logging,
@@ -1697,8 +2672,9 @@ app.post('/api/restart', async (req, res) => {
       console.error('Failed to clear log file on restart:', error);
     }
     
-    // Clear all tables from memory
+    // Clear all tables and their undo/redo history from memory
     tables = {};
+    tableHistory = {};
     
     // Reset command logging
     commandLoggingEnabled = false;
@@ -1730,21 +2706,30 @@ app.post('/api/restart', async (req, res) => {
  * - RENAME_COLUMN: Rename a column in the table
  * - RENAME_TABLE: Rename the table
  * - DELETE_ROWS: Delete rows matching an expression
- * - COLLAPSE_TABLE: Group and sum numeric columns
+ * - COLLAPSE_TABLE: Group and sum (or otherwise aggregate) numeric columns
  * - REPLACE_TEXT: Replace text in a TEXT column using regex
  * - ADD_COLUMN: Add a column with values from an expression
  * - SET_VALUE: Set the value of an existing column using an expression
- * - JOIN_TABLE: Join two tables on a specified column
+ * - JOIN_TABLE: Join two tables on key columns, a condition over both rows or a date range (inner, left, right, full, semi or anti)
  * - COPY_TABLE: Copy table to a new name
  * - SORT_TABLE: Sort table by column and order
  * - DELETE_TABLE: Delete a table
- * - GROUP_TABLE: Group by column and sum specified columns
+ * - GROUP_TABLE: Group by one or more columns and aggregate specified columns
+ * - PIVOT_TABLE: Cross-tab a value column by a row key and a column key, with totals
+ * - UNPIVOT: Turn columns into rows of key and value, the reverse of PIVOT_TABLE
  * - REORDER_COLUMNS: Reorder columns to place specified ones first
+ * - AUTO_TAG: Tag rows with the first matching rule of a tag rules file
+ * - SPLIT_ROW: Replace a row with child rows that divide its amount
+ * - MATCH_TRANSFERS: Pair and mark the two sides of transfers between two account tables
+ * - DEDUPE_TABLE: Remove exact or fuzzy duplicate rows, or copy them to a new table for review
+ * - RECONCILE: Compute a running balance and check it against the statement's balances
  * 
  * @route POST /api/command
  * @param {string} command - The command name
  * @param {string} tableName - The target table name
- * @param {Object} params - Command-specific parameters
+ * @param {Object} params - Command-specific parameters; `preview: true` makes DELETE_ROWS,
+ *   SET_VALUE, REPLACE_TEXT, DROP_COLUMNS and DEDUPE_TABLE return the rows they would delete and the
+ *   cells they would change (`result.preview`) without changing the table
  * @returns {Promise<Object>} Result object with success flag and data/error
  */
 app.post('/api/command', async (req, res) => {
@@ -1766,11 +2751,19 @@ app.post('/api/command', async (req, res) => {
     params.selectedTables = params.selectedTables.map(name => name.replace(/\.(csv|CSV)$/i, ''));
   }
   
+  const startTime = Date.now();
+  // A preview reports what the command would change and leaves the tables alone
+  const preview = !!(params && params.preview);
+  
   try {
-    await logAction(`Command: ${command} on table: ${tableName} with params: ${JSON.stringify(params)}`);
+    if (preview && !PREVIEW_COMMANDS.includes(command)) {
+      return res.json({ success: false, error: `Preview is only available for ${PREVIEW_COMMANDS.join(', ')}` });
+    }
+    
+    await logAction(`${preview ? 'Preview' : 'Command'}: ${command} on table: ${tableName} with params: ${JSON.stringify(params)}`);
     
-    // Log command to commands.txt if logging is enabled
-    if (commandLoggingEnabled) {
+    // Log command to commands.txt if logging is enabled (previews change nothing, so they are not replayed)
+    if (commandLoggingEnabled && !preview) {
       await fs.appendFile(COMMANDS_LOG, `${command} ${tableName || ''} ${JSON.stringify(params || {})}\n`);
     }
     
@@ -1781,15 +2774,21 @@ app.post('/api/command', async (req, res) => {
     // Commands handled: SAVE_TABLE, DROP_COLUMNS, RENAME_TABLE, DELETE_ROWS,
     // COLLAPSE_TABLE, REPLACE_TEXT, ADD_COLUMN, JOIN_TABLE, COPY_TABLE,
     // SORT_TABLE, DELETE_TABLE, GROUP_TABLE, REORDER_COLUMNS, CONVERT_COLUMN,
-    // SPLICE_TABLES
+    // SPLICE_TABLES, AUTO_TAG, SPLIT_ROW, MATCH_TRANSFERS, DEDUPE_TABLE, RECONCILE,
+    // PIVOT_TABLE, UNPIVOT
     // ========================================================================
+    // Capture the tables this command may change, so it can be undone. The capture is
+    // dropped if the command fails; if it succeeds, only the differences are recorded
+    const historyTarget = preview ? null : getCommandHistoryTarget(command, tableName, params);
+    const historyStates = historyTarget ? captureTables(historyTarget.tableNames) : null;
+    
     let result;
     switch (command) {
       case 'SAVE_TABLE':
         result = await saveTable(tableName);
         break;
       case 'DROP_COLUMNS':
-        result = await dropColumns(tableName, params.columns);
+        result = await dropColumns(tableName, params.columns, preview);
         break;
       case 'RENAME_COLUMN':
         result = await renameColumn(tableName, params.oldColumnName, params.newColumnName);
@@ -1798,17 +2797,17 @@ app.post('/api/command', async (req, res) => {
         result = await renameTable(tableName, params.newName);
         break;
       case 'DELETE_ROWS':
-        result = await deleteRow(tableName, params.expression);
+        result = await deleteRow(tableName, params.expression, preview);
         break;
       case 'COLLAPSE_TABLE':
         if (!params || !params.newName) {
           result = { success: false, error: 'New table name is required' };
         } else {
-          result = await collapseTable(tableName, params.columnName, params.newName);
+          result = await collapseTable(tableName, params.groupColumns || params.columnName, params.newName, params.level, params.columns);
         }
         break;
       case 'REPLACE_TEXT':
-        result = await replaceText(tableName, params.columnName, params.regex, params.replacement);
+        result = await replaceText(tableName, params.columnName, params.regex, params.replacement, preview);
         break;
       case 'ADD_COLUMN':
         if (!params || !params.columnType) {
@@ -1818,13 +2817,25 @@ app.post('/api/command', async (req, res) => {
         }
         break;
       case 'SET_VALUE':
-        result = await setValue(tableName, params.columnName, params.expression);
+        result = await setValue(tableName, params.columnName, params.expression, preview);
         break;
       case 'JOIN_TABLE':
         if (!params || !params.newName) {
           result = { success: false, error: 'New table name is required' };
         } else {
-          result = await joinTable(tableName, params.tableName1, params.joinColumn, params.newName);
+          result = await joinTable(tableName, params.tableName1, params.joinColumns || params.joinColumn, params.newName, params.joinType || undefined, params.joinColumns1, params.leftPrefix, params.rightPrefix, {
+            condition: params.condition,
+            dateColumn: params.dateColumn,
+            rangeStart: params.rangeStart,
+            rangeEnd: params.rangeEnd
+          });
+        }
+        break;
+      case 'MATCH_TRANSFERS':
+        if (!params || !params.tableName1) {
+          result = { success: false, error: 'Second table name is required' };
+        } else {
+          result = await matchTransfers(tableName, params.tableName1, params.amountColumn || undefined, params.dateColumn || undefined, params.windowDays);
         }
         break;
       case 'COPY_TABLE':
@@ -1847,14 +2858,38 @@ app.post('/api/command', async (req, res) => {
         if (!params || !params.newName) {
           result = { success: false, error: 'New table name is required' };
         } else {
-          result = await groupTable(tableName, params.groupColumn, params.columns, params.newName);
+          result = await groupTable(tableName, params.groupColumns || params.groupColumn, params.columns, params.newName, params.level, params.explode);
+        }
+        break;
+      case 'PIVOT_TABLE':
+        if (!params || !params.newName) {
+          result = { success: false, error: 'New table name is required' };
+        } else {
+          result = await pivotTable(tableName, params.rowKey, params.columnKey, params.valueColumn, params.aggregate || undefined, params.newName, params.totals !== false);
+        }
+        break;
+      case 'UNPIVOT':
+        if (!params || !params.newName) {
+          result = { success: false, error: 'New table name is required' };
+        } else {
+          result = await unpivotTable(tableName, params.idColumns, params.columns, params.keyName, params.valueName, params.newName, !!params.dropEmpty);
         }
         break;
       case 'REORDER_COLUMNS':
         result = await reorderColumns(tableName, params.columns);
         break;
       case 'CONVERT_COLUMN':
-        result = await convertColumn(tableName, params.columnName);
+        result = await convertColumn(tableName, params.columnName, params.type, params.format);
+        break;
+      case 'AUTO_TAG':
+        result = await autoTag(tableName, params && params.rulesFile, !!(params && params.overwrite));
+        break;
+      case 'SPLIT_ROW':
+        if (!params) {
+          result = { success: false, error: 'Row index and parts are required' };
+        } else {
+          result = await splitRow(tableName, params.rowIndex, params.parts, params.amountColumn);
+        }
         break;
       case 'SPLICE_TABLES':
         if (!params || !params.newName) {
@@ -1865,14 +2900,37 @@ app.post('/api/command', async (req, res) => {
           result = await spliceTables(params.newName, params.selectedTables);
         }
         break;
+      case 'RECONCILE':
+        if (!params) {
+          result = { success: false, error: 'Opening and closing balances are required' };
+        } else {
+          result = await reconcileTable(tableName, params.openingBalance, params.closingBalance, params.startDate, params.endDate,
+            params.amountColumn || undefined, params.dateColumn || undefined, params.balanceColumns, params.runningColumn || undefined);
+        }
+        break;
+      case 'DEDUPE_TABLE':
+        result = await dedupeTable(tableName, params && params.columns, params && params.dateColumn, params && params.toleranceDays,
+          (params && params.keep) || 'first', params && params.newName, preview);
+        break;
       default:
         throw new Error(`Unknown command: ${command}`);
     }
     
+    if (result.success && historyTarget) {
+      recordHistory({
+        label: command,
+        tableName: historyTarget.tableName,
+        previousName: historyTarget.previousName,
+        states: historyStates,
+        linkedTables: historyTarget.linkedTables
+      });
+    }
+    
+    const elapsed = Date.now() - startTime;
     if (result.success) {
-      await logAction(`Command ${command} succeeded`);
+      await logAction(`Command ${command} succeeded in ${elapsed} ms`);
     } else {
-      await logError(`Command ${command} failed`, new Error(result.error));
+      await logError(`Command ${command} failed after ${elapsed} ms`, new Error(result.error));
     }
     
     res.json(result);
@@ -1909,8 +2967,9 @@ async function saveTable(tableName) {
     }
     
     const str = String(value);
-    // If field contains comma, quote, or newline, wrap in quotes and escape quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    // If field contains comma, quote, or newline, wrap in quotes and escape quotes.
+    // Leading/trailing whitespace is quoted too, since the reader trims unquoted fields.
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r') || str !== str.trim()) {
       // Escape any existing quotes by doubling them
       const escapedQuotes = str.replace(/"/g, '""');
       // Wrap in quotes
@@ -1919,31 +2978,34 @@ async function saveTable(tableName) {
     return str;
   }
   
-  // Build CSV content
-  const schemaLine = table.schema.map(col => `${col.name}:${col.type}`).join(',');
+  // Build CSV content (DECIMAL(p,s) fields contain a comma and get quoted)
+  const schemaLine = table.schema.map(col => escapeCSVField(`${col.name}:${col.type}`)).join(',');
   const lines = [schemaLine];
   
   for (const row of table.rows) {
     const values = table.schema.map(col => {
       let value = row[col.name];
-      if (col.type === 'REAL') {
-        if (typeof value === 'number') {
-          value = value.toFixed(1);
-        } else if (typeof value === 'string') {
-          // Handle string values that represent REAL numbers
-          const num = parseFloat(value);
-          if (!isNaN(num)) {
-            value = num.toFixed(1);
-          }
-        }
-      } else if (value === null || value === undefined) {
+      const decimalType = parseDecimalType(col.type);
+      if (value === null || value === undefined) {
+        // A blank cell, e.g. the running balance of a row RECONCILE left out
         value = '';
+      } else if (col.type === 'REAL') {
+        // Full precision, with at least one decimal place
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        if (!isNaN(num)) {
+          value = decimalPlaces(num) === 0 ? num.toFixed(1) : String(num);
+        }
+      } else if (decimalType) {
+        // Exactly the declared scale
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        value = isNaN(num) ? (0).toFixed(decimalType.scale) : roundToScale(num, decimalType.scale).toFixed(decimalType.scale);
       }
       const escaped = escapeCSVField(value);
       // Ensure we don't accidentally trim quotes
       return escaped;
     });
-    const line = values.join(',');
+    // A single empty field would be a blank line, which the reader skips
+    const line = values.length === 1 && values[0] === '' ? '""' : values.join(',');
     lines.push(line);
   }
   
@@ -1953,14 +3015,59 @@ async function saveTable(tableName) {
   return { success: true };
 }
 
+/**
+ * Commands that accept `preview: true`, which reports what would change without changing the table.
+ * @type {Array<string>}
+ */
+const PREVIEW_COMMANDS = ['DELETE_ROWS', 'SET_VALUE', 'REPLACE_TEXT', 'DROP_COLUMNS', 'DEDUPE_TABLE'];
+
+/**
+ * Sets up a dry run of a command: a copy of the table, and a tables map in which
+ * the copy stands in for the original so expressions read the values the command writes.
+ * 
+ * @param {string} tableName - The table the command changes
+ * @returns {{table: Object, tables: Object}}
+ */
+function createPreviewTable(tableName) {
+  const original = tables[tableName];
+  // Row values are primitives, so copying each row object is enough
+  const table = {
+    schema: original.schema.map(col => ({ ...col })),
+    rows: original.rows.map(row => ({ ...row })),
+    originalFile: original.originalFile
+  };
+  return { table, tables: { ...tables, [tableName]: table } };
+}
+
+/**
+ * Lists the cells of one column that differ between a table and its changed copy.
+ * 
+ * @param {Object} before - The table
+ * @param {Object} after - The changed copy, with the same rows in the same order
+ * @param {string} columnName - The column to compare
+ * @returns {Array<{rowIndex: number, column: string, before: *, after: *}>}
+ */
+function diffColumn(before, after, columnName) {
+  const changes = [];
+  for (let i = 0; i < before.rows.length; i++) {
+    const oldValue = before.rows[i][columnName];
+    const newValue = after.rows[i][columnName];
+    if (oldValue !== newValue) {
+      changes.push({ rowIndex: i, column: columnName, before: oldValue, after: newValue });
+    }
+  }
+  return changes;
+}
+
 /**
  * Removes multiple columns from a table.
  * 
  * @param {string} tableName - The name of the table
  * @param {Array<string>} columns - Array of column names to remove
- * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
+ * @param {boolean} [preview=false] - Report the removed cells instead of removing them
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, preview?: Object}>}
  */
-async function dropColumns(tableName, columns) {
+async function dropColumns(tableName, columns, preview = false) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
@@ -1985,6 +3092,17 @@ async function dropColumns(tableName, columns) {
     return { success: false, error: `Columns not found: ${missingColumns.join(', ')}` };
   }
   
+  if (preview) {
+    const droppedColumns = table.schema.filter(col => columnsToRemove.has(col.name)).map(col => col.name);
+    const changes = [];
+    table.rows.forEach((row, rowIndex) => {
+      for (const colName of droppedColumns) {
+        changes.push({ rowIndex, column: colName, before: row[colName], after: null });
+      }
+    });
+    return { success: true, preview: { droppedColumns, changes } };
+  }
+  
   // Remove columns from schema (in reverse order to maintain indices)
   const columnsToRemoveArray = Array.from(columnsToRemove);
   for (let i = table.schema.length - 1; i >= 0; i--) {
@@ -2081,9 +3199,10 @@ async function renameTable(tableName, newName) {
  * 
  * @param {string} tableName - The name of the table
  * @param {string} expression - The augmented expression to evaluate for each row
- * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
+ * @param {boolean} [preview=false] - Report the rows that would be deleted instead of deleting them
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, preview?: Object}>}
  */
-async function deleteRow(tableName, expression) {
+async function deleteRow(tableName, expression, preview = false) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
@@ -2091,62 +3210,282 @@ async function deleteRow(tableName, expression) {
   const table = tables[tableName];
   const evaluator = new ExpressionEvaluator(null, tables, tableName);
   const filteredRows = [];
+  const deletedRows = [];
+  
+  // Parse and validate once, then run the compiled expression for each row
+  let compiled;
+  try {
+    compiled = evaluator.compile(expression);
+  } catch (error) {
+    return { success: false, error: `Invalid expression: ${error.message}` };
+  }
+  
+  for (let i = 0; i < table.rows.length; i++) {
+    const row = table.rows[i];
+    evaluator.row = row;
+    evaluator.rowIndex = i;
+    try {
+      const result = evaluator.run(compiled);
+      // Convert result to number for proper truthiness check
+      // Keep rows where expression evaluates to false (zero)
+      // Delete rows where expression evaluates to true (non-zero)
+      // Convert result to number for proper truthiness check
+      let numResult;
+      if (typeof result === 'string') {
+        // Remove quotes if present
+        const cleanResult = result.replace(/^"|"$/g, '');
+        numResult = parseFloat(cleanResult);
+        // If it's a non-numeric string, keep the row (safe default - don't delete on unexpected result)
+        if (isNaN(numResult)) {
+          // Non-numeric string result - keep the row to be safe
+          filteredRows.push(row);
+          continue;
+        }
+      } else {
+        numResult = result;
+      }
+      
+      // Keep rows where result is 0 (false), delete rows where result is non-zero (true)
+      // numResult === 0 means expression is false, so keep the row
+      // numResult !== 0 means expression is true, so delete the row (don't add to filteredRows)
+      if (numResult === 0) {
+        filteredRows.push(row);
+      } else {
+        // If numResult is non-zero, the row is deleted (not added to filteredRows)
+        deletedRows.push({ rowIndex: i, row });
+      }
+    } catch (error) {
+      // Halt execution on syntax or type errors
+      return { 
+        success: false, 
+        error: `Error evaluating expression at row ${i + 1}: ${error.message}` 
+      };
+      // If evaluation fails, keep the row (don't delete on error)
+      await logError(`Error evaluating DELETE_ROWS expression for row`, error);
+      filteredRows.push(row);
+    }
+  }
+  
+  if (preview) {
+    return { success: true, preview: { deletedRows, rowCount: table.rows.length } };
+  }
+  
+  table.rows = filteredRows;
+  return { success: true, table: serializeTable(table) };
+}
+
+/** Aggregates GROUP_TABLE and COLLAPSE_TABLE can apply to an output column. */
+const AGGREGATE_FUNCTIONS = ['SUM', 'COUNT', 'AVG', 'MIN', 'MAX', 'FIRST', 'LAST', 'MEDIAN', 'COUNT_DISTINCT'];
+/** Aggregates that need an INT, REAL, DECIMAL or MONEY column. */
+const NUMERIC_AGGREGATES = ['SUM', 'AVG', 'MEDIAN'];
+
+/**
+ * Normalizes the group columns of GROUP_TABLE and COLLAPSE_TABLE, which can be given as one
+ * column name or an array of names.
+ * 
+ * @param {Object} table - The source table
+ * @param {string|Array<string>} [groupColumns] - Column name(s) to group by
+ * @returns {{columns?: Array<Object>, error?: string}} Schema entries of the group columns, in the given order
+ */
+function resolveGroupColumns(table, groupColumns) {
+  const names = Array.isArray(groupColumns) ? groupColumns : (groupColumns ? [groupColumns] : []);
+  const columns = [];
+  for (const name of new Set(names.filter(name => name))) {
+    const col = table.schema.find(c => c.name === name);
+    if (!col) {
+      return { error: `Group column ${name} not found` };
+    }
+    columns.push(col);
+  }
+  return { columns };
+}
+
+/**
+ * Resolves the output columns of GROUP_TABLE and COLLAPSE_TABLE.
+ * Each spec is a column name, which is summed, or `{column, aggregate, name}`. Without a name,
+ * a SUM keeps the column's name and other aggregates are named like Amount_avg.
+ * 
+ * @param {Object} table - The source table
+ * @param {Array<string|Object>} specs - Output column specs
+ * @param {Array<Object>} groupCols - The group columns, whose names the outputs may not reuse
+ * @returns {{aggregates?: Array<{column: Object, aggregate: string, name: string, type: string}>, error?: string}}
+ */
+function resolveAggregates(table, specs, groupCols) {
+  const aggregates = [];
+  const names = new Set(groupCols.map(col => col.name));
+  
+  for (const spec of specs) {
+    const columnName = spec && typeof spec === 'object' ? spec.column : spec;
+    const aggregate = String((spec && typeof spec === 'object' && spec.aggregate) || 'SUM').toUpperCase();
+    const column = table.schema.find(c => c.name === columnName);
+    if (!column) {
+      return { error: `Column ${columnName} not found` };
+    }
+    if (!AGGREGATE_FUNCTIONS.includes(aggregate)) {
+      return { error: `Unknown aggregate ${aggregate}; use one of ${AGGREGATE_FUNCTIONS.join(', ')}` };
+    }
+    if (NUMERIC_AGGREGATES.includes(aggregate) && !isNumericType(column.type)) {
+      return { error: `Column ${columnName} must be of type INT, REAL, DECIMAL or MONEY for ${aggregate}` };
+    }
+    
+    const name = (spec && typeof spec === 'object' && spec.name) || (aggregate === 'SUM' ? column.name : `${column.name}_${aggregate.toLowerCase()}`);
+    if (names.has(name)) {
+      return { error: `Output column ${name} is used twice; give one of them another name` };
+    }
+    names.add(name);
+    
+    // Counts are whole numbers; an average or median of a DECIMAL or MONEY column keeps its scale
+    let type = column.type;
+    if (aggregate === 'COUNT' || aggregate === 'COUNT_DISTINCT') {
+      type = 'INT';
+    } else if ((aggregate === 'AVG' || aggregate === 'MEDIAN') && !parseDecimalType(column.type)) {
+      type = 'REAL';
+    }
+    aggregates.push({ column, aggregate, name, type });
+  }
+  
+  return { aggregates };
+}
+
+/**
+ * Computes one aggregate over the values a group holds in a column.
+ * Empty values are skipped by every aggregate, as are non-numeric values of numeric columns.
+ * SUM of no values is 0; the other aggregates (except the counts) of no values are empty.
+ * 
+ * @param {string} aggregate - One of AGGREGATE_FUNCTIONS
+ * @param {Array<*>} values - The group's values, in table order
+ * @param {Object} column - Schema entry of the column
+ * @returns {*} The aggregate value
+ */
+function computeAggregate(aggregate, values, column) {
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  const numeric = isNumericType(column.type);
+  const numbers = numeric ? present.map(value => parseFloat(value)).filter(num => !isNaN(num)) : [];
+  const candidates = numeric ? numbers : present;
+  const decimalType = parseDecimalType(column.type);
+  // DECIMAL and MONEY results keep the column's scale
+  const round = value => (decimalType && value !== null ? roundToScale(value, decimalType.scale) : value);
+  
+  switch (aggregate) {
+    case 'SUM':
+      return round(numbers.reduce((sum, num) => exactAdd(sum, num), 0));
+    case 'COUNT':
+      return present.length;
+    case 'COUNT_DISTINCT':
+      return new Set(present.map(value => String(value))).size;
+    case 'AVG':
+      return numbers.length > 0 ? round(numbers.reduce((sum, num) => exactAdd(sum, num), 0) / numbers.length) : null;
+    case 'MEDIAN': {
+      if (numbers.length === 0) return null;
+      const sorted = [...numbers].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return round(sorted.length % 2 === 1 ? sorted[middle] : exactAdd(sorted[middle - 1], sorted[middle]) / 2);
+    }
+    case 'MIN':
+    case 'MAX':
+      // Dates are ISO strings, so they compare in date order
+      if (candidates.length === 0) return null;
+      return candidates.reduce((best, value) => ((aggregate === 'MIN' ? value < best : value > best) ? value : best));
+    case 'FIRST':
+      return candidates.length > 0 ? candidates[0] : null;
+    case 'LAST':
+      return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+    default:
+      throw new Error(`Unknown aggregate ${aggregate}`);
+  }
+}
+
+/**
+ * Groups the rows of a table on the combined values of its group columns and aggregates each
+ * group. Groups are listed in the order their first row appears.
+ * 
+ * @param {Object} table - The source table
+ * @param {Array<Object>} groupCols - The group columns; none puts every row in one group
+ * @param {Array<Object>} aggregates - Output columns from resolveAggregates
+ * @param {number} [level] - Roll hierarchical tags in the tag group column up to this many levels
+ * @param {boolean} [explode=false] - Count a multi-tagged row toward the group of each of its tags
+ *   (in the tag group column)
+ * @returns {Array<Object>} The rows of the grouped table
+ */
+function aggregateGroups(table, groupCols, aggregates, level, explode = false) {
+  const groups = new Map();
   
   for (const row of table.rows) {
-    evaluator.row = row;
-    try {
-      const result = evaluator.evaluate(expression);
-      // Convert result to number for proper truthiness check
-      // Keep rows where expression evaluates to false (zero)
-      // Delete rows where expression evaluates to true (non-zero)
-      // Convert result to number for proper truthiness check
-      let numResult;
-      if (typeof result === 'string') {
-        // Remove quotes if present
-        const cleanResult = result.replace(/^"|"$/g, '');
-        numResult = parseFloat(cleanResult);
-        // If it's a non-numeric string, keep the row (safe default - don't delete on unexpected result)
-        if (isNaN(numResult)) {
-          // Non-numeric string result - keep the row to be safe
-          filteredRows.push(row);
-          continue;
+    // Each combination of the row's group values (several when exploded) is a group
+    let combinations = [[]];
+    for (const col of groupCols) {
+      let values = [row[col.name]];
+      // Only the tag column is rolled up and exploded; a Description containing "/" or ";" is kept whole
+      if (col.name === TAG_COLUMN) {
+        values = explode
+          ? [...new Set(splitTags(row[col.name]).map(tag => rollUpTag(tag, level)))]
+          : [rollUpTag(row[col.name], level)];
+        if (values.length === 0) {
+          values.push('');
         }
-      } else {
-        numResult = result;
       }
-      
-      // Keep rows where result is 0 (false), delete rows where result is non-zero (true)
-      // numResult === 0 means expression is false, so keep the row
-      // numResult !== 0 means expression is true, so delete the row (don't add to filteredRows)
-      if (numResult === 0) {
-        filteredRows.push(row);
+      combinations = combinations.flatMap(combination => values.map(value => [...combination, value]));
+    }
+    
+    for (const combination of combinations) {
+      const key = JSON.stringify(combination.map(value => (value === null || value === undefined ? '' : String(value))));
+      if (!groups.has(key)) {
+        groups.set(key, {
+          values: combination,
+          columns: aggregates.map(() => [])
+        });
       }
-      // If numResult is non-zero, the row is deleted (not added to filteredRows)
-    } catch (error) {
-      // Halt execution on syntax or type errors
-      return { 
-        success: false, 
-        error: `Error evaluating expression at row ${filteredRows.length + 1}: ${error.message}` 
-      };
-      // If evaluation fails, keep the row (don't delete on error)
-      await logError(`Error evaluating DELETE_ROWS expression for row`, error);
-      filteredRows.push(row);
+      const group = groups.get(key);
+      aggregates.forEach((output, index) => {
+        group.columns[index].push(row[output.column.name]);
+      });
     }
   }
   
-  table.rows = filteredRows;
-  return { success: true, table: serializeTable(table) };
+  // Without group columns, an empty table still has its one row of totals
+  if (groupCols.length === 0 && groups.size === 0) {
+    groups.set('[]', { values: [], columns: aggregates.map(() => []) });
+  }
+  
+  return [...groups.values()].map(group => {
+    const row = {};
+    groupCols.forEach((col, index) => {
+      row[col.name] = group.values[index];
+    });
+    aggregates.forEach((output, index) => {
+      row[output.name] = computeAggregate(output.aggregate, group.columns[index], output.column);
+    });
+    return row;
+  });
+}
+
+/**
+ * Builds the schema of a GROUP_TABLE or COLLAPSE_TABLE result.
+ * 
+ * @param {Array<Object>} groupCols - The group columns
+ * @param {Array<Object>} aggregates - Output columns from resolveAggregates
+ * @returns {Array<Object>} Group columns first, then the aggregates
+ */
+function aggregateSchema(groupCols, aggregates) {
+  return [
+    ...groupCols.map(col => ({ ...col })),
+    ...aggregates.map(output => ({ name: output.name, type: output.type }))
+  ];
 }
 
 /**
- * Collapses a table by grouping on a TEXT column and summing INT/REAL columns.
- * If no columnName is provided, creates a single row with sums of all numeric columns.
+ * Collapses a table by grouping on one or more columns and aggregating the others.
+ * By default every INT, REAL, DECIMAL and MONEY column outside the group is summed.
+ * If no group column is provided, creates a single row for the whole table.
  * 
  * @param {string} tableName - The name of the table
- * @param {string} columnName - Optional TEXT column to group by
+ * @param {string|Array<string>} [groupColumns] - Column(s) to group by
+ * @param {string} newTableName - The name for the new collapsed table
+ * @param {number} [level] - Roll hierarchical tags in the tag group column up to this many levels
+ * @param {Array<string|Object>} [columns] - Output columns (see resolveAggregates) instead of the default sums
  * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
  */
-async function collapseTable(tableName, columnName, newTableName) {
+async function collapseTable(tableName, groupColumns, newTableName, level, columns) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
@@ -2161,52 +3500,27 @@ async function collapseTable(tableName, columnName, newTableName) {
   }
   
   const table = tables[tableName];
-  const groupCol = table.schema.find(col => col.name === columnName);
-  
-  if (columnName && !groupCol) {
-    return { success: false, error: `Column ${columnName} not found` };
+  const group = resolveGroupColumns(table, groupColumns);
+  if (group.error) {
+    return { success: false, error: group.error };
   }
   
-  if (columnName && groupCol.type !== 'TEXT') {
-    return { success: false, error: `Column ${columnName} must be of type TEXT` };
+  const rollUp = parseRollUpLevel(level);
+  if (rollUp.error) {
+    return { success: false, error: rollUp.error };
   }
   
-  const intRealCols = table.schema.filter(col => col.type === 'INT' || col.type === 'REAL');
-  const groups = {};
-  
-  for (const row of table.rows) {
-    const key = columnName ? String(row[columnName] || '') : '__all__';
-    if (!groups[key]) {
-      groups[key] = {};
-      if (columnName) {
-        groups[key][columnName] = row[columnName];
-      }
-      for (const col of intRealCols) {
-        groups[key][col.name] = 0;
-      }
-    }
-    
-    for (const col of intRealCols) {
-      const val = row[col.name];
-      // Convert to number before adding (like SUM function does)
-      // This prevents string concatenation issues
-      if (val !== null && val !== undefined) {
-        const num = parseFloat(val);
-        if (!isNaN(num)) {
-          groups[key][col.name] = (groups[key][col.name] || 0) + num;
-        }
-        // If value is NaN, skip it (don't add anything)
-      }
-      // If value is null/undefined, skip it (don't add anything)
-    }
+  const specs = Array.isArray(columns) && columns.length > 0
+    ? columns
+    : table.schema.filter(col => isNumericType(col.type) && !group.columns.includes(col)).map(col => col.name);
+  const output = resolveAggregates(table, specs, group.columns);
+  if (output.error) {
+    return { success: false, error: output.error };
   }
   
-  const newSchema = columnName ? [groupCol, ...intRealCols] : intRealCols;
-  const newRows = Object.values(groups);
-  
   tables[newTableName] = {
-    schema: newSchema,
-    rows: newRows,
+    schema: aggregateSchema(group.columns, output.aggregates),
+    rows: aggregateGroups(table, group.columns, output.aggregates, rollUp.level),
     originalFile: `${newTableName}.CSV`
   };
   
@@ -2221,14 +3535,15 @@ async function collapseTable(tableName, columnName, newTableName) {
  * @param {string} columnName - The TEXT column to modify
  * @param {string} regex - The regular expression pattern
  * @param {string} replacement - The replacement string (supports $x for groups)
- * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
+ * @param {boolean} [preview=false] - Report the changed cells instead of changing them
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, preview?: Object}>}
  */
-async function replaceText(tableName, columnName, regex, replacement) {
+async function replaceText(tableName, columnName, regex, replacement, preview = false) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
   
-  const table = tables[tableName];
+  const table = preview ? createPreviewTable(tableName).table : tables[tableName];
   const col = table.schema.find(c => c.name === columnName);
   if (!col || col.type !== 'TEXT') {
     return { success: false, error: `Column ${columnName} not found or not TEXT type` };
@@ -2249,6 +3564,10 @@ async function replaceText(tableName, columnName, regex, replacement) {
     row[columnName] = newValue;
   }
   
+  if (preview) {
+    return { success: true, preview: { changes: diffColumn(tables[tableName], table, columnName) } };
+  }
+  
   return { success: true, table: serializeTable(table) };
 }
 
@@ -2259,7 +3578,7 @@ async function replaceText(tableName, columnName, regex, replacement) {
  * @param {string} tableName - The name of the table
  * @param {string} columnName - The name of the new column
  * @param {string} expression - The augmented expression to evaluate for each row
- * @param {string} columnType - The type of the column (TEXT, INT, or REAL)
+ * @param {string} columnType - The type of the column (TEXT, INT, REAL, DATE, MONEY, or DECIMAL(p,s))
  * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
  */
 async function addColumn(tableName, columnName, expression, columnType) {
@@ -2267,190 +3586,734 @@ async function addColumn(tableName, columnName, expression, columnType) {
     return { success: false, error: `Table ${tableName} not found` };
   }
   
-  if (!columnType || !['TEXT', 'INT', 'REAL'].includes(columnType)) {
-    return { success: false, error: 'Invalid column type. Must be TEXT, INT, or REAL' };
+  columnType = columnType ? normalizeColumnType(columnType) : columnType;
+  if (!columnType || !isValidColumnType(columnType)) {
+    return { success: false, error: 'Invalid column type. Must be TEXT, INT, REAL, DATE, MONEY, or DECIMAL(p,s) with p up to 15' };
+  }
+  
+  const table = tables[tableName];
+  
+  if (table.schema.some(col => col.name === columnName)) {
+    return { success: false, error: `Column ${columnName} already exists` };
+  }
+  
+  // Use the user-specified column type
+  const colType = columnType;
+  
+  // Parse and validate once, then run the compiled expression for each row
+  const evaluator = new ExpressionEvaluator(null, tables, tableName);
+  let compiled;
+  try {
+    compiled = evaluator.compile(expression);
+  } catch (error) {
+    return { success: false, error: `Invalid expression: ${error.message}` };
+  }
+  
+  table.schema.push({ name: columnName, type: colType });
+  
+  // Evaluate expression for each row; each row is written as it is evaluated,
+  // so later rows can read earlier ones (Running[-1])
+  let rowIndex = 0;
+  try {
+    for (const row of table.rows) {
+      evaluator.row = row;
+      evaluator.rowIndex = rowIndex;
+      const value = evaluator.run(compiled);
+      row[columnName] = parseValue(value, colType);
+      rowIndex++;
+    }
+  } catch (error) {
+    // Halt execution: remove the column from the schema and from the rows already written,
+    // so the table is left as it was
+    table.schema.pop();
+    for (let i = 0; i < rowIndex; i++) {
+      delete table.rows[i][columnName];
+    }
+    return { 
+      success: false, 
+      error: `Error evaluating expression at row ${rowIndex + 1}: ${error.message}` 
+    };
+  }
+  
+  return { success: true, table: serializeTable(table) };
+}
+
+/**
+ * Sets the value of an existing column in a table using an augmented expression.
+ * Evaluates the expression for each row and updates the column's value.
+ * 
+ * @param {string} tableName - The name of the table
+ * @param {string} columnName - The name of the column to update
+ * @param {string} expression - The augmented expression to evaluate for each row
+ * @param {boolean} [preview=false] - Report the changed cells instead of changing them
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, preview?: Object}>}
+ */
+async function setValue(tableName, columnName, expression, preview = false) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  if (!columnName) {
+    return { success: false, error: 'Column name is required' };
+  }
+  
+  if (!expression) {
+    return { success: false, error: 'Expression is required' };
+  }
+  
+  // A preview runs on a copy, so later rows see the values written to earlier ones as they would for real
+  const previewTable = preview ? createPreviewTable(tableName) : null;
+  const table = preview ? previewTable.table : tables[tableName];
+  
+  // Verify column exists
+  const column = table.schema.find(col => col.name === columnName);
+  if (!column) {
+    return { success: false, error: `Column ${columnName} not found` };
+  }
+  
+  // Parse and validate once, then run the compiled expression for each row
+  const evaluator = new ExpressionEvaluator(null, preview ? previewTable.tables : tables, tableName);
+  let compiled;
+  try {
+    compiled = evaluator.compile(expression);
+  } catch (error) {
+    return { success: false, error: `Invalid expression: ${error.message}` };
+  }
+  
+  // Evaluate expression for each row; each row is written as it is evaluated,
+  // so later rows read the new values of earlier ones
+  const previousValues = [];
+  let rowIndex = 0;
+  try {
+    for (const row of table.rows) {
+      evaluator.row = row;
+      evaluator.rowIndex = rowIndex;
+      const value = parseValue(evaluator.run(compiled), column.type);
+      previousValues.push(row[columnName]);
+      row[columnName] = value;
+      rowIndex++;
+    }
+  } catch (error) {
+    // Halt execution: put back the values of the rows already written, so the table is left as it was
+    previousValues.forEach((value, i) => {
+      table.rows[i][columnName] = value;
+    });
+    return { 
+      success: false, 
+      error: `Error evaluating expression at row ${rowIndex + 1}: ${error.message}` 
+    };
+  }
+  
+  if (preview) {
+    return { success: true, preview: { changes: diffColumn(tables[tableName], table, columnName) } };
+  }
+  
+  await logAction(`Set values for column ${columnName} in table ${tableName} using expression: ${expression}`);
+  
+  return { success: true, table: serializeTable(table) };
+}
+
+// Helper function to check if expression references REAL columns
+function checkExpressionForRealColumns(expression, table) {
+  for (const col of table.schema) {
+    if (col.type === 'REAL') {
+      // Check if column name appears in expression (as a word boundary)
+      const regex = new RegExp(`\\b${col.name}\\b`);
+      if (regex.test(expression)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/** Join types JOIN_TABLE supports. */
+const JOIN_TYPES = ['inner', 'left', 'right', 'full', 'semi', 'anti'];
+
+/**
+ * Joins the current table with another table on one or more key columns. Every pair of rows
+ * whose keys are equal is joined, so a row matching three rows of the other table gives three
+ * rows. Rows with an empty key value match nothing. Creates a new table with the joined results.
+ * 
+ * Instead of or as well as keys, rows can be matched by a predicate, for reference tables that
+ * hold patterns or periods rather than exact values:
+ * - condition: An expression over both rows, with references qualified as left.Column and
+ *   right.Column, e.g. REGEXP(right.Pattern, left.Description) != ''; a non-zero result matches
+ * - dateColumn with rangeStart and/or rangeEnd: The left row's date lies within the right row's
+ *   range (both ends included; an empty or missing end is open)
+ * Without keys every pair of rows is tested, so predicates on large tables are slower.
+ * 
+ * Join types:
+ * - inner: Only matched pairs
+ * - left: Matched pairs, plus the unmatched rows of the current table with empty right columns
+ * - right: Matched pairs, plus the unmatched rows of tableName1 with empty left columns
+ * - full: Matched pairs and the unmatched rows of both tables
+ * - semi: The rows of the current table that have a match, once each and with their own columns only
+ * - anti: The rows of the current table that have no match, with their own columns only
+ * 
+ * Rows follow the current table; rows only in tableName1 come last. A key column with the same
+ * name on both sides appears once. Other columns whose names occur in both tables get
+ * leftPrefix and rightPrefix.
+ * 
+ * @param {string} tableName - The current table name
+ * @param {string} tableName1 - The table to join with
+ * @param {string|Array<string>} joinColumns - The key column(s) of the current table
+ * @param {string} newTableName - The name for the new joined table
+ * @param {string} [joinType='left'] - One of JOIN_TYPES
+ * @param {string|Array<string>} [joinColumns1] - The key column(s) of tableName1, paired in order
+ *   with joinColumns; default: the same names
+ * @param {string} [leftPrefix=''] - Prefix for colliding column names from the current table
+ * @param {string} [rightPrefix] - Prefix for colliding column names from tableName1; default: `${tableName1}_`
+ * @param {{condition?: string, dateColumn?: string, rangeStart?: string, rangeEnd?: string}} [predicate={}] -
+ *   Join condition and date range (see above); dateColumn is a DATE column of the current table,
+ *   rangeStart and rangeEnd DATE columns of tableName1
+ * @returns {Promise<{success: boolean, error?: string, newTableName?: string, table?: Object,
+ *   rowCount?: number, leftMatched?: number, leftUnmatched?: number, rightMatched?: number, rightUnmatched?: number}>}
+ *   The counts are rows of each table with and without a match
+ */
+async function joinTable(tableName, tableName1, joinColumns, newTableName, joinType = 'left', joinColumns1, leftPrefix = '', rightPrefix, predicate = {}) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  if (!tables[tableName1]) {
+    return { success: false, error: `Table ${tableName1} not found` };
+  }
+  
+  if (!newTableName) {
+    return { success: false, error: 'New table name is required' };
+  }
+  
+  // Check if new table name already exists
+  if (tables[newTableName]) {
+    return { success: false, error: `Table ${newTableName} already exists` };
+  }
+  
+  const type = String(joinType || 'left').toLowerCase();
+  if (!JOIN_TYPES.includes(type)) {
+    return { success: false, error: `Join type must be one of ${JOIN_TYPES.join(', ')}` };
+  }
+  
+  const table = tables[tableName];
+  const table1 = tables[tableName1];
+  
+  const toList = value => (Array.isArray(value) ? value : (value ? [value] : [])).filter(name => name);
+  const leftKeys = toList(joinColumns);
+  const rightKeys = toList(joinColumns1).length > 0 ? toList(joinColumns1) : leftKeys;
+  const { condition, dateColumn, rangeStart, rangeEnd } = predicate || {};
+  if (leftKeys.length === 0 && !condition && !dateColumn) {
+    return { success: false, error: 'Join columns, a join condition or a date range is required' };
+  }
+  if (rightKeys.length !== leftKeys.length) {
+    return { success: false, error: `${tableName} has ${leftKeys.length} join columns but ${tableName1} has ${rightKeys.length}` };
+  }
+  for (const name of leftKeys) {
+    if (!table.schema.find(col => col.name === name)) {
+      return { success: false, error: `Column ${name} not found in ${tableName}` };
+    }
+  }
+  for (const name of rightKeys) {
+    if (!table1.schema.find(col => col.name === name)) {
+      return { success: false, error: `Column ${name} not found in ${tableName1}` };
+    }
+  }
+  
+  if (dateColumn) {
+    const dateCol = table.schema.find(col => col.name === dateColumn);
+    if (!dateCol || dateCol.type !== 'DATE') {
+      return { success: false, error: `Column ${dateColumn} not found or not DATE type in ${tableName}` };
+    }
+    if (!rangeStart && !rangeEnd) {
+      return { success: false, error: 'A date range needs a start column, an end column or both' };
+    }
+    for (const name of [rangeStart, rangeEnd].filter(name => name)) {
+      const col = table1.schema.find(c => c.name === name);
+      if (!col || col.type !== 'DATE') {
+        return { success: false, error: `Column ${name} not found or not DATE type in ${tableName1}` };
+      }
+    }
+  }
+  
+  const evaluator = new ExpressionEvaluator(null, tables, tableName);
+  let compiled = null;
+  if (condition) {
+    try {
+      compiled = evaluator.compile(condition);
+    } catch (error) {
+      return { success: false, error: `Join condition: ${error.message}` };
+    }
+  }
+  
+  // Index tableName1 by key; a key with an empty part matches nothing
+  const keyOf = (row, names) => {
+    const values = names.map(name => row[name]);
+    if (values.some(value => value === null || value === undefined || value === '')) return null;
+    return JSON.stringify(values.map(value => String(value)));
+  };
+  const index = new Map();
+  table1.rows.forEach((row, rowIndex1) => {
+    const key = keyOf(row, rightKeys);
+    if (key === null) return;
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(rowIndex1);
+  });
+  const allRows1 = table1.rows.map((row, rowIndex1) => rowIndex1);
+  
+  // Dates are stored as YYYY-MM-DD, so they compare as text
+  const inRange = (row, row1) => {
+    const date = row[dateColumn];
+    if (!date) return false;
+    if (rangeStart && row1[rangeStart] && date < row1[rangeStart]) return false;
+    if (rangeEnd && row1[rangeEnd] && date > row1[rangeEnd]) return false;
+    return true;
+  };
+  
+  const matches = [];
+  for (let rowIndex = 0; rowIndex < table.rows.length; rowIndex++) {
+    const row = table.rows[rowIndex];
+    let candidates = allRows1;
+    if (leftKeys.length > 0) {
+      const key = keyOf(row, leftKeys);
+      candidates = key === null ? [] : (index.get(key) || []);
+    }
+    if (dateColumn) {
+      candidates = candidates.filter(rowIndex1 => inRange(row, table1.rows[rowIndex1]));
+    }
+    if (compiled) {
+      evaluator.row = row;
+      evaluator.rowIndex = rowIndex;
+      const kept = [];
+      for (const rowIndex1 of candidates) {
+        evaluator.qualifiedRows = { left: row, right: table1.rows[rowIndex1] };
+        try {
+          const result = evaluator.run(compiled);
+          const numResult = typeof result === 'string' ? parseFloat(result) : Number(result);
+          if (numResult && !isNaN(numResult)) {
+            kept.push(rowIndex1);
+          }
+        } catch (error) {
+          return { success: false, error: `Error evaluating join condition for row ${rowIndex + 1} of ${tableName} and row ${rowIndex1 + 1} of ${tableName1}: ${error.message}` };
+        }
+      }
+      candidates = kept;
+    }
+    matches.push(candidates);
+  }
+  
+  // Key columns named alike on both sides are merged into the left one
+  const mergedKeys = leftKeys
+    .map((name, i) => [name, rightKeys[i]])
+    .filter(([leftName, rightName]) => leftName === rightName);
+  const rightCols = type === 'semi' || type === 'anti'
+    ? []
+    : table1.schema.filter(col => !mergedKeys.some(([, rightName]) => rightName === col.name));
+  const leftNames = new Set(table.schema.map(col => col.name));
+  const rightNames = new Set(rightCols.map(col => col.name));
+  const prefix1 = rightPrefix === undefined || rightPrefix === null ? `${tableName1}_` : rightPrefix;
+  const leftOut = table.schema.map(col => ({ col, name: rightNames.has(col.name) ? `${leftPrefix || ''}${col.name}` : col.name }));
+  const rightOut = rightCols.map(col => ({ col, name: leftNames.has(col.name) ? `${prefix1}${col.name}` : col.name }));
+  
+  const outNames = [...leftOut, ...rightOut].map(out => out.name);
+  const clash = outNames.find((name, i) => outNames.indexOf(name) !== i);
+  if (clash) {
+    return { success: false, error: `Column ${clash} would appear twice in the joined table; choose other prefixes` };
+  }
+  
+  // The side without a match is left blank (null), which saves as an empty field and BLANK() detects
+  const combine = (left, right) => {
+    const row = {};
+    for (const out of leftOut) {
+      row[out.name] = left ? left[out.col.name] : null;
+    }
+    // A row only in tableName1 takes its merged key values from that table
+    if (!left) {
+      for (const [leftName, rightName] of mergedKeys) {
+        row[leftOut.find(out => out.col.name === leftName).name] = right[rightName];
+      }
+    }
+    for (const out of rightOut) {
+      row[out.name] = right ? right[out.col.name] : null;
+    }
+    return row;
+  };
+  
+  const newRows = [];
+  const rightMatched = new Set();
+  table.rows.forEach((row, rowIndex) => {
+    const rowMatches = matches[rowIndex];
+    rowMatches.forEach(rowIndex1 => rightMatched.add(rowIndex1));
+    if (type === 'semi') {
+      if (rowMatches.length > 0) newRows.push(combine(row, null));
+    } else if (type === 'anti') {
+      if (rowMatches.length === 0) newRows.push(combine(row, null));
+    } else if (rowMatches.length > 0) {
+      for (const rowIndex1 of rowMatches) {
+        newRows.push(combine(row, table1.rows[rowIndex1]));
+      }
+    } else if (type === 'left' || type === 'full') {
+      newRows.push(combine(row, null));
+    }
+  });
+  if (type === 'right' || type === 'full') {
+    table1.rows.forEach((row1, rowIndex1) => {
+      if (!rightMatched.has(rowIndex1)) {
+        newRows.push(combine(null, row1));
+      }
+    });
   }
   
-  const table = tables[tableName];
-  
-  // Use the user-specified column type
-  const colType = columnType;
+  const newTable = {
+    schema: [...leftOut, ...rightOut].map(out => ({ ...JSON.parse(JSON.stringify(out.col)), name: out.name })),
+    rows: newRows,
+    originalFile: `${newTableName}.CSV`
+  };
   
-  table.schema.push({ name: columnName, type: colType });
+  // Store the new table
+  tables[newTableName] = newTable;
   
-  // Evaluate expression for each row
-  const evaluator = new ExpressionEvaluator(null, tables, tableName);
-  let rowIndex = 0;
-  try {
-    for (const row of table.rows) {
-      evaluator.row = row;
-      const value = evaluator.evaluate(expression);
-      row[columnName] = value;
-      rowIndex++;
-    }
-  } catch (error) {
-    // Halt execution: remove the column we just added and return error
-    table.schema.pop();
-    return { 
-      success: false, 
-      error: `Error evaluating expression at row ${rowIndex + 1}: ${error.message}` 
-    };
-  }
+  const leftMatched = matches.filter(rowMatches => rowMatches.length > 0).length;
+  await logAction(`JOIN_TABLE: ${type} join of ${tableName} and ${tableName1} into ${newTableName}: ${leftMatched} of ${table.rows.length} and ${rightMatched.size} of ${table1.rows.length} rows matched, ${newRows.length} rows`);
   
-  return { success: true, table: serializeTable(table) };
+  return {
+    success: true,
+    newTableName: newTableName,
+    table: serializeTable(newTable),
+    rowCount: newRows.length,
+    leftMatched,
+    leftUnmatched: table.rows.length - leftMatched,
+    rightMatched: rightMatched.size,
+    rightUnmatched: table1.rows.length - rightMatched.size
+  };
 }
 
+/** Column MATCH_TRANSFERS fills with the id (T1, T2, ...) shared by the two rows of a transfer. */
+const TRANSFER_COLUMN = 'transfer';
+/** Default number of days the two sides of a transfer may be apart. */
+const DEFAULT_TRANSFER_WINDOW_DAYS = 3;
+
 /**
- * Sets the value of an existing column in a table using an augmented expression.
- * Evaluates the expression for each row and updates the column's value.
+ * Pairs the rows of two account tables that are the two sides of one transfer, such as a card
+ * payment that appears in both the checking and the card export: their amounts are equal and
+ * opposite and their dates at most windowDays apart. Both rows of a pair are marked in the
+ * transfer column with an id of their own (T1, T2, ...), which stays the same when rows are
+ * sorted or deleted, the way split_of links the rows of a SPLIT_ROW.
  * 
- * @param {string} tableName - The name of the table
- * @param {string} columnName - The name of the column to update
- * @param {string} expression - The augmented expression to evaluate for each row
- * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
+ * Closest dates are paired first, so a row matches at most one row. Rows already marked by an
+ * earlier run are left alone, which lets the command be run again after more rows are loaded.
+ * The two tables may be the same table, to pair transfers within one combined export.
+ * 
+ * @param {string} tableName - The first account table
+ * @param {string} tableName1 - The second account table
+ * @param {string} [amountColumn='Amount'] - Numeric column holding the amount in both tables
+ * @param {string} [dateColumn='Date'] - DATE column in both tables
+ * @param {number|string} [windowDays=3] - Largest number of days between the two sides
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, tables?: Object<string, Object>,
+ *   matches?: Array<{rowIndex: number, rowIndex1: number, amount: number, days: number, transferId: string}>,
+ *   unmatched?: Object<string, Array<{rowIndex: number, row: Object}>>, alreadyMatched?: number}>}
+ *   `tables` holds both changed tables; `unmatched` lists, per table, the candidate rows
+ *   (with an amount and a date) that found no match
  */
-async function setValue(tableName, columnName, expression) {
+async function matchTransfers(tableName, tableName1, amountColumn = 'Amount', dateColumn = 'Date', windowDays = DEFAULT_TRANSFER_WINDOW_DAYS) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
   
-  if (!columnName) {
-    return { success: false, error: 'Column name is required' };
+  if (!tables[tableName1]) {
+    return { success: false, error: `Table ${tableName1} not found` };
   }
   
-  if (!expression) {
-    return { success: false, error: 'Expression is required' };
+  const window = windowDays === undefined || windowDays === null || windowDays === '' ? DEFAULT_TRANSFER_WINDOW_DAYS : Number(windowDays);
+  if (!Number.isInteger(window) || window < 0) {
+    return { success: false, error: 'Date window must be a whole number of days' };
   }
   
   const table = tables[tableName];
+  const table1 = tables[tableName1];
   
-  // Verify column exists
-  const column = table.schema.find(col => col.name === columnName);
-  if (!column) {
-    return { success: false, error: `Column ${columnName} not found` };
+  for (const [name, t] of [[tableName, table], [tableName1, table1]]) {
+    const amountCol = t.schema.find(col => col.name === amountColumn);
+    if (!amountCol) {
+      return { success: false, error: `Column ${amountColumn} not found in ${name}` };
+    }
+    if (!isNumericType(amountCol.type)) {
+      return { success: false, error: `Column ${amountColumn} in ${name} must be of type INT, REAL, DECIMAL or MONEY` };
+    }
+    const dateCol = t.schema.find(col => col.name === dateColumn);
+    if (!dateCol) {
+      return { success: false, error: `Column ${dateColumn} not found in ${name}` };
+    }
+    if (dateCol.type !== 'DATE') {
+      return { success: false, error: `Column ${dateColumn} in ${name} must be of type DATE` };
+    }
   }
   
-  // Evaluate expression for each row
-  const evaluator = new ExpressionEvaluator(null, tables, tableName);
-  let rowIndex = 0;
-  try {
-    for (const row of table.rows) {
-      evaluator.row = row;
-      const value = evaluator.evaluate(expression);
-      row[columnName] = value;
-      rowIndex++;
-    }
-  } catch (error) {
-    // Halt execution and return error with context
-    return { 
-      success: false, 
-      error: `Error evaluating expression at row ${rowIndex + 1}: ${error.message}` 
-    };
+  // Rows that can still be matched: not marked yet, with an amount and a date
+  let alreadyMatched = 0;
+  const candidates = t => t.rows
+    .map((row, rowIndex) => ({ row, rowIndex }))
+    .filter(({ row }) => {
+      if (row[TRANSFER_COLUMN]) {
+        alreadyMatched++;
+        return false;
+      }
+      return Number(row[amountColumn]) && row[dateColumn];
+    });
+  const candidates0 = candidates(table);
+  const candidates1 = table1 === table ? candidates0 : candidates(table1);
+  
+  // Look up the second table's rows by amount
+  const byAmount = new Map();
+  for (const candidate of candidates1) {
+    const key = String(Number(candidate.row[amountColumn]));
+    if (!byAmount.has(key)) byAmount.set(key, []);
+    byAmount.get(key).push(candidate);
   }
   
-  await logAction(`Set values for column ${columnName} in table ${tableName} using expression: ${expression}`);
+  // Every pair with opposite amounts inside the window, closest dates first
+  const pairs = [];
+  for (const candidate of candidates0) {
+    // Negating a number is exact, so the opposite amount has the same key
+    for (const other of byAmount.get(String(-Number(candidate.row[amountColumn]))) || []) {
+      if (other.row === candidate.row) continue;
+      const days = Math.abs(dateDifference(candidate.row[dateColumn], other.row[dateColumn], 'DAY'));
+      if (days <= window) {
+        pairs.push({ candidate, other, days });
+      }
+    }
+  }
+  pairs.sort((a, b) => a.days - b.days || a.candidate.rowIndex - b.candidate.rowIndex || a.other.rowIndex - b.other.rowIndex);
+  
+  const matched = new Set();
+  const matches = [];
+  for (const { candidate, other, days } of pairs) {
+    if (matched.has(candidate.row) || matched.has(other.row)) continue;
+    matched.add(candidate.row);
+    matched.add(other.row);
+    matches.push({ candidate, other, days });
+  }
   
-  return { success: true, table: serializeTable(table) };
-}
-
-// Helper function to check if expression references REAL columns
-function checkExpressionForRealColumns(expression, table) {
-  for (const col of table.schema) {
-    if (col.type === 'REAL') {
-      // Check if column name appears in expression (as a word boundary)
-      const regex = new RegExp(`\\b${col.name}\\b`);
-      if (regex.test(expression)) {
-        return true;
+  if (matches.length > 0) {
+    for (const [name, t] of [[tableName, table], [tableName1, table1]]) {
+      if (ensureTextColumn(t, TRANSFER_COLUMN)) {
+        await logAction(`Added "${TRANSFER_COLUMN}" column to table ${name}`);
       }
     }
+    // Ids continue after the highest one either table already uses
+    const used = [...table.rows, ...table1.rows]
+      .map(row => /^T(\d+)$/.exec(row[TRANSFER_COLUMN] || ''))
+      .filter(match => match)
+      .map(match => parseInt(match[1], 10));
+    let lastId = Math.max(0, ...used);
+    for (const match of matches) {
+      match.transferId = `T${++lastId}`;
+      match.candidate.row[TRANSFER_COLUMN] = match.transferId;
+      match.other.row[TRANSFER_COLUMN] = match.transferId;
+    }
   }
-  return false;
+  
+  const unmatched = {
+    [tableName]: candidates0.filter(candidate => !matched.has(candidate.row)),
+    [tableName1]: candidates1.filter(candidate => !matched.has(candidate.row))
+  };
+  await logAction(`MATCH_TRANSFERS: matched ${matches.length} transfers between ${tableName} and ${tableName1} within ${window} days; ${unmatched[tableName].length} rows of ${tableName} and ${unmatched[tableName1].length} rows of ${tableName1} unmatched`);
+  
+  return {
+    success: true,
+    table: serializeTable(table),
+    tables: { [tableName]: serializeTable(table), [tableName1]: serializeTable(table1) },
+    matches: matches.map(({ candidate, other, days, transferId }) => ({
+      rowIndex: candidate.rowIndex,
+      rowIndex1: other.rowIndex,
+      amount: candidate.row[amountColumn],
+      days,
+      transferId
+    })),
+    unmatched,
+    alreadyMatched
+  };
 }
 
+/** Default column RECONCILE writes the running balance to. */
+const RUNNING_BALANCE_COLUMN = 'running_balance';
+/** Column RECONCILE uses to flag the rows where a bank balance column first diverges. */
+const RECONCILE_FLAG_COLUMN = 'reconcile_flag';
+
 /**
- * Joins the current table with another table on a specified column.
- * For each row in the current table, finds matching rows in tableName1 and appends their columns.
- * If no match is found, blank values are appended.
- * Creates a new table with the joined results.
+ * Reconciles a statement: starting from the opening balance, adds up the amounts of the rows in
+ * a date range into a running balance column and compares the result with the closing balance.
+ * Rows are taken oldest first (a table listed newest first is read bottom-up; rows of one day
+ * keep their statement order). Rows outside the range get a blank (null) running balance,
+ * which is saved as an empty field.
  * 
- * @param {string} tableName - The current table name
- * @param {string} tableName1 - The table to join with
- * @param {string} joinColumn - The column name to join on (must exist in both tables)
- * @param {string} newTableName - The name for the new joined table
- * @returns {Promise<{success: boolean, error?: string, newTableName?: string, table?: Object}>}
+ * When the bank supplies balance columns (by default, numeric columns whose name contains
+ * "balance"), the first row where the running balance differs from each of them is flagged in
+ * the reconcile_flag column; that is where a transaction is missing, doubled or wrong. Rows
+ * whose bank balance is blank (see isBlankValue) are not compared.
+ * 
+ * @param {string} tableName - The name of the table
+ * @param {number|string} openingBalance - Balance before the first row of the range
+ * @param {number|string} closingBalance - Balance the statement ends with
+ * @param {string} [startDate] - First date of the range (any accepted date format); default: no limit
+ * @param {string} [endDate] - Last date of the range; default: no limit
+ * @param {string} [amountColumn='Amount'] - Numeric column with the amounts
+ * @param {string} [dateColumn='Date'] - DATE column; without one, rows are taken in table order
+ * @param {Array<string>} [balanceColumns] - Bank balance columns to check the running balance against
+ * @param {string} [runningColumn='running_balance'] - Column the running balance is written to
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, reconciled?: boolean, discrepancy?: number,
+ *   finalBalance?: number, rowCount?: number, totalAmount?: number,
+ *   divergences?: Array<{column: string, rowIndex: number, running: number, bank: number, difference: number}>}>}
+ *   `discrepancy` is the closing balance minus the final running balance
  */
-async function joinTable(tableName, tableName1, joinColumn, newTableName) {
+async function reconcileTable(tableName, openingBalance, closingBalance, startDate, endDate, amountColumn = 'Amount', dateColumn = 'Date', balanceColumns, runningColumn = RUNNING_BALANCE_COLUMN) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
   
-  if (!tables[tableName1]) {
-    return { success: false, error: `Table ${tableName1} not found` };
-  }
-  
-  if (!newTableName) {
-    return { success: false, error: 'New table name is required' };
+  const opening = parseFloat(cleanRealValue(String(openingBalance ?? '')));
+  const closing = parseFloat(cleanRealValue(String(closingBalance ?? '')));
+  if (isNaN(opening)) {
+    return { success: false, error: 'Opening balance must be a number' };
   }
-  
-  // Check if new table name already exists
-  if (tables[newTableName]) {
-    return { success: false, error: `Table ${newTableName} already exists` };
+  if (isNaN(closing)) {
+    return { success: false, error: 'Closing balance must be a number' };
   }
   
   const table = tables[tableName];
-  const table1 = tables[tableName1];
+  const amountCol = table.schema.find(col => col.name === amountColumn);
+  if (!amountCol) {
+    return { success: false, error: `Column ${amountColumn} not found` };
+  }
+  if (!isNumericType(amountCol.type)) {
+    return { success: false, error: `Column ${amountColumn} must be of type INT, REAL, DECIMAL or MONEY` };
+  }
   
-  if (!table.schema.find(col => col.name === joinColumn)) {
-    return { success: false, error: `Column ${joinColumn} not found in ${tableName}` };
+  const dateCol = table.schema.find(col => col.name === dateColumn);
+  if (dateCol && dateCol.type !== 'DATE') {
+    return { success: false, error: `Column ${dateColumn} must be of type DATE` };
+  }
+  const range = {};
+  for (const [bound, value] of [['start', startDate], ['end', endDate]]) {
+    if (value === undefined || value === null || value === '') continue;
+    if (!dateCol) {
+      return { success: false, error: `Column ${dateColumn} not found` };
+    }
+    range[bound] = parseDate(value);
+    if (range[bound] === null) {
+      return { success: false, error: `Invalid ${bound} date "${value}"` };
+    }
   }
   
-  if (!table1.schema.find(col => col.name === joinColumn)) {
-    return { success: false, error: `Column ${joinColumn} not found in ${tableName1}` };
+  if (!runningColumn) {
+    return { success: false, error: 'Running balance column name is required' };
+  }
+  const existingRunning = table.schema.find(col => col.name === runningColumn);
+  if (existingRunning && !isNumericType(existingRunning.type)) {
+    return { success: false, error: `Column ${runningColumn} exists and is not numeric` };
+  }
+  if (runningColumn === amountColumn) {
+    return { success: false, error: 'The running balance cannot overwrite the amount column' };
   }
   
-  // Build lookup map for table1
-  const lookup = {};
-  for (const row of table1.rows) {
-    const key = String(row[joinColumn] || '');
-    if (!lookup[key]) {
-      lookup[key] = row;
+  // Bank balance columns: as given, or every numeric column named like a balance
+  const bankColumns = Array.isArray(balanceColumns) && balanceColumns.length > 0
+    ? balanceColumns
+    : table.schema
+      .filter(col => isNumericType(col.type) && /balance/i.test(col.name) && col.name !== runningColumn)
+      .map(col => col.name);
+  for (const colName of bankColumns) {
+    const col = table.schema.find(c => c.name === colName);
+    if (!col) {
+      return { success: false, error: `Column ${colName} not found` };
+    }
+    if (!isNumericType(col.type)) {
+      return { success: false, error: `Column ${colName} must be of type INT, REAL, DECIMAL or MONEY` };
+    }
+    if (colName === runningColumn) {
+      return { success: false, error: `Column ${colName} is the running balance column` };
     }
   }
   
-  // Create a deep copy of the table for the new joined table
-  const newTable = {
-    schema: JSON.parse(JSON.stringify(table.schema)),
-    rows: JSON.parse(JSON.stringify(table.rows)),
-    originalFile: `${newTableName}.CSV`
-  };
-  
-  // Add columns from table1 (except joinColumn)
-  const newCols = table1.schema.filter(col => col.name !== joinColumn);
-  for (const col of newCols) {
-    if (!newTable.schema.find(c => c.name === col.name)) {
-      newTable.schema.push(JSON.parse(JSON.stringify(col)));
+  // Rows in the range, oldest first
+  let order = [];
+  table.rows.forEach((row, rowIndex) => {
+    const date = dateCol ? row[dateColumn] : '';
+    if ((range.start || range.end) && !date) return;
+    if (range.start && date < range.start) return;
+    if (range.end && date > range.end) return;
+    order.push(rowIndex);
+  });
+  if (dateCol && order.length > 1) {
+    const dateOf = rowIndex => table.rows[rowIndex][dateColumn] || '';
+    if (dateOf(order[0]) > dateOf(order[order.length - 1])) {
+      order.reverse();
     }
+    // Stable, so rows of one day keep their statement order
+    order = order.sort((a, b) => dateOf(a).localeCompare(dateOf(b)));
   }
   
-  // Join rows
-  for (const row of newTable.rows) {
-    const key = String(row[joinColumn] || '');
-    const match = lookup[key];
-    if (match) {
-      for (const col of newCols) {
-        row[col.name] = match[col.name];
-      }
-    } else {
-      for (const col of newCols) {
-        row[col.name] = col.type === 'TEXT' ? '' : (col.type === 'INT' ? 0 : 0.0);
+  // Work out the running balance and the divergences before changing the table
+  const decimalType = parseDecimalType(amountCol.type);
+  const round = value => decimalType ? roundToScale(value, decimalType.scale) : value;
+  const running = new Map();
+  const divergences = [];
+  let balance = opening;
+  let totalAmount = 0;
+  for (const rowIndex of order) {
+    const row = table.rows[rowIndex];
+    const amount = Number(row[amountColumn]) || 0;
+    totalAmount = exactAdd(totalAmount, amount);
+    balance = exactAdd(balance, amount);
+    running.set(rowIndex, round(balance));
+    
+    for (const colName of bankColumns) {
+      // Banks often give a balance only on some rows (e.g. the last of each day); blank ones are not checked
+      if (isBlankValue(row[colName]) || divergences.some(divergence => divergence.column === colName)) continue;
+      const bank = Number(row[colName]) || 0;
+      const difference = exactAdd(bank, -round(balance));
+      if (difference !== 0) {
+        divergences.push({ column: colName, rowIndex, running: round(balance), bank, difference });
       }
     }
   }
+  const finalBalance = round(balance);
+  const discrepancy = round(exactAdd(closing, -finalBalance));
   
-  // Store the new table
-  tables[newTableName] = newTable;
+  if (!existingRunning) {
+    table.schema.push({ name: runningColumn, type: decimalType ? amountCol.type : 'REAL' });
+  }
+  table.rows.forEach((row, rowIndex) => {
+    row[runningColumn] = running.has(rowIndex) ? running.get(rowIndex) : null;
+  });
   
-  return { success: true, newTableName: newTableName, table: serializeTable(newTable) };
+  // Flags from an earlier run are cleared
+  if (divergences.length > 0) {
+    ensureTextColumn(table, RECONCILE_FLAG_COLUMN);
+  }
+  if (table.schema.some(col => col.name === RECONCILE_FLAG_COLUMN)) {
+    for (const row of table.rows) {
+      row[RECONCILE_FLAG_COLUMN] = '';
+    }
+    for (const divergence of divergences) {
+      const row = table.rows[divergence.rowIndex];
+      const flag = `${divergence.column} diverges: running ${divergence.running}, bank ${divergence.bank}`;
+      row[RECONCILE_FLAG_COLUMN] = row[RECONCILE_FLAG_COLUMN] ? `${row[RECONCILE_FLAG_COLUMN]}; ${flag}` : flag;
+    }
+  }
+  
+  await logAction(`RECONCILE: ${tableName} ${order.length} rows from ${opening} to ${finalBalance}, closing ${closing}, discrepancy ${discrepancy}; ${divergences.length} balance columns diverge`);
+  
+  return {
+    success: true,
+    table: serializeTable(table),
+    reconciled: discrepancy === 0 && divergences.length === 0,
+    discrepancy,
+    finalBalance,
+    rowCount: order.length,
+    totalAmount: round(totalAmount),
+    divergences
+  };
 }
 
 /**
@@ -2517,6 +4380,17 @@ async function sortTable(tableName, columnName, order) {
     let comparison = 0;
     if (col.type === 'TEXT') {
       comparison = String(aVal || '').localeCompare(String(bVal || ''));
+    } else if (col.type === 'DATE') {
+      // YYYY-MM-DD strings order chronologically; empty dates go to the end
+      if (!aVal && !bVal) {
+        comparison = 0;
+      } else if (!aVal) {
+        comparison = 1;
+      } else if (!bVal) {
+        comparison = -1;
+      } else {
+        comparison = aVal < bVal ? -1 : (aVal > bVal ? 1 : 0);
+      }
     } else {
       // For INT and REAL columns, convert to numbers for proper numeric comparison
       // This handles cases where values might be stored as strings
@@ -2534,39 +4408,281 @@ async function sortTable(tableName, columnName, order) {
         comparison = aNum - bNum;
       }
     }
-    
-    return order === 'desc' ? -comparison : comparison;
+    
+    return order === 'desc' ? -comparison : comparison;
+  });
+  
+  return { success: true, table: serializeTable(table) };
+}
+
+/**
+ * Deletes a table from memory.
+ * 
+ * @param {string} tableName - The name of the table to delete
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteTable(tableName) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  delete tables[tableName];
+  return { success: true };
+}
+
+/**
+ * Groups a table by one or more columns and aggregates specified columns for each group.
+ * Creates a new table with the group columns first, followed by the aggregated columns.
+ * 
+ * @param {string} tableName - The name of the source table
+ * @param {string|Array<string>} groupColumns - The column(s) to group by, e.g. ['Month', 'tag']
+ * @param {Array<string|Object>} columns - Output columns: a column name to sum, or
+ *   `{column, aggregate, name}` with one of AGGREGATE_FUNCTIONS (see resolveAggregates)
+ * @param {string} newTableName - The name for the new grouped table
+ * @param {number} [level] - Roll hierarchical tags in the tag group column up to this many levels
+ * @param {boolean} [explode=false] - Split multi-tagged values of the tag group column (see splitTags) so a
+ *   row counts toward the group of each of its tags; the group totals can then add up to more than the table total
+ * @returns {Promise<{success: boolean, error?: string, newTableName?: string, table?: Object}>}
+ */
+async function groupTable(tableName, groupColumns, columns, newTableName, level, explode = false) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  if (!newTableName) {
+    return { success: false, error: 'New table name is required' };
+  }
+  
+  // Check if new table name already exists
+  if (tables[newTableName]) {
+    return { success: false, error: `Table ${newTableName} already exists` };
+  }
+  
+  if (!columns || !Array.isArray(columns) || columns.length === 0) {
+    return { success: false, error: 'At least one column to aggregate is required' };
+  }
+  
+  const table = tables[tableName];
+  const group = resolveGroupColumns(table, groupColumns);
+  if (group.error) {
+    return { success: false, error: group.error };
+  }
+  if (group.columns.length === 0) {
+    return { success: false, error: 'Group column is required' };
+  }
+  if (explode && !group.columns.some(col => col.name === TAG_COLUMN)) {
+    return { success: false, error: `The ${TAG_COLUMN} column must be a group column to explode multi-tagged rows` };
+  }
+  
+  const output = resolveAggregates(table, columns, group.columns);
+  if (output.error) {
+    return { success: false, error: output.error };
+  }
+  
+  const rollUp = parseRollUpLevel(level);
+  if (rollUp.error) {
+    return { success: false, error: rollUp.error };
+  }
+  
+  // Create new table instead of modifying the existing one
+  tables[newTableName] = {
+    schema: aggregateSchema(group.columns, output.aggregates),
+    rows: aggregateGroups(table, group.columns, output.aggregates, rollUp.level, !!explode),
+    originalFile: `${newTableName}.CSV`
+  };
+  
+  return { success: true, newTableName: newTableName, table: serializeTable(tables[newTableName]) };
+}
+/** Label of PIVOT_TABLE's totals column and totals row. */
+const PIVOT_TOTAL_LABEL = 'Total';
+/** Column name PIVOT_TABLE gives rows whose column key is empty. */
+const PIVOT_EMPTY_LABEL = '(empty)';
+
+/**
+ * Orders two key values of a column for PIVOT_TABLE: numbers numerically, other values
+ * as text (dates are ISO strings, so in date order). Empty values go last.
+ * 
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {Object} column - Schema entry of the column
+ * @returns {number} Negative, zero or positive, as for Array.prototype.sort
+ */
+function compareKeyValues(a, b, column) {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return (aEmpty ? 1 : 0) - (bEmpty ? 1 : 0);
+  if (isNumericType(column.type)) return parseFloat(a) - parseFloat(b);
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Builds a cross-tab: one row per row-key value, one column per distinct column-key value, and
+ * in each cell the aggregate of the value column over the rows with that pair of keys.
+ * Rows and key columns are in ascending order. With totals, a Total column aggregates each row
+ * and a Total row aggregates each column, over the underlying values (so an AVG total is the
+ * average of all the values, not of the cells). A pair of keys with no rows gives a blank (null)
+ * cell, and a row key column named Total is rejected when totals are on.
+ * 
+ * @param {string} tableName - The name of the source table
+ * @param {string|Array<string>} rowKey - Column(s) whose values become the rows, e.g. 'tag'
+ * @param {string} columnKey - Column whose values become the columns, e.g. 'Month'
+ * @param {string} valueColumn - Column to aggregate
+ * @param {string} [aggregate='SUM'] - One of AGGREGATE_FUNCTIONS
+ * @param {string} newTableName - The name for the new table
+ * @param {boolean} [totals=true] - Add the Total column and row
+ * @returns {Promise<{success: boolean, error?: string, newTableName?: string, table?: Object}>}
+ */
+async function pivotTable(tableName, rowKey, columnKey, valueColumn, aggregate = 'SUM', newTableName, totals = true) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  if (!newTableName) {
+    return { success: false, error: 'New table name is required' };
+  }
+  
+  if (tables[newTableName]) {
+    return { success: false, error: `Table ${newTableName} already exists` };
+  }
+  
+  const table = tables[tableName];
+  const rowKeys = resolveGroupColumns(table, rowKey);
+  if (rowKeys.error) {
+    return { success: false, error: rowKeys.error };
+  }
+  if (rowKeys.columns.length === 0) {
+    return { success: false, error: 'Row key column is required' };
+  }
+  
+  if (!columnKey) {
+    return { success: false, error: 'Column key is required' };
+  }
+  const keyCol = table.schema.find(col => col.name === columnKey);
+  if (!keyCol) {
+    return { success: false, error: `Column ${columnKey} not found` };
+  }
+  if (rowKeys.columns.includes(keyCol)) {
+    return { success: false, error: `Column ${columnKey} cannot be both a row key and the column key` };
+  }
+  
+  if (!valueColumn) {
+    return { success: false, error: 'Value column is required' };
+  }
+  const output = resolveAggregates(table, [{ column: valueColumn, aggregate: aggregate || 'SUM' }], []);
+  if (output.error) {
+    return { success: false, error: output.error };
+  }
+  const { column: valueCol, aggregate: aggregateName, type: valueType } = output.aggregates[0];
+  
+  // One output column per distinct column-key value
+  const labelOf = value => (value === null || value === undefined || value === '' ? PIVOT_EMPTY_LABEL : String(value));
+  const keyValues = new Map();
+  for (const row of table.rows) {
+    if (!keyValues.has(labelOf(row[columnKey]))) {
+      keyValues.set(labelOf(row[columnKey]), row[columnKey]);
+    }
+  }
+  const labels = [...keyValues.keys()].sort((a, b) => compareKeyValues(keyValues.get(a), keyValues.get(b), keyCol));
+  
+  if (totals && rowKeys.columns.some(col => col.name === PIVOT_TOTAL_LABEL)) {
+    return { success: false, error: `Row key column ${PIVOT_TOTAL_LABEL} would clash with the ${PIVOT_TOTAL_LABEL} column; rename it or leave out the totals` };
+  }
+  const reserved = new Set(rowKeys.columns.map(col => col.name));
+  if (totals) {
+    reserved.add(PIVOT_TOTAL_LABEL);
+  }
+  const clash = labels.find(label => reserved.has(label));
+  if (clash) {
+    return { success: false, error: `${columnKey} value ${clash} would clash with the column of the same name` };
+  }
+  
+  // Collect the values of each cell, each row, each column and the whole table
+  const groups = new Map();
+  const columnValues = new Map(labels.map(label => [label, []]));
+  const allValues = [];
+  for (const row of table.rows) {
+    const keys = rowKeys.columns.map(col => row[col.name]);
+    const groupKey = JSON.stringify(keys.map(value => (value === null || value === undefined ? '' : String(value))));
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { keys, cells: new Map(labels.map(label => [label, []])), values: [] });
+    }
+    const group = groups.get(groupKey);
+    const label = labelOf(row[columnKey]);
+    const value = row[valueColumn];
+    group.cells.get(label).push(value);
+    group.values.push(value);
+    columnValues.get(label).push(value);
+    allValues.push(value);
+  }
+  
+  const sortedGroups = [...groups.values()].sort((a, b) => {
+    for (let i = 0; i < rowKeys.columns.length; i++) {
+      const comparison = compareKeyValues(a.keys[i], b.keys[i], rowKeys.columns[i]);
+      if (comparison !== 0) return comparison;
+    }
+    return 0;
   });
   
-  return { success: true, table: serializeTable(table) };
-}
-
-/**
- * Deletes a table from memory.
- * 
- * @param {string} tableName - The name of the table to delete
- * @returns {Promise<{success: boolean, error?: string}>}
- */
-async function deleteTable(tableName) {
-  if (!tables[tableName]) {
-    return { success: false, error: `Table ${tableName} not found` };
+  const newRows = sortedGroups.map(group => {
+    const row = {};
+    rowKeys.columns.forEach((col, index) => {
+      row[col.name] = group.keys[index];
+    });
+    for (const label of labels) {
+      // A missing pair is left blank, even for SUM and the counts
+      const cell = group.cells.get(label);
+      row[label] = cell.length > 0 ? computeAggregate(aggregateName, cell, valueCol) : null;
+    }
+    if (totals) {
+      row[PIVOT_TOTAL_LABEL] = computeAggregate(aggregateName, group.values, valueCol);
+    }
+    return row;
+  });
+  
+  if (totals) {
+    // The Total row is labelled in the first row key column when that column holds text;
+    // its other key cells are blank
+    const totalRow = {};
+    rowKeys.columns.forEach((col, index) => {
+      totalRow[col.name] = index === 0 && col.type === 'TEXT' ? PIVOT_TOTAL_LABEL : null;
+    });
+    for (const label of labels) {
+      totalRow[label] = computeAggregate(aggregateName, columnValues.get(label), valueCol);
+    }
+    totalRow[PIVOT_TOTAL_LABEL] = computeAggregate(aggregateName, allValues, valueCol);
+    newRows.push(totalRow);
   }
   
-  delete tables[tableName];
-  return { success: true };
+  const valueLabels = totals ? [...labels, PIVOT_TOTAL_LABEL] : labels;
+  tables[newTableName] = {
+    schema: [
+      ...rowKeys.columns.map(col => ({ ...col })),
+      ...valueLabels.map(label => ({ name: label, type: valueType }))
+    ],
+    rows: newRows,
+    originalFile: `${newTableName}.CSV`
+  };
+  
+  return { success: true, newTableName: newTableName, table: serializeTable(tables[newTableName]) };
 }
 
 /**
- * Groups a table by a specified column and sums specified numeric columns for each group.
- * Creates a new table with the group column first, followed by summed columns.
+ * Reverses PIVOT_TABLE: turns each of the chosen columns of a row into a row of its own, holding
+ * the row's id columns, the column's name in the key column and its value in the value column.
+ * The value column keeps the type the unpivoted columns share; numeric columns of mixed types
+ * give REAL and any other mix gives TEXT. Empty values stay blank (null) unless dropEmpty
+ * leaves them out.
  * 
  * @param {string} tableName - The name of the source table
- * @param {string} groupColumn - The column to group by
- * @param {Array<string>} columns - Array of column names (INT or REAL) to sum
- * @param {string} newTableName - The name for the new grouped table
+ * @param {Array<string>} idColumns - Columns copied to every new row, e.g. ['tag']
+ * @param {Array<string>} [columns] - Columns to unpivot; default: every column that is not an id column
+ * @param {string} [keyName='name'] - Name of the new column holding the unpivoted column's name
+ * @param {string} [valueName='value'] - Name of the new column holding its value
+ * @param {string} newTableName - The name for the new table
+ * @param {boolean} [dropEmpty=false] - Leave out rows whose value is empty
  * @returns {Promise<{success: boolean, error?: string, newTableName?: string, table?: Object}>}
  */
-async function groupTable(tableName, groupColumn, columns, newTableName) {
+async function unpivotTable(tableName, idColumns, columns, keyName = 'name', valueName = 'value', newTableName, dropEmpty = false) {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
@@ -2575,83 +4691,82 @@ async function groupTable(tableName, groupColumn, columns, newTableName) {
     return { success: false, error: 'New table name is required' };
   }
   
-  // Check if new table name already exists
   if (tables[newTableName]) {
     return { success: false, error: `Table ${newTableName} already exists` };
   }
   
-  if (!groupColumn) {
-    return { success: false, error: 'Group column is required' };
-  }
+  const table = tables[tableName];
+  const findColumns = names => {
+    const found = [];
+    for (const name of names) {
+      const col = table.schema.find(c => c.name === name);
+      if (!col) {
+        return { error: `Column ${name} not found` };
+      }
+      found.push(col);
+    }
+    return { found };
+  };
   
-  if (!columns || !Array.isArray(columns) || columns.length === 0) {
-    return { success: false, error: 'At least one column to sum is required' };
+  const ids = findColumns(Array.isArray(idColumns) ? idColumns : []);
+  if (ids.error) {
+    return { success: false, error: ids.error };
+  }
+  const values = Array.isArray(columns) && columns.length > 0
+    ? findColumns(columns)
+    : { found: table.schema.filter(col => !ids.found.includes(col)) };
+  if (values.error) {
+    return { success: false, error: values.error };
+  }
+  if (values.found.length === 0) {
+    return { success: false, error: 'At least one column to unpivot is required' };
+  }
+  if (values.found.some(col => ids.found.includes(col))) {
+    return { success: false, error: 'A column cannot be both an id column and unpivoted' };
   }
   
-  const table = tables[tableName];
-  const groupCol = table.schema.find(col => col.name === groupColumn);
-  if (!groupCol) {
-    return { success: false, error: `Group column ${groupColumn} not found` };
+  keyName = keyName || 'name';
+  valueName = valueName || 'value';
+  const names = [...ids.found.map(col => col.name), keyName, valueName];
+  if (new Set(names).size !== names.length) {
+    return { success: false, error: 'Key and value column names must differ from each other and from the id columns' };
   }
   
-  // Verify all sum columns exist and are numeric
-  const sumCols = [];
-  for (const colName of columns) {
-    const col = table.schema.find(c => c.name === colName);
-    if (!col) {
-      return { success: false, error: `Column ${colName} not found` };
-    }
-    if (col.type !== 'INT' && col.type !== 'REAL') {
-      return { success: false, error: `Column ${colName} must be of type INT or REAL` };
-    }
-    sumCols.push(col);
+  const types = [...new Set(values.found.map(col => col.type))];
+  let valueType = 'TEXT';
+  if (types.length === 1) {
+    valueType = types[0];
+  } else if (types.every(type => isNumericType(type))) {
+    valueType = 'REAL';
   }
   
-  // Group rows by groupColumn value
-  const groups = {};
+  const newRows = [];
   for (const row of table.rows) {
-    const key = String(row[groupColumn] || '');
-    if (!groups[key]) {
-      groups[key] = {
-        [groupColumn]: row[groupColumn],
-        sums: {}
-      };
-      for (const col of sumCols) {
-        groups[key].sums[col.name] = 0;
+    for (const col of values.found) {
+      let value = row[col.name];
+      const empty = value === null || value === undefined || value === '';
+      if (empty && dropEmpty) continue;
+      if (!empty && valueType === 'TEXT') {
+        value = String(value);
+      } else if (!empty && valueType === 'REAL') {
+        value = parseFloat(value);
       }
-    }
-    
-    // Sum the specified columns
-    for (const col of sumCols) {
-      const val = row[col.name];
-      // Convert to number before adding (like SUM function does)
-      // This prevents string concatenation issues
-      if (val !== null && val !== undefined) {
-        const num = parseFloat(val);
-        if (!isNaN(num)) {
-          groups[key].sums[col.name] = (groups[key].sums[col.name] || 0) + num;
-        }
-        // If value is NaN, skip it (don't add anything)
+      const newRow = {};
+      for (const idCol of ids.found) {
+        newRow[idCol.name] = row[idCol.name];
       }
-      // If value is null/undefined, skip it (don't add anything)
+      newRow[keyName] = col.name;
+      newRow[valueName] = empty ? null : value;
+      newRows.push(newRow);
     }
   }
   
-  // Build new schema: groupColumn first, then sum columns
-  const newSchema = [groupCol, ...sumCols];
-  
-  // Build new rows
-  const newRows = Object.values(groups).map(group => {
-    const row = { [groupColumn]: group[groupColumn] };
-    for (const col of sumCols) {
-      row[col.name] = group.sums[col.name];
-    }
-    return row;
-  });
-  
-  // Create new table instead of modifying the existing one
   tables[newTableName] = {
-    schema: newSchema,
+    schema: [
+      ...ids.found.map(col => ({ ...col })),
+      { name: keyName, type: 'TEXT' },
+      { name: valueName, type: valueType }
+    ],
     rows: newRows,
     originalFile: `${newTableName}.CSV`
   };
@@ -2659,6 +4774,7 @@ async function groupTable(tableName, groupColumn, columns, newTableName) {
   return { success: true, newTableName: newTableName, table: serializeTable(tables[newTableName]) };
 }
 
+
 /**
  * Reorders columns in a table, placing specified columns first.
  * Remaining columns follow in their original order.
@@ -2700,14 +4816,19 @@ async function reorderColumns(tableName, columns) {
 }
 
 /**
- * Converts a TEXT column to REAL type, stripping $ signs and commas before conversion.
- * Non-numeric fields are left unchanged.
+ * Converts a TEXT column to REAL, DATE, DECIMAL(p,s) or MONEY type.
+ * REAL: $ signs and commas are stripped before conversion; non-numeric fields are left unchanged.
+ * DATE: every non-empty value must parse in one of the date formats, otherwise nothing is converted.
+ * DECIMAL/MONEY: also accepts INT and REAL columns; every value must be numeric and fit the
+ * precision, otherwise nothing is converted. Values are rounded to the scale.
  * 
  * @param {string} tableName - The name of the table
- * @param {string} columnName - The TEXT column to convert
+ * @param {string} columnName - The column to convert
+ * @param {string} [targetType='REAL'] - REAL, DATE, DECIMAL(p,s) or MONEY
+ * @param {string} [format] - Comma-separated date input formats for DATE (defaults to DATE_INPUT_FORMATS)
  * @returns {Promise<{success: boolean, error?: string, table?: Object}>}
  */
-async function convertColumn(tableName, columnName) {
+async function convertColumn(tableName, columnName, targetType = 'REAL', format = '') {
   if (!tables[tableName]) {
     return { success: false, error: `Table ${tableName} not found` };
   }
@@ -2718,10 +4839,61 @@ async function convertColumn(tableName, columnName) {
     return { success: false, error: `Column ${columnName} not found` };
   }
   
-  if (col.type !== 'TEXT') {
+  targetType = normalizeColumnType(targetType || 'REAL');
+  const decimalType = parseDecimalType(targetType);
+  
+  if (decimalType && (col.type === 'INT' || col.type === 'REAL')) {
+    // Numeric columns can be converted to an exact type
+  } else if (col.type !== 'TEXT') {
     return { success: false, error: `Column ${columnName} is not of type TEXT` };
   }
   
+  if (decimalType) {
+    const limit = Math.pow(10, decimalType.precision - decimalType.scale);
+    // Parse every value first so a bad value leaves the column untouched
+    const amounts = [];
+    for (let i = 0; i < table.rows.length; i++) {
+      const value = String(table.rows[i][columnName] ?? '').replace(/[$,\s]/g, '');
+      const num = value === '' ? 0 : Number(value);
+      if (isNaN(num) || Math.abs(num) >= limit) {
+        return { success: false, error: `Value "${table.rows[i][columnName]}" at row ${i + 1} does not fit ${targetType}` };
+      }
+      amounts.push(roundToScale(num, decimalType.scale));
+    }
+    table.rows.forEach((row, i) => {
+      row[columnName] = amounts[i];
+    });
+    const fromType = col.type;
+    col.type = targetType;
+    
+    await logAction(`Converted column ${columnName} from ${fromType} to ${targetType} in table ${tableName}`);
+    return { success: true, table: serializeTable(table) };
+  }
+  
+  if (targetType === 'DATE') {
+    const formats = format ? format.split(',').map(f => f.trim()).filter(f => f !== '') : DATE_INPUT_FORMATS;
+    // Parse every value first so a bad value leaves the column untouched
+    const dates = [];
+    for (let i = 0; i < table.rows.length; i++) {
+      const value = String(table.rows[i][columnName] || '').trim();
+      const date = value === '' ? '' : parseDate(value, formats);
+      if (date === null) {
+        return { success: false, error: `Value "${value}" at row ${i + 1} is not a date in any of the formats ${formats.join(', ')}` };
+      }
+      dates.push(date);
+    }
+    table.rows.forEach((row, i) => {
+      row[columnName] = dates[i];
+    });
+    col.type = 'DATE';
+    
+    await logAction(`Converted column ${columnName} from TEXT to DATE in table ${tableName}`);
+    return { success: true, table: serializeTable(table) };
+  }
+  if (targetType !== 'REAL') {
+    return { success: false, error: `Cannot convert column ${columnName} to ${targetType}` };
+  }
+  
   // Convert values: strip $ and commas, try to parse as number
   for (const row of table.rows) {
     const value = String(row[columnName] || '');
@@ -2831,8 +5003,478 @@ async function spliceTables(newTableName, selectedTables) {
     originalFile: `${newTableName}.CSV`
   };
   
-  await logAction(`Spliced ${selectedTables.length} tables into ${newTableName} with ${mergedRows.length} rows`);
-  return { success: true, newTableName: newTableName, table: serializeTable(tables[newTableName]) };
+  await logAction(`Spliced ${selectedTables.length} tables into ${newTableName} with ${mergedRows.length} rows`);
+  return { success: true, newTableName: newTableName, table: serializeTable(tables[newTableName]) };
+}
+
+/** What DEDUPE_TABLE does with each group of duplicates. */
+const DEDUPE_KEEP_OPTIONS = ['first', 'last', 'review'];
+/** Column of a DEDUPE_TABLE review table numbering the groups of duplicates. */
+const DUPLICATE_GROUP_COLUMN = 'duplicate_group';
+
+/**
+ * Finds groups of duplicate rows. Rows are duplicates when their key columns are equal and,
+ * if a date column is given, their dates are at most toleranceDays apart. Within a key, rows
+ * are taken in date order and each group spans at most toleranceDays from its earliest row,
+ * so a run of daily transactions does not chain into one group. Empty dates only match each other.
+ * 
+ * @param {Object} table - The table
+ * @param {Array<string>} keyColumns - Columns that must be equal
+ * @param {string} [dateColumn] - DATE column compared with the tolerance
+ * @param {number} [toleranceDays=0] - Largest number of days between duplicates
+ * @returns {Array<Array<number>>} Row indices of each group of two or more rows, ascending,
+ *   groups ordered by their first row
+ */
+function findDuplicateGroups(table, keyColumns, dateColumn, toleranceDays = 0) {
+  const buckets = new Map();
+  table.rows.forEach((row, rowIndex) => {
+    const key = JSON.stringify(keyColumns.map(col => row[col] === null || row[col] === undefined ? '' : String(row[col])));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(rowIndex);
+  });
+  
+  const groups = [];
+  for (const rowIndices of buckets.values()) {
+    if (rowIndices.length < 2) continue;
+    if (!dateColumn) {
+      groups.push(rowIndices);
+      continue;
+    }
+    
+    // ISO dates sort chronologically as text; the sort is stable, so equal dates stay in row order
+    const byDate = [...rowIndices].sort((a, b) => String(table.rows[a][dateColumn] || '').localeCompare(String(table.rows[b][dateColumn] || '')));
+    let group = [];
+    for (const rowIndex of byDate) {
+      const date = table.rows[rowIndex][dateColumn] || '';
+      const anchor = group.length > 0 ? table.rows[group[0]][dateColumn] || '' : null;
+      const fits = anchor !== null && (date === '' || anchor === ''
+        ? date === anchor
+        : dateDifference(date, anchor, 'DAY') <= toleranceDays);
+      if (!fits) {
+        if (group.length > 1) groups.push(group.sort((a, b) => a - b));
+        group = [];
+      }
+      group.push(rowIndex);
+    }
+    if (group.length > 1) groups.push(group.sort((a, b) => a - b));
+  }
+  
+  return groups.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Removes duplicate rows, such as the transactions two overlapping statement downloads
+ * both contain after SPLICE_TABLES. Duplicates are exact (all key columns equal) or fuzzy
+ * (key columns equal and dates within a tolerance; see findDuplicateGroups).
+ * 
+ * @param {string} tableName - The name of the table
+ * @param {Array<string>} [columns] - Key columns; default every column except tag
+ * @param {string} [dateColumn] - DATE column matched within toleranceDays instead of exactly
+ * @param {number|string} [toleranceDays=0] - Largest number of days between duplicates
+ * @param {string} [keep='first'] - 'first' or 'last' keeps that row of each group and deletes the others;
+ *   'review' leaves the table alone and copies every group into a new table
+ * @param {string} [newTableName] - Name of the review table (required for 'review')
+ * @param {boolean} [preview=false] - Report the groups without changing anything
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, newTableName?: string, deletedCount?: number,
+ *   preview?: {groups: Array<{rows: Array<{rowIndex: number, row: Object}>, keep: number|null}>,
+ *   deletedRows: Array<{rowIndex: number, row: Object}>, rowCount: number}}>}
+ *   In a preview, `keep` is the index of the row each group keeps (null for 'review')
+ */
+async function dedupeTable(tableName, columns, dateColumn, toleranceDays, keep = 'first', newTableName, preview = false) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  if (!DEDUPE_KEEP_OPTIONS.includes(keep)) {
+    return { success: false, error: `Invalid keep option ${keep}; use ${DEDUPE_KEEP_OPTIONS.join(', ')}` };
+  }
+  
+  if (keep === 'review' && !preview) {
+    if (!newTableName) {
+      return { success: false, error: 'New table name is required to review duplicates' };
+    }
+    if (tables[newTableName]) {
+      return { success: false, error: `Table ${newTableName} already exists` };
+    }
+  }
+  
+  const table = tables[tableName];
+  
+  if (dateColumn) {
+    const dateCol = table.schema.find(col => col.name === dateColumn);
+    if (!dateCol) {
+      return { success: false, error: `Column ${dateColumn} not found` };
+    }
+    if (dateCol.type !== 'DATE') {
+      return { success: false, error: `Column ${dateColumn} must be of type DATE` };
+    }
+  }
+  
+  const tolerance = toleranceDays === undefined || toleranceDays === null || toleranceDays === '' ? 0 : Number(toleranceDays);
+  if (!Number.isInteger(tolerance) || tolerance < 0) {
+    return { success: false, error: 'Date tolerance must be a whole number of days' };
+  }
+  
+  let keyColumns = Array.isArray(columns) && columns.length > 0
+    ? columns
+    : table.schema.map(col => col.name).filter(name => name !== TAG_COLUMN);
+  for (const colName of keyColumns) {
+    if (!table.schema.some(col => col.name === colName)) {
+      return { success: false, error: `Column ${colName} not found` };
+    }
+  }
+  // The date column is compared with the tolerance, not as part of the key
+  keyColumns = keyColumns.filter(name => name !== dateColumn);
+  
+  const groups = findDuplicateGroups(table, keyColumns, dateColumn || undefined, tolerance);
+  const keptRows = groups.map(group => keep === 'first' ? group[0] : keep === 'last' ? group[group.length - 1] : null);
+  const deleted = new Set();
+  if (keep !== 'review') {
+    groups.forEach((group, i) => group.filter(rowIndex => rowIndex !== keptRows[i]).forEach(rowIndex => deleted.add(rowIndex)));
+  }
+  
+  if (preview) {
+    return {
+      success: true,
+      preview: {
+        groups: groups.map((group, i) => ({
+          rows: group.map(rowIndex => ({ rowIndex, row: table.rows[rowIndex] })),
+          keep: keptRows[i]
+        })),
+        deletedRows: [...deleted].sort((a, b) => a - b).map(rowIndex => ({ rowIndex, row: table.rows[rowIndex] })),
+        rowCount: table.rows.length
+      }
+    };
+  }
+  
+  const criteria = `${keyColumns.join(', ')}${dateColumn ? ` and ${dateColumn} within ${tolerance} days` : ''}`;
+  
+  if (keep === 'review') {
+    // Every row of every group, numbered by group, for the user to look through
+    const reviewRows = [];
+    groups.forEach((group, i) => {
+      for (const rowIndex of group) {
+        reviewRows.push({ [DUPLICATE_GROUP_COLUMN]: i + 1, ...table.rows[rowIndex] });
+      }
+    });
+    tables[newTableName] = {
+      schema: [{ name: DUPLICATE_GROUP_COLUMN, type: 'INT' }, ...table.schema.map(col => ({ ...col }))],
+      rows: reviewRows,
+      originalFile: `${newTableName}.CSV`
+    };
+    await logAction(`DEDUPE_TABLE: copied ${groups.length} groups of duplicates (${reviewRows.length} rows) of ${tableName} matching on ${criteria} into ${newTableName}`);
+    return { success: true, newTableName, table: serializeTable(tables[newTableName]) };
+  }
+  
+  table.rows = table.rows.filter((row, rowIndex) => !deleted.has(rowIndex));
+  await logAction(`DEDUPE_TABLE: deleted ${deleted.size} duplicate rows of ${tableName} in ${groups.length} groups matching on ${criteria}, keeping the ${keep}`);
+  return { success: true, table: serializeTable(table), deletedCount: deleted.size };
+}
+
+/**
+ * Column that holds a row's tag (or tags, see splitTags); added by tagging when a table has none.
+ * @type {string}
+ */
+const TAG_COLUMN = 'tag';
+
+/**
+ * Rules file AUTO_TAG reads from the Data directory when none is given.
+ * @type {string}
+ */
+const DEFAULT_TAG_RULES_FILE = 'c.txt';
+
+/**
+ * Adds a TEXT column, empty in every row, if the table has none by that name.
+ * 
+ * @param {Object} table - The table
+ * @param {string} columnName - The column name
+ * @returns {boolean} True if the column was added
+ */
+function ensureTextColumn(table, columnName) {
+  if (table.schema.some(col => col.name === columnName)) {
+    return false;
+  }
+  table.schema.push({ name: columnName, type: 'TEXT' });
+  for (const row of table.rows) {
+    row[columnName] = '';
+  }
+  return true;
+}
+
+/**
+ * Adds the TEXT tag column (TAG_COLUMN), with an empty tag in every row, if the table has none.
+ * 
+ * @param {Object} table - The table
+ * @returns {boolean} True if the column was added
+ */
+function ensureTagColumn(table) {
+  return ensureTextColumn(table, TAG_COLUMN);
+}
+
+/**
+ * Parses one line of a tag rules file. Two forms are accepted:
+ * - `condition -> Tag` (the tag may be quoted)
+ * - `condition ? 'Tag' : tag`, the form already used in Data/c.txt
+ * 
+ * @param {string} line - The rule text
+ * @param {ExpressionEvaluator} evaluator - Evaluator used to compile the condition
+ * @returns {{condition: Object, conditionText: string, tag: string}} The compiled condition and the tag it assigns
+ * @throws {Error} If the line is not a rule or its condition has a syntax error
+ */
+function parseTagRule(line, evaluator) {
+  // The arrow is a '-' token directly followed by a '>' token
+  const tokens = tokenizeExpression(line);
+  const arrowIndex = tokens.findIndex((token, i) =>
+    token.value === '-' && tokens[i + 1].value === '>' && tokens[i + 1].pos === token.pos + 1);
+  
+  if (arrowIndex !== -1) {
+    const arrowPos = tokens[arrowIndex].pos - 1;
+    const conditionText = line.substring(0, arrowPos).trim();
+    const tag = line.substring(arrowPos + 2).trim().replace(/^(['"])(.*)\1$/, '$2');
+    if (!conditionText || !tag) {
+      throw new Error('Expected "condition -> Tag"');
+    }
+    return { condition: evaluator.compile(conditionText), conditionText, tag };
+  }
+  
+  const ast = evaluator.compile(line);
+  if (ast.type === 'conditional' && ast.whenTrue.type === 'string' &&
+      ast.whenFalse.type === 'field' && ast.whenFalse.name === TAG_COLUMN) {
+    const conditionText = line.substring(0, ast.pos - 1).trim();
+    return { condition: ast.condition, conditionText, tag: ast.whenTrue.value };
+  }
+  throw new Error(`Expected "condition -> Tag" or "condition ? 'Tag' : tag"`);
+}
+
+/**
+ * Tags the rows of a table with an ordered list of rules read from a file in the Data directory.
+ * Each row gets the tag of the first rule whose condition is true; rows that already have a
+ * tag are left alone unless overwrite is set. Blank lines and lines starting with # are ignored,
+ * and lines that are not rules are reported and skipped.
+ * 
+ * @param {string} tableName - The name of the table
+ * @param {string} [rulesFile] - Rules file name (default DEFAULT_TAG_RULES_FILE)
+ * @param {boolean} [overwrite=false] - Also re-tag rows that already have a tag
+ * @returns {Promise<{success: boolean, error?: string, table?: Object, rules?: Array<Object>, skippedLines?: Array<Object>, untaggedRows?: Array<Object>, alreadyTagged?: number}>}
+ */
+async function autoTag(tableName, rulesFile, overwrite = false) {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  // Only files in the Data directory can be used
+  const fileName = path.basename(rulesFile || DEFAULT_TAG_RULES_FILE);
+  let content;
+  try {
+    content = await fs.readFile(path.join(DATA_DIR, fileName), 'utf-8');
+  } catch (error) {
+    return { success: false, error: `Cannot read tag rules file ${fileName}: ${error.message}` };
+  }
+  
+  const table = tables[tableName];
+  const evaluator = new ExpressionEvaluator(null, tables, tableName);
+  const rules = [];
+  const skippedLines = [];
+  
+  content.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+    try {
+      rules.push({ line: index + 1, ...parseTagRule(trimmed, evaluator), matched: 0 });
+    } catch (error) {
+      skippedLines.push({ line: index + 1, text: trimmed, error: error.message });
+    }
+  });
+  
+  for (const skipped of skippedLines) {
+    await logAction(`AUTO_TAG: skipped line ${skipped.line} of ${fileName} (${skipped.error}): ${skipped.text}`);
+  }
+  if (rules.length === 0) {
+    return { success: false, error: `No tag rules found in ${fileName}`, skippedLines };
+  }
+  
+  // Work out every row's tag before changing anything, so an error leaves the table as it was
+  const newTags = new Map();
+  const untaggedRows = [];
+  let alreadyTagged = 0;
+  for (let i = 0; i < table.rows.length; i++) {
+    const row = table.rows[i];
+    if (!overwrite && row[TAG_COLUMN]) {
+      alreadyTagged++;
+      continue;
+    }
+    evaluator.row = row;
+    evaluator.rowIndex = i;
+    let matchedRule = null;
+    for (const rule of rules) {
+      let result;
+      try {
+        result = evaluator.run(rule.condition);
+      } catch (error) {
+        return { success: false, error: `Rule on line ${rule.line} failed at row ${i + 1}: ${error.message}` };
+      }
+      if (evaluator._isTruthy(result)) {
+        matchedRule = rule;
+        break;
+      }
+    }
+    if (matchedRule) {
+      matchedRule.matched++;
+      newTags.set(i, matchedRule.tag);
+    } else {
+      untaggedRows.push({ rowIndex: i, row });
+    }
+  }
+  
+  if (ensureTagColumn(table)) {
+    await logAction(`Added "${TAG_COLUMN}" column to table ${tableName}`);
+  }
+  for (const [rowIndex, tag] of newTags) {
+    table.rows[rowIndex][TAG_COLUMN] = tag;
+  }
+  
+  const ruleCounts = rules.map(rule => ({ line: rule.line, condition: rule.conditionText, tag: rule.tag, matched: rule.matched }));
+  for (const rule of ruleCounts) {
+    await logAction(`AUTO_TAG: rule on line ${rule.line} (${rule.condition} -> ${rule.tag}) tagged ${rule.matched} rows`);
+  }
+  await logAction(`AUTO_TAG: tagged ${newTags.size} rows of ${tableName} using ${fileName}; ${untaggedRows.length} rows matched no rule`);
+  
+  return {
+    success: true,
+    table: serializeTable(table),
+    rules: ruleCounts,
+    skippedLines,
+    untaggedRows,
+    alreadyTagged
+  };
+}
+
+/** Column linking the rows made by SPLIT_ROW to the row they were split from. */
+const SPLIT_LINK_COLUMN = 'split_of';
+
+/**
+ * Replaces one row with several child rows that divide its amount, e.g. a bank line
+ * spread over several budgets. Every child is a copy of the row with its own amount and tag;
+ * the amounts must add up exactly to the row's amount, and each child must pass the CHECK
+ * rules of the table's rules file. Nothing changes unless every child is valid.
+ * 
+ * The children share an id in the split_of column (S1, S2, ...), which links them to their
+ * source row. Splitting a child again keeps its id, so the group still adds up to the source.
+ * 
+ * @param {string} tableName - The name of the table
+ * @param {number} rowIndex - The index of the row to split
+ * @param {Array<{amount: number|string, tag?: string}>} parts - The children, at least two
+ * @param {string} [amountColumn='Amount'] - The numeric column to divide
+ * @returns {Promise<{success: boolean, error?: string, errors?: Array<{part: number, columns: Array<string>}>,
+ *   table?: Object, rowIndices?: Array<number>, splitId?: string}>} On success, the indices of the
+ *   children; when CHECK rules fail, the failing columns of each part (numbered from 1)
+ */
+async function splitRow(tableName, rowIndex, parts, amountColumn = 'Amount') {
+  if (!tables[tableName]) {
+    return { success: false, error: `Table ${tableName} not found` };
+  }
+  
+  const table = tables[tableName];
+  if (!Number.isInteger(rowIndex) || rowIndex < 0 || rowIndex >= table.rows.length) {
+    return { success: false, error: 'Invalid row index' };
+  }
+  
+  const amountCol = table.schema.find(col => col.name === amountColumn);
+  if (!amountCol) {
+    return { success: false, error: `Column ${amountColumn} not found` };
+  }
+  if (!isNumericType(amountCol.type)) {
+    return { success: false, error: `Column ${amountColumn} must be of type INT, REAL, DECIMAL or MONEY` };
+  }
+  
+  if (!Array.isArray(parts) || parts.length < 2) {
+    return { success: false, error: 'A split needs at least two parts' };
+  }
+  
+  // Parse the amounts at the column's type
+  const decimalType = parseDecimalType(amountCol.type);
+  const amounts = [];
+  for (let i = 0; i < parts.length; i++) {
+    const amount = parseFloat(cleanRealValue(String(parts[i] && parts[i].amount)));
+    if (isNaN(amount) || (amountCol.type === 'INT' && !Number.isInteger(amount))) {
+      return { success: false, error: `Part ${i + 1}: invalid ${amountColumn} "${parts[i] && parts[i].amount}"` };
+    }
+    amounts.push(decimalType ? roundToScale(amount, decimalType.scale) : amount);
+  }
+  
+  const source = table.rows[rowIndex];
+  const sourceAmount = Number(source[amountColumn]) || 0;
+  const total = amounts.reduce((sum, amount) => exactAdd(sum, amount), 0);
+  if (total !== exactAdd(sourceAmount, 0)) {
+    return { success: false, error: `The parts add up to ${total}, not ${sourceAmount}` };
+  }
+  
+  // Re-splitting a child keeps the id of the original row
+  let splitId = source[SPLIT_LINK_COLUMN];
+  if (!splitId) {
+    const used = table.rows
+      .map(row => /^S(\d+)$/.exec(row[SPLIT_LINK_COLUMN] || ''))
+      .filter(match => match)
+      .map(match => parseInt(match[1], 10));
+    splitId = `S${Math.max(0, ...used) + 1}`;
+  }
+  
+  const children = parts.map((part, i) => ({
+    ...source,
+    [amountColumn]: amounts[i],
+    [TAG_COLUMN]: part.tag === undefined ? (source[TAG_COLUMN] || '') : joinTags(splitTags(part.tag)),
+    [SPLIT_LINK_COLUMN]: splitId
+  }));
+  
+  // Every child must pass the table's CHECK rules
+  const fileName = path.basename(table.originalFile, path.extname(table.originalFile));
+  const checkRules = (await loadRules(fileName)).filter(rule => rule.operation === 'CHECK');
+  const errors = [];
+  // One evaluator for every child, so LOOKUP and EXISTS indexes are built once
+  const evaluator = new ExpressionEvaluator(null, tables, tableName);
+  children.forEach((child, i) => {
+    evaluator.row = child;
+    evaluator.rowIndex = rowIndex + i;
+    const columns = [];
+    for (const rule of checkRules) {
+      try {
+        const result = evaluator.evaluate(rule.expression);
+        // Convert result to number for proper truthiness check (handles string "0" vs number 0)
+        const numResult = typeof result === 'string' ? parseFloat(result) : Number(result);
+        if (!numResult || isNaN(numResult)) {
+          columns.push(rule.columnName);
+        }
+      } catch (error) {
+        columns.push(`${rule.columnName}: ${error.message}`);
+      }
+    }
+    if (columns.length > 0) {
+      errors.push({ part: i + 1, columns });
+    }
+  });
+  if (errors.length > 0) {
+    return {
+      success: false,
+      error: `CHECK rules failed for ${errors.map(e => `part ${e.part} (${e.columns.join(', ')})`).join(', ')}`,
+      errors
+    };
+  }
+  
+  if (ensureTagColumn(table)) {
+    await logAction(`Added "${TAG_COLUMN}" column to table ${tableName}`);
+  }
+  if (ensureTextColumn(table, SPLIT_LINK_COLUMN)) {
+    await logAction(`Added "${SPLIT_LINK_COLUMN}" column to table ${tableName}`);
+  }
+  table.rows.splice(rowIndex, 1, ...children);
+  await logAction(`SPLIT_ROW: split row ${rowIndex} of ${tableName} (${amountColumn} ${sourceAmount}) into ${children.length} rows as ${splitId}`);
+  
+  return {
+    success: true,
+    table: serializeTable(table),
+    rowIndices: children.map((child, i) => rowIndex + i),
+    splitId
+  };
 }
 
 /**
@@ -2918,20 +5560,33 @@ async function loadRules(fileName) {
   }
 }
 
+/**
+ * Runs the rules of one operation (INIT, FIXUP or CHECK) against a row.
+ * 
+ * @route POST /api/rules/run
+ * @param {string} fileName - Base filename of the table and its rules file
+ * @param {Object} row - The row to run the rules on
+ * @param {string} operation - INIT, FIXUP or CHECK
+ * @param {number} [rowIndex] - Index of the row in the table; omit for a row that is being added
+ * @returns {Promise<Object>} Result object with success flag and failing column names
+ */
 app.post('/api/rules/run', async (req, res) => {
-  const { fileName, row, operation } = req.body;
+  const { fileName, row, operation, rowIndex } = req.body;
   
   try {
     const rules = await loadRules(fileName);
     const filteredRules = rules.filter(r => r.operation === operation);
     const errors = [];
     
-    const table = Object.values(tables).find(t => t.originalFile === `${fileName}.CSV`);
-    if (!table) {
+    const tableEntry = Object.entries(tables).find(([, t]) => t.originalFile === `${fileName}.CSV`);
+    if (!tableEntry) {
       return res.json({ success: false, error: 'Table not found' });
     }
+    const [tableName, table] = tableEntry;
     
-    const evaluator = new ExpressionEvaluator(row, tables, fileName);
+    // A row without an index is a new row, which will be appended
+    const index = Number.isInteger(rowIndex) ? rowIndex : table.rows.length;
+    const evaluator = new ExpressionEvaluator(row, tables, tableName, index);
     
     for (const rule of filteredRules) {
       try {
@@ -3084,16 +5739,7 @@ app.get('/api/row/init/:tableName', async (req, res) => {
     // Initialize row with default values
     const row = {};
     for (const col of table.schema) {
-      switch (col.type) {
-        case 'INT':
-          row[col.name] = 0;
-          break;
-        case 'REAL':
-          row[col.name] = 0.0;
-          break;
-        default:
-          row[col.name] = '';
-      }
+      row[col.name] = parseValue('', col.type);
     }
     
     // Run INIT rules ONLY - this is called when opening the ADD modal
@@ -3101,7 +5747,7 @@ app.get('/api/row/init/:tableName', async (req, res) => {
     await logAction(`Loading rules for ${fileName}, found ${rules.length} rules`);
     const initRules = rules.filter(r => r.operation === 'INIT');
     await logAction(`Found ${initRules.length} INIT rules`);
-    const evaluator = new ExpressionEvaluator(row, tables, tableName);
+    const evaluator = new ExpressionEvaluator(row, tables, tableName, table.rows.length);
     
     for (const rule of initRules) {
       try {
@@ -3146,16 +5792,7 @@ app.post('/api/row/add', async (req, res) => {
     // Initialize row with default values if not provided
     for (const col of table.schema) {
       if (row[col.name] === undefined || row[col.name] === null) {
-        switch (col.type) {
-          case 'INT':
-            row[col.name] = 0;
-            break;
-          case 'REAL':
-            row[col.name] = 0.0;
-            break;
-          default:
-            row[col.name] = '';
-        }
+        row[col.name] = parseValue('', col.type);
       }
     }
     
@@ -3163,26 +5800,15 @@ app.post('/api/row/add', async (req, res) => {
     const rules = await loadRules(fileName);
     await logAction(`Loaded ${rules.length} rules for table ${tableName} when adding row, fileName: ${fileName}`);
     await logAction(`Rules found: ${rules.map(r => `${r.operation} ${r.columnName}`).join(', ')}`);
-    const evaluator = new ExpressionEvaluator(row, tables, tableName);
+    // The new row will be appended, so it takes the next index
+    const evaluator = new ExpressionEvaluator(row, tables, tableName, table.rows.length);
     const errors = [];
     for (const col of table.schema) {
-      const value = row[col.name];
-      if (col.type === 'INT') {
-        const intVal = parseInt(value, 10);
-        if (isNaN(intVal) || !Number.isInteger(parseFloat(value))) {
-          errors.push(col.name);
-        } else {
-          row[col.name] = intVal;
-        }
-      } else if (col.type === 'REAL') {
-        const realVal = parseFloat(value);
-        if (isNaN(realVal)) {
-          errors.push(col.name);
-        } else {
-          row[col.name] = realVal;
-        }
+      const checked = validateCellValue(col, row[col.name]);
+      if (checked.success) {
+        row[col.name] = checked.value;
       } else {
-        row[col.name] = String(value || '');
+        errors.push(col.name);
       }
     }
     
@@ -3240,7 +5866,8 @@ app.post('/api/row/add', async (req, res) => {
       return res.json({ success: false, errors });
     }
     
-    table.rows.push(row);
+    // Adding a row changes no existing row, so no row values are copied
+    recordTableChange(tableName, 'Add row', () => table.rows.push(row), []);
     await logAction(`Added row to table ${tableName}`);
     
     res.json({ success: true, table: serializeTable(table) });
@@ -3268,42 +5895,21 @@ app.post('/api/row/validate', async (req, res) => {
     // Initialize row with default values if not provided
     for (const col of table.schema) {
       if (rowCopy[col.name] === undefined || rowCopy[col.name] === null) {
-        switch (col.type) {
-          case 'INT':
-            rowCopy[col.name] = 0;
-            break;
-          case 'REAL':
-            rowCopy[col.name] = 0.0;
-            break;
-          default:
-            rowCopy[col.name] = '';
-        }
+        rowCopy[col.name] = parseValue('', col.type);
       }
     }
     
     // Validate types
     const rules = await loadRules(fileName);
-    const evaluator = new ExpressionEvaluator(rowCopy, tables, tableName);
+    const evaluator = new ExpressionEvaluator(rowCopy, tables, tableName, table.rows.length);
     const errors = [];
     
     for (const col of table.schema) {
-      const value = rowCopy[col.name];
-      if (col.type === 'INT') {
-        const intVal = parseInt(value, 10);
-        if (isNaN(intVal) || !Number.isInteger(parseFloat(value))) {
-          errors.push(col.name);
-        } else {
-          rowCopy[col.name] = intVal;
-        }
-      } else if (col.type === 'REAL') {
-        const realVal = parseFloat(value);
-        if (isNaN(realVal)) {
-          errors.push(col.name);
-        } else {
-          rowCopy[col.name] = realVal;
-        }
+      const checked = validateCellValue(col, rowCopy[col.name]);
+      if (checked.success) {
+        rowCopy[col.name] = checked.value;
       } else {
-        rowCopy[col.name] = String(value || '');
+        errors.push(col.name);
       }
     }
     
@@ -3376,28 +5982,16 @@ app.post('/api/row/update', async (req, res) => {
     
     const fileName = path.basename(table.originalFile, '.CSV');
     const rules = await loadRules(fileName);
-    const evaluator = new ExpressionEvaluator(row, tables, tableName);
+    const evaluator = new ExpressionEvaluator(row, tables, tableName, rowIndex);
     const errors = [];
     
     // Validate and convert types
     for (const col of table.schema) {
-      const value = row[col.name];
-      if (col.type === 'INT') {
-        const intVal = parseInt(value, 10);
-        if (isNaN(intVal) || !Number.isInteger(parseFloat(value))) {
-          errors.push(col.name);
-        } else {
-          row[col.name] = intVal;
-        }
-      } else if (col.type === 'REAL') {
-        const realVal = parseFloat(value);
-        if (isNaN(realVal)) {
-          errors.push(col.name);
-        } else {
-          row[col.name] = realVal;
-        }
+      const checked = validateCellValue(col, row[col.name]);
+      if (checked.success) {
+        row[col.name] = checked.value;
       } else {
-        row[col.name] = String(value || '');
+        errors.push(col.name);
       }
     }
     
@@ -3447,7 +6041,10 @@ app.post('/api/row/update', async (req, res) => {
       return res.json({ success: false, errors });
     }
     
-    table.rows[rowIndex] = row;
+    // The edited row is a new object, so no row values are copied
+    recordTableChange(tableName, `Edit row ${rowIndex + 1}`, () => {
+      table.rows[rowIndex] = row;
+    }, []);
     await logAction(`Updated row ${rowIndex} in table ${tableName}`);
     
     res.json({ success: true, table: serializeTable(table) });
@@ -3470,7 +6067,7 @@ app.post('/api/row/delete', async (req, res) => {
       return res.json({ success: false, error: 'Invalid row index' });
     }
     
-    table.rows.splice(rowIndex, 1);
+    recordTableChange(tableName, `Delete row ${rowIndex + 1}`, () => table.rows.splice(rowIndex, 1), []);
     await logAction(`Deleted row ${rowIndex} from table ${tableName}`);
     
     res.json({ success: true, table: serializeTable(table) });
@@ -3480,77 +6077,597 @@ app.post('/api/row/delete', async (req, res) => {
   }
 });
 
+/** Separates the levels of a hierarchical tag, e.g. "Travel/Air". */
+const TAG_PATH_SEPARATOR = '/';
+/** Separates the tags of a row that carries several, e.g. "Delta;Entertainment". */
+const TAG_DELIMITER = ';';
+
+/**
+ * Splits a row's tag value into its tags. A single tag gives a one-element array.
+ * 
+ * @param {*} value - The tag column value
+ * @returns {Array<string>} The tags, trimmed, without empty entries or duplicates
+ */
+function splitTags(value) {
+  if (value === null || value === undefined) return [];
+  const tags = String(value).split(TAG_DELIMITER).map(tag => tag.trim()).filter(tag => tag !== '');
+  return [...new Set(tags)];
+}
+
+/**
+ * Joins tags into a tag column value, dropping empty entries and duplicates.
+ * 
+ * @param {Array<string>} tags - The tags
+ * @returns {string} The tags separated by TAG_DELIMITER; '' when there are none
+ */
+function joinTags(tags) {
+  return splitTags(tags.join(TAG_DELIMITER)).join(TAG_DELIMITER);
+}
+
+/**
+ * Works out a row's new tag value when tagging it.
+ * 
+ * @param {*} value - The row's current tag value
+ * @param {string} tag - The tag (or TAG_DELIMITER-separated tags) to apply
+ * @param {string} [mode='replace'] - 'replace' sets the tags, 'add' adds them to the row's tags,
+ *   'remove' takes them off
+ * @returns {string} The new tag value
+ */
+function applyTagMode(value, tag, mode = 'replace') {
+  const tags = splitTags(tag);
+  if (mode === 'add') {
+    return joinTags([...splitTags(value), ...tags]);
+  }
+  if (mode === 'remove') {
+    return joinTags(splitTags(value).filter(existing => !tags.includes(existing)));
+  }
+  return joinTags(tags);
+}
+
+/** Ways /api/row/tag and /api/rows/tag can apply a tag. */
+const TAG_MODES = ['replace', 'add', 'remove'];
+
+/**
+ * Parses the tags file into full tag paths. A category can be written as a path
+ * (`Travel/Air`) or by indenting it under its parent; both can be mixed:
+ * 
+ *     Travel
+ *       Air
+ *       Lodging/Hotels
+ * 
+ * gives Travel, Travel/Air, Travel/Lodging and Travel/Lodging/Hotels. Parents that are only
+ * named in a path are added before their children. Flat files parse as before.
+ * 
+ * @param {string} content - Contents of commands.tag
+ * @returns {Array<string>} Tag paths in file order, without duplicates
+ */
+function parseTagFile(content) {
+  const tags = [];
+  const seen = new Set();
+  // Enclosing categories of the current line: their indentation and full path
+  const parents = [];
+  
+  for (const line of content.split(/\r?\n/)) {
+    const name = line.trim();
+    if (name === '') continue;
+    
+    const indent = line.replace(/\t/g, '    ').search(/\S/);
+    while (parents.length > 0 && parents[parents.length - 1].indent >= indent) {
+      parents.pop();
+    }
+    
+    let tagPath = parents.length > 0 ? parents[parents.length - 1].path : '';
+    for (const part of name.split(TAG_PATH_SEPARATOR).map(p => p.trim()).filter(p => p !== '')) {
+      tagPath = tagPath ? `${tagPath}${TAG_PATH_SEPARATOR}${part}` : part;
+      if (!seen.has(tagPath)) {
+        seen.add(tagPath);
+        tags.push(tagPath);
+      }
+    }
+    parents.push({ indent, path: tagPath });
+  }
+  
+  return tags;
+}
+
+/**
+ * Arranges tag paths as a tree for the tag menu.
+ * 
+ * @param {Array<string>} tags - Tag paths; a missing parent is added where its first child appears
+ * @returns {Array<{name: string, path: string, children: Array<Object>}>} The top-level categories
+ */
+function buildTagTree(tags) {
+  const roots = [];
+  const nodes = new Map();
+  const getNode = tagPath => {
+    if (nodes.has(tagPath)) return nodes.get(tagPath);
+    const separator = tagPath.lastIndexOf(TAG_PATH_SEPARATOR);
+    const node = { name: tagPath.substring(separator + 1), path: tagPath, children: [] };
+    nodes.set(tagPath, node);
+    (separator === -1 ? roots : getNode(tagPath.substring(0, separator)).children).push(node);
+    return node;
+  };
+  tags.forEach(getNode);
+  return roots;
+}
+
+/**
+ * Cuts a hierarchical tag down to its first `level` levels, so totals roll up to that level
+ * ("Travel/Air/Domestic" at level 1 is "Travel"). Values without a separator are unchanged.
+ * 
+ * @param {*} value - The group column value
+ * @param {number|undefined} level - Number of levels to keep; undefined keeps the value whole
+ * @returns {*}
+ */
+function rollUpTag(value, level) {
+  if (level === undefined || value === null || value === undefined) return value;
+  // Each tag of a multi-tagged row is rolled up on its own
+  return joinTags(splitTags(value).map(tag => tag.split(TAG_PATH_SEPARATOR).slice(0, level).join(TAG_PATH_SEPARATOR)));
+}
+
+/**
+ * Checks the optional roll-up level of COLLAPSE_TABLE and GROUP_TABLE.
+ * 
+ * @param {*} level - The level parameter as sent
+ * @returns {{level?: number, error?: string}} The level (undefined when not given) or an error
+ */
+function parseRollUpLevel(level) {
+  if (level === undefined || level === null || level === '') return {};
+  const number = Number(level);
+  if (!Number.isInteger(number) || number < 1) {
+    return { error: 'Level must be a whole number of 1 or more' };
+  }
+  return { level: number };
+}
+
 /**
  * Gets the list of tags from commands.tag file.
- * Tags are stored one per line in plain text.
+ * Tags are stored one per line in plain text; categories can be nested (see parseTagFile).
  * 
  * @route GET /api/tags
- * @returns {Promise<Object>} Result object with success flag and tags array
+ * @returns {Promise<Object>} Result object with success flag, tags array (full paths) and tag tree
  */
 app.get('/api/tags', async (req, res) => {
   try {
-    const tagsFile = path.join(DATA_DIR, 'commands.tag');
+    const tags = await readTagFile();
+    await logAction(`Loaded ${tags.length} tags from commands.tag`);
+    res.json({ success: true, tags, tree: buildTagTree(tags) });
+  } catch (error) {
+    await logError('Failed to read tags', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/** Path of the tags file. */
+const TAGS_FILE = path.join(DATA_DIR, 'commands.tag');
+
+/**
+ * Reads the tag paths from commands.tag.
+ * 
+ * @returns {Promise<Array<string>>} Tag paths (see parseTagFile); empty if the file does not exist
+ */
+async function readTagFile() {
+  try {
+    return parseTagFile(await fs.readFile(TAGS_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // File doesn't exist, return empty tags array
+      await logAction('commands.tag file not found, returning empty tags');
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Writes tag paths to commands.tag, one tag per line with subcategories indented
+ * two spaces under their category. A flat list is written one tag per line as before.
+ * 
+ * @param {Array<string>} tags - Tag paths
+ */
+async function writeTagFile(tags) {
+  const lines = [];
+  const writeNodes = (nodes, depth) => {
+    for (const node of nodes) {
+      lines.push(`${'  '.repeat(depth)}${node.name}`);
+      writeNodes(node.children, depth + 1);
+    }
+  };
+  writeNodes(buildTagTree(tags), 0);
+  await fs.writeFile(TAGS_FILE, lines.length > 0 ? `${lines.join('\n')}\n` : '', 'utf-8');
+}
+
+/**
+ * Checks whether a tag is another tag or one of its subcategories.
+ * 
+ * @param {*} value - The tag to check, e.g. a row's tag value
+ * @param {string} tag - The tag or category
+ * @returns {boolean}
+ */
+function isTagOrSubtag(value, tag) {
+  return value === tag || (typeof value === 'string' && value.startsWith(`${tag}${TAG_PATH_SEPARATOR}`));
+}
+
+/**
+ * Checks whether any of a row's tags is a tag or one of its subcategories.
+ * 
+ * @param {*} value - The row's tag value, possibly several tags (see splitTags)
+ * @param {string} tag - The tag or category
+ * @returns {boolean}
+ */
+function rowHasTag(value, tag) {
+  return splitTags(value).some(rowTag => isTagOrSubtag(rowTag, tag));
+}
+
+/**
+ * Normalizes a tag path typed by the user: trims every level and drops empty ones.
+ * 
+ * @param {*} tag - The tag as sent
+ * @returns {string} The tag path, or '' if nothing is left
+ */
+function normalizeTagPath(tag) {
+  return String(tag || '')
+    .split(TAG_PATH_SEPARATOR)
+    .map(part => part.trim())
+    .filter(part => part !== '')
+    .join(TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Counts the rows of all loaded tables tagged with a tag or one of its subcategories.
+ * 
+ * @param {string} tag - The tag or category
+ * @returns {{rows: number, tables: Array<string>}} The number of rows and the tables they are in
+ */
+function countTagUsage(tag) {
+  let rows = 0;
+  const usedIn = [];
+  for (const [name, table] of Object.entries(tables)) {
+    const count = table.rows.filter(row => rowHasTag(row[TAG_COLUMN], tag)).length;
+    if (count > 0) {
+      rows += count;
+      usedIn.push(name);
+    }
+  }
+  return { rows, tables: usedIn };
+}
+
+/**
+ * Rewrites the tag of every row tagged with a tag (or one of its subcategories) in all
+ * loaded tables. Each changed table gets one undo step.
+ * 
+ * @param {string} from - The tag to replace
+ * @param {string} to - The new tag; '' removes the tag. Subcategories keep their place under it.
+ * @param {string} label - Description of the change for the undo history
+ * @returns {{rows: number, tables: Object<string, Object>}} Number of rows changed, and the changed tables (serialized)
+ */
+function rewriteRowTags(from, to, label) {
+  let rows = 0;
+  const changedTables = {};
+  for (const [name, table] of Object.entries(tables)) {
+    const tagged = table.rows.filter(row => rowHasTag(row[TAG_COLUMN], from));
+    if (tagged.length === 0) continue;
+    recordTableChange(name, label, () => {
+      for (const row of tagged) {
+        // Only the matching tags of a multi-tagged row change
+        row[TAG_COLUMN] = joinTags(splitTags(row[TAG_COLUMN]).map(rowTag =>
+          isTagOrSubtag(rowTag, from) ? (to ? to + rowTag.substring(from.length) : '') : rowTag
+        ));
+      }
+    }, tagged);
+    rows += tagged.length;
+    changedTables[name] = serializeTable(table);
+  }
+  return { rows, tables: changedTables };
+}
+
+/**
+ * Adds a tag to commands.tag. A path such as "Travel/Air" also adds its missing parents.
+ * 
+ * @route POST /api/tags
+ * @param {string} tag - The new tag
+ * @returns {Promise<Object>} Result object with success flag, tags and tag tree
+ */
+app.post('/api/tags', async (req, res) => {
+  try {
+    const tag = normalizeTagPath(req.body.tag);
+    if (!tag) {
+      return res.json({ success: false, error: 'Tag name is required' });
+    }
+    if (tag.includes(TAG_DELIMITER)) {
+      return res.json({ success: false, error: `Tag names cannot contain "${TAG_DELIMITER}"` });
+    }
     
-    try {
-      const content = await fs.readFile(tagsFile, 'utf-8');
-      const tags = content
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line.length > 0);
-      
-      await logAction(`Loaded ${tags.length} tags from commands.tag`);
-      res.json({ success: true, tags });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, return empty tags array
-        await logAction('commands.tag file not found, returning empty tags');
-        res.json({ success: true, tags: [] });
-      } else {
-        throw error;
+    const tags = await readTagFile();
+    if (tags.includes(tag)) {
+      return res.json({ success: false, error: `Tag ${tag} already exists` });
+    }
+    
+    const parts = tag.split(TAG_PATH_SEPARATOR);
+    for (let i = 1; i <= parts.length; i++) {
+      const tagPath = parts.slice(0, i).join(TAG_PATH_SEPARATOR);
+      if (!tags.includes(tagPath)) {
+        tags.push(tagPath);
       }
     }
+    await writeTagFile(tags);
+    await logAction(`Added tag ${tag}`);
+    
+    res.json({ success: true, tags, tree: buildTagTree(tags) });
   } catch (error) {
-    await logError('Failed to read tags', error);
+    await logError('Failed to add tag', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Renames a tag, or merges it into another tag when the new name already exists.
+ * Subcategories move with their category, and every row of every loaded table that
+ * uses the tag is rewritten (one undo step per table).
+ * 
+ * @route PUT /api/tags
+ * @param {string} from - The tag to rename
+ * @param {string} to - The new name (an existing tag to merge into)
+ * @returns {Promise<Object>} Result object with success flag, tags, tag tree, merged flag, number of rows
+ *   updated and the tables whose rows changed
+ */
+app.put('/api/tags', async (req, res) => {
+  try {
+    const from = normalizeTagPath(req.body.from);
+    const to = normalizeTagPath(req.body.to);
+    if (!from || !to) {
+      return res.json({ success: false, error: 'Both the tag and its new name are required' });
+    }
+    if (from === to) {
+      return res.json({ success: false, error: 'The new name must be different' });
+    }
+    if (to.includes(TAG_DELIMITER)) {
+      return res.json({ success: false, error: `Tag names cannot contain "${TAG_DELIMITER}"` });
+    }
+    if (isTagOrSubtag(to, from)) {
+      return res.json({ success: false, error: `Cannot move ${from} into its own subcategory ${to}` });
+    }
+    
+    const tags = await readTagFile();
+    if (!tags.includes(from)) {
+      return res.json({ success: false, error: `Tag ${from} not found` });
+    }
+    const merged = tags.includes(to);
+    
+    // Rename the tag and its subcategories; a name that already exists is merged into it
+    const renamed = [];
+    for (const tag of tags) {
+      const newTag = isTagOrSubtag(tag, from) ? to + tag.substring(from.length) : tag;
+      if (!renamed.includes(newTag)) {
+        renamed.push(newTag);
+      }
+    }
+    // Parents of the new name that did not exist yet
+    const parts = to.split(TAG_PATH_SEPARATOR);
+    for (let i = 1; i < parts.length; i++) {
+      const parent = parts.slice(0, i).join(TAG_PATH_SEPARATOR);
+      if (!renamed.includes(parent)) {
+        renamed.splice(renamed.indexOf(to), 0, parent);
+      }
+    }
+    
+    await writeTagFile(renamed);
+    const rewritten = rewriteRowTags(from, to, `${merged ? 'Merge' : 'Rename'} tag ${from}`);
+    await logAction(`${merged ? 'Merged' : 'Renamed'} tag ${from} ${merged ? 'into' : 'to'} ${to}; updated ${rewritten.rows} rows`);
+    
+    res.json({
+      success: true,
+      tags: renamed,
+      tree: buildTagTree(renamed),
+      merged,
+      rowsUpdated: rewritten.rows,
+      tables: rewritten.tables
+    });
+  } catch (error) {
+    await logError('Failed to rename tag', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Deletes a tag and its subcategories from commands.tag. If loaded rows still use it,
+ * nothing is deleted and the usage is returned as a warning, unless force is set;
+ * then those rows are untagged (one undo step per table).
+ * 
+ * @route DELETE /api/tags
+ * @param {string} tag - The tag to delete
+ * @param {boolean} [force] - Delete even if rows use the tag
+ * @returns {Promise<Object>} Result object with success flag, tags, tag tree and the tables whose rows changed,
+ *   or `inUse: {rows, tables}` when the tag is still used and force is not set
+ */
+app.delete('/api/tags', async (req, res) => {
+  try {
+    const tag = normalizeTagPath(req.body.tag);
+    const tags = await readTagFile();
+    if (!tags.includes(tag)) {
+      return res.json({ success: false, error: `Tag ${tag} not found` });
+    }
+    
+    const usage = countTagUsage(tag);
+    if (usage.rows > 0 && !req.body.force) {
+      return res.json({
+        success: false,
+        error: `Tag ${tag} is used by ${usage.rows} rows in ${usage.tables.join(', ')}`,
+        inUse: usage
+      });
+    }
+    
+    const remaining = tags.filter(t => !isTagOrSubtag(t, tag));
+    await writeTagFile(remaining);
+    const rewritten = usage.rows > 0 ? rewriteRowTags(tag, '', `Delete tag ${tag}`) : { rows: 0, tables: {} };
+    await logAction(`Deleted tag ${tag}; untagged ${rewritten.rows} rows`);
+    
+    res.json({
+      success: true,
+      tags: remaining,
+      tree: buildTagTree(remaining),
+      rowsUpdated: rewritten.rows,
+      tables: rewritten.tables
+    });
+  } catch (error) {
+    await logError('Failed to delete tag', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/** Column whose text is compared when suggesting tags. */
+const TAG_SUGGESTION_COLUMN = 'Description';
+/** Suggestions below this confidence are not offered. */
+const MIN_TAG_SUGGESTION_CONFIDENCE = 0.3;
+
+/**
+ * Splits a description into comparable words: upper case, split on anything that is not a
+ * letter or digit, dropping one-letter words and words containing digits (dates, card and
+ * confirmation numbers), which differ between otherwise identical transactions.
+ * 
+ * @param {*} text - The description
+ * @returns {Array<string>} The words, in order
+ */
+function descriptionWords(text) {
+  return String(text || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(word => word.length > 1 && !/[0-9]/.test(word));
+}
+
+/**
+ * Scores how alike two descriptions are, from 0 to 1: the larger of their word overlap
+ * (shared words / all words) and their merchant prefix (leading words in common / words in
+ * the shorter one). The prefix score is scaled by 0.9 so only identical words score 1.
+ * 
+ * @param {Array<string>} wordsA - Words of the first description, from descriptionWords
+ * @param {Array<string>} wordsB - Words of the second description
+ * @returns {number}
+ */
+function descriptionSimilarity(wordsA, wordsB) {
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  
+  const setA = new Set(wordsA);
+  const setB = new Set(wordsB);
+  let shared = 0;
+  for (const word of setA) {
+    if (setB.has(word)) shared++;
+  }
+  const overlap = shared / (setA.size + setB.size - shared);
+  
+  let prefix = 0;
+  while (prefix < wordsA.length && prefix < wordsB.length && wordsA[prefix] === wordsB[prefix]) {
+    prefix++;
+  }
+  const prefixScore = 0.9 * prefix / Math.min(wordsA.length, wordsB.length);
+  
+  return Math.max(overlap, prefixScore);
+}
+
+/**
+ * Suggests tags for a row by comparing its description with the rows of every loaded table
+ * that already have a tag. A tag's confidence is its best similarity to the row; ties go to
+ * the tag used on more similar rows.
+ * 
+ * @param {string} tableName - The table of the row
+ * @param {number} rowIndex - The index of the row
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<{tag: string, confidence: number, matches: number}>} Suggestions, best first;
+ *   `matches` is the number of tagged rows at least as similar as the threshold
+ */
+function suggestTags(tableName, rowIndex, limit) {
+  const words = descriptionWords(tables[tableName].rows[rowIndex][TAG_SUGGESTION_COLUMN]);
+  const candidates = new Map();
+  
+  for (const [name, table] of Object.entries(tables)) {
+    if (!table.schema.some(col => col.name === TAG_SUGGESTION_COLUMN)) continue;
+    table.rows.forEach((row, index) => {
+      if (!row[TAG_COLUMN] || (name === tableName && index === rowIndex)) return;
+      const similarity = descriptionSimilarity(words, descriptionWords(row[TAG_SUGGESTION_COLUMN]));
+      if (similarity < MIN_TAG_SUGGESTION_CONFIDENCE) return;
+      // Each tag of a multi-tagged row is a candidate of its own
+      for (const tag of splitTags(row[TAG_COLUMN])) {
+        const candidate = candidates.get(tag) || { tag, confidence: 0, matches: 0 };
+        candidate.confidence = Math.max(candidate.confidence, similarity);
+        candidate.matches++;
+        candidates.set(tag, candidate);
+      }
+    });
+  }
+  
+  return [...candidates.values()]
+    .sort((a, b) => b.confidence - a.confidence || b.matches - a.matches)
+    .slice(0, limit)
+    .map(candidate => ({ ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 }));
+}
+
+/**
+ * Suggests the most likely tags for a row from previously tagged rows with a similar Description.
+ * 
+ * @route GET /api/tags/suggest
+ * @param {string} tableName - The name of the table (query parameter)
+ * @param {number} rowIndex - The index of the row (query parameter)
+ * @param {number} [limit=3] - Maximum number of suggestions (query parameter)
+ * @returns {Object} Result object with success flag and suggestions ({tag, confidence, matches}, best first)
+ */
+app.get('/api/tags/suggest', (req, res) => {
+  const { tableName } = req.query;
+  const rowIndex = parseInt(req.query.rowIndex, 10);
+  const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 3;
+  
+  if (!tables[tableName]) {
+    return res.json({ success: false, error: `Table ${tableName} not found` });
+  }
+  if (isNaN(rowIndex) || rowIndex < 0 || rowIndex >= tables[tableName].rows.length) {
+    return res.json({ success: false, error: 'Invalid row index' });
+  }
+  
+  res.json({ success: true, suggestions: suggestTags(tableName, rowIndex, limit) });
+});
+
 /**
  * Updates a row's tag field. Adds the "tag" column if it doesn't exist.
+ * In multi-tag mode ('add' or 'remove') the row keeps a set of tags separated by TAG_DELIMITER.
  * 
  * @route POST /api/row/tag
  * @param {string} tableName - The name of the table
  * @param {number} rowIndex - The index of the row to tag
  * @param {string} tag - The tag value to set
+ * @param {string} [mode='replace'] - 'replace' overwrites the row's tags, 'add' adds the tag to them,
+ *   'remove' takes it off
  * @returns {Promise<Object>} Result object with success flag and updated table
  */
 app.post('/api/row/tag', async (req, res) => {
-  const { tableName, rowIndex, tag } = req.body;
+  const { tableName, rowIndex, tag, mode = 'replace' } = req.body;
   
   try {
     if (!tables[tableName]) {
       return res.json({ success: false, error: `Table ${tableName} not found` });
     }
+    if (!TAG_MODES.includes(mode)) {
+      return res.json({ success: false, error: `Invalid tag mode ${mode}; use ${TAG_MODES.join(', ')}` });
+    }
     
     const table = tables[tableName];
     if (rowIndex < 0 || rowIndex >= table.rows.length) {
       return res.json({ success: false, error: 'Invalid row index' });
     }
     
-    // Check if "tag" column exists, add it if not
-    let tagColumn = table.schema.find(col => col.name === 'tag');
-    if (!tagColumn) {
-      table.schema.push({ name: 'tag', type: 'TEXT' });
-      // Initialize tag field for all existing rows
-      for (const row of table.rows) {
-        row.tag = '';
-      }
-      await logAction(`Added "tag" column to table ${tableName}`);
+    // Only the tagged row's values change; a new tag column is removed again by undo
+    const addedTagColumn = recordTableChange(tableName, `Tag row ${rowIndex + 1}`, () => {
+      // Add the tag column if the table has none
+      const added = ensureTagColumn(table);
+      
+      // Update the row's tag field
+      const row = table.rows[rowIndex];
+      row[TAG_COLUMN] = applyTagMode(row[TAG_COLUMN], tag || '', mode);
+      return added;
+    }, [table.rows[rowIndex]]);
+    if (addedTagColumn) {
+      await logAction(`Added "${TAG_COLUMN}" column to table ${tableName}`);
     }
-    
-    // Update the row's tag field
-    table.rows[rowIndex].tag = tag || '';
-    await logAction(`Tagged row ${rowIndex} in table ${tableName} with "${tag}"`);
+    const newTag = table.rows[rowIndex][TAG_COLUMN];
+    await logAction(`Tagged row ${rowIndex} in table ${tableName} with "${newTag}"${mode !== 'replace' ? ` (${mode} "${tag}")` : ''}`);
     
     res.json({ success: true, table: serializeTable(table) });
   } catch (error) {
@@ -3559,6 +6676,88 @@ app.post('/api/row/tag', async (req, res) => {
   }
 });
 
+/**
+ * Tags several rows at once: the rows listed in rowIndices, or every row for which
+ * expression is true. Adds the "tag" column if it doesn't exist. The change is one undo step.
+ * 
+ * @route POST /api/rows/tag
+ * @param {string} tableName - The name of the table
+ * @param {Array<number>} [rowIndices] - Indices of the rows to tag
+ * @param {string} [expression] - Augmented expression selecting the rows to tag (instead of rowIndices)
+ * @param {string} tag - The tag value to set
+ * @param {string} [mode='replace'] - 'replace', 'add' or 'remove', as for /api/row/tag
+ * @returns {Promise<Object>} Result object with success flag, updated table and the indices of the tagged rows
+ */
+app.post('/api/rows/tag', async (req, res) => {
+  const { tableName, rowIndices, expression, tag, mode = 'replace' } = req.body;
+  
+  try {
+    if (!tables[tableName]) {
+      return res.json({ success: false, error: `Table ${tableName} not found` });
+    }
+    if (!TAG_MODES.includes(mode)) {
+      return res.json({ success: false, error: `Invalid tag mode ${mode}; use ${TAG_MODES.join(', ')}` });
+    }
+    
+    const table = tables[tableName];
+    let taggedRows;
+    
+    if (Array.isArray(rowIndices) && !expression) {
+      const invalid = rowIndices.find(index => !Number.isInteger(index) || index < 0 || index >= table.rows.length);
+      if (invalid !== undefined) {
+        return res.json({ success: false, error: `Invalid row index ${invalid}` });
+      }
+      taggedRows = [...new Set(rowIndices)].sort((a, b) => a - b);
+    } else if (expression && !Array.isArray(rowIndices)) {
+      const evaluator = new ExpressionEvaluator(null, tables, tableName);
+      let compiled;
+      try {
+        compiled = evaluator.compile(expression);
+      } catch (error) {
+        return res.json({ success: false, error: `Invalid expression: ${error.message}` });
+      }
+      
+      taggedRows = [];
+      for (let i = 0; i < table.rows.length; i++) {
+        evaluator.row = table.rows[i];
+        evaluator.rowIndex = i;
+        try {
+          if (evaluator._isTruthy(evaluator.run(compiled))) {
+            taggedRows.push(i);
+          }
+        } catch (error) {
+          return res.json({ success: false, error: `Error evaluating expression at row ${i + 1}: ${error.message}` });
+        }
+      }
+    } else {
+      return res.json({ success: false, error: 'Either rowIndices or expression is required' });
+    }
+    
+    if (taggedRows.length === 0) {
+      return res.json({ success: true, table: serializeTable(table), taggedRows });
+    }
+    
+    const addedTagColumn = recordTableChange(tableName, `Tag ${taggedRows.length} rows`, () => {
+      const added = ensureTagColumn(table);
+      for (const rowIndex of taggedRows) {
+        const row = table.rows[rowIndex];
+        row[TAG_COLUMN] = applyTagMode(row[TAG_COLUMN], tag || '', mode);
+      }
+      return added;
+    }, taggedRows.map(rowIndex => table.rows[rowIndex]));
+    if (addedTagColumn) {
+      await logAction(`Added "${TAG_COLUMN}" column to table ${tableName}`);
+    }
+    
+    await logAction(`Tagged ${taggedRows.length} rows in table ${tableName} with "${tag}"${mode !== 'replace' ? ` (${mode})` : ''}${expression ? ` (rows where ${expression})` : ''}`);
+    
+    res.json({ success: true, table: serializeTable(table), taggedRows });
+  } catch (error) {
+    await logError('Failed to tag rows', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * Starts the Express server and initializes the application.
  * Deletes and recreates main.log on startup.
@@ -3586,5 +6785,20 @@ async function startServer() {
   });
 }
 
-startServer();
+// Start only when run directly; the tests require this file for its functions
+if (require.main === module) {
+  startServer();
+}
 
+module.exports = {
+  app,
+  CSVRecordReader,
+  readCSVFile,
+  tokenizeExpression,
+  ExpressionParser,
+  ExpressionEvaluator,
+  parseValue,
+  validateCellValue,
+  saveTable,
+  getTables: () => tables
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for CSVRecordReader and readCSVFile: quoting, line endings, the BOM,
+ * records split across chunks, and saveTable output read back unchanged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// saveTable writes into DATA_DIR, so point it at a temporary directory before loading the server
+const dataDir = fsSync.mkdtempSync(path.join(os.tmpdir(), 'csvedit-data-'));
+process.env.DATA_DIR = dataDir;
+const { CSVRecordReader, readCSVFile, saveTable, getTables } = require('../server');
+
+test.after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Reads CSV text in one write() call.
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The records
+ */
+function readAll(text) {
+  const reader = new CSVRecordReader();
+  return [...reader.write(text), ...reader.end()];
+}
+
+/**
+ * Reads CSV text split into two chunks at the given position.
+ * @param {string} text - The CSV text
+ * @param {number} at - Where the first chunk ends
+ * @returns {Array<Array<string>>} The records
+ */
+function readSplit(text, at) {
+  const reader = new CSVRecordReader();
+  return [...reader.write(text.slice(0, at)), ...reader.write(text.slice(at)), ...reader.end()];
+}
+
+test('reads quoted fields with commas, escaped quotes and embedded newlines', () => {
+  const text = 'Name:TEXT,Note:TEXT\n"Smith, J","He said ""hi""\nthen left"\n';
+  assert.deepStrictEqual(readAll(text), [
+    ['Name:TEXT', 'Note:TEXT'],
+    ['Smith, J', 'He said "hi"\nthen left']
+  ]);
+});
+
+test('accepts CRLF, LF and CR record separators and keeps CRLF inside quotes', () => {
+  const expected = [['a', 'b'], ['1', '2'], ['3', '4']];
+  assert.deepStrictEqual(readAll('a,b\r\n1,2\r\n3,4\r\n'), expected);
+  assert.deepStrictEqual(readAll('a,b\n1,2\n3,4'), expected);
+  assert.deepStrictEqual(readAll('a,b\r1,2\r3,4\r'), expected);
+  assert.deepStrictEqual(readAll('a\r\n"x\r\ny"\r\n'), [['a'], ['x\r\ny']]);
+});
+
+test('skips a leading BOM and blank lines', () => {
+  assert.deepStrictEqual(readAll('\uFEFFa,b\n\n1,2\n\r\n'), [['a', 'b'], ['1', '2']]);
+});
+
+test('trims unquoted fields and keeps quoted whitespace', () => {
+  assert.deepStrictEqual(readAll(' a , " b " ,c\n'), [['a', ' b ', 'c']]);
+});
+
+test('gives the same records wherever the input is split into chunks', () => {
+  const text = '\uFEFFDate:DATE,Description:TEXT\r\n2024-01-02,"Rent, ""flat""\r\nJanuary"\r\n2024-01-03,Coffee\r\n';
+  const expected = readAll(text);
+  assert.strictEqual(expected.length, 3);
+  for (let at = 0; at <= text.length; at++) {
+    assert.deepStrictEqual(readSplit(text, at), expected, `split at ${at}`);
+  }
+});
+
+test('reports an unterminated quoted field with its starting line', () => {
+  const reader = new CSVRecordReader();
+  reader.write('a,b\n1,"open\n');
+  assert.throws(() => reader.end(), /Unterminated quoted field starting at line 2/);
+});
+
+test('readCSVFile streams a file through the reader', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csvedit-'));
+  const filePath = path.join(dir, 'sample.csv');
+  try {
+    await fs.writeFile(filePath, '\uFEFFa,b\r\n"x\r\ny","q""q"\r\n', 'utf-8');
+    assert.deepStrictEqual(await readCSVFile(filePath), [['a', 'b'], ['x\r\ny', 'q"q']]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('saveTable output reads back unchanged', async () => {
+  const tables = getTables();
+  const tableName = '__csv_round_trip_test';
+  const filePath = path.join(dataDir, `${tableName}.CSV`);
+  const values = [
+    'plain',
+    'comma, inside',
+    'quote " inside',
+    '""',
+    'line\nbreak',
+    'crlf\r\nbreak',
+    '  padded  ',
+    ''
+  ];
+  tables[tableName] = {
+    schema: [{ name: 'Id', type: 'INT' }, { name: 'Text', type: 'TEXT' }],
+    rows: values.map((text, i) => ({ Id: i, Text: text })),
+    originalFile: `${tableName}.CSV`
+  };
+
+  try {
+    const result = await saveTable(tableName);
+    assert.strictEqual(result.success, true);
+    const records = await readCSVFile(filePath);
+    assert.deepStrictEqual(records[0], ['Id:INT', 'Text:TEXT']);
+    assert.deepStrictEqual(records.slice(1), values.map((text, i) => [String(i), text]));
+  } finally {
+    delete tables[tableName];
+  }
+});
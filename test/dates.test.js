@@ -0,0 +1,103 @@
+/**
+ * Tests for the DATE column type: input formats, normalised storage,
+ * chronological sorting and comparison, CONVERT_COLUMN from TEXT, and the
+ * date functions of the expression language.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { ExpressionEvaluator } = require('../server');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'dates.CSV': 'Date:DATE,Note:TEXT\n2/10/2025,b\n1/2/2025,a\n2025-01-15,c\nnot a date,d\n',
+    'text.CSV': 'When:TEXT\n3.1.2025\n""\n28.2.2025\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('stores dates from any input format as YYYY-MM-DD and invalid dates as empty', async () => {
+  const result = await server.get('/api/tables');
+  assert.deepStrictEqual(result.tables.dates.rows.map(row => row.Date), ['2025-02-10', '2025-01-02', '2025-01-15', '']);
+});
+
+test('SORT_TABLE orders DATE columns chronologically with empty dates last', async () => {
+  let result = await server.command('SORT_TABLE', 'dates', { columnName: 'Date', order: 'asc' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Note), ['a', 'c', 'b', 'd']);
+  result = await server.command('SORT_TABLE', 'dates', { columnName: 'Date', order: 'desc' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Note), ['d', 'b', 'c', 'a']);
+});
+
+test('compares DATE values chronologically with dates written in any input format', () => {
+  const tables = {
+    t: { schema: [{ name: 'Date', type: 'DATE' }], rows: [{ Date: '2025-01-15' }] }
+  };
+  const evaluator = new ExpressionEvaluator(tables.t.rows[0], tables, 't', 0);
+  assert.strictEqual(evaluator.evaluate('Date < "2/1/2025"'), 1);
+  assert.strictEqual(evaluator.evaluate('Date > "12/31/2024"'), 1);
+  assert.strictEqual(evaluator.evaluate('Date = "1/15/2025"'), 1);
+});
+
+test('TODAY() returns the date as YYYY-MM-DD', () => {
+  const evaluator = new ExpressionEvaluator(null, {}, null);
+  const now = new Date();
+  const expected = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  assert.strictEqual(evaluator.evaluate('TODAY()'), expected);
+});
+
+test('CONVERT_COLUMN parses TEXT into DATE with the given formats and converts nothing on a bad value', async () => {
+  let result = await server.command('CONVERT_COLUMN', 'text', { columnName: 'When', type: 'DATE' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Value "3\.1\.2025" at row 1 is not a date/);
+  
+  result = await server.command('CONVERT_COLUMN', 'text', { columnName: 'When', type: 'DATE', format: 'D.M.YYYY' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.table.schema[0].type, 'DATE');
+  assert.deepStrictEqual(result.table.rows.map(row => row.When), ['2025-01-03', '', '2025-02-28']);
+});
+
+test('date functions parse, format, take apart and shift dates', () => {
+  const evaluator = new ExpressionEvaluator(null, {}, null);
+  const cases = [
+    ['DATE_PARSE("31.12.2024", "D.M.YYYY")', '2024-12-31'],
+    ['DATE_PARSE("31.12.2024", "M/D/YYYY")', ''],
+    ['DATE_FORMAT("1/2/2025", "YYYY-MM")', '2025-01'],
+    ['DATE_FORMAT("2025-03-04", "D MMM YY")', '4 Mar 25'],
+    ['DAY("2025-03-04")', '04'],
+    ['MONTH("2025-03-04")', '03'],
+    ['YEAR("2025-03-04")', '2025'],
+    ['WEEKDAY("2025-03-09")', 7],
+    ['DATE_ADD("2025-01-31", 1, MONTH)', '2025-02-28'],
+    ['DATE_ADD("2025-03-01", -1, DAY)', '2025-02-28'],
+    ['DATE_ADD("2024-02-29", 1, YEAR)', '2025-02-28'],
+    ['DATE_DIFF("2025-02-27", "2025-01-31", MONTH)', 0],
+    ['DATE_DIFF("2025-02-28", "2025-01-31", MONTH)', 1],
+    ['DATE_DIFF("2025-01-01", "2025-01-15", DAY)', -14],
+    ['DATE_DIFF("", "2025-01-15", DAY)', '']
+  ];
+  for (const [expression, expected] of cases) {
+    assert.strictEqual(evaluator.evaluate(expression), expected, expression);
+  }
+  assert.throws(() => evaluator.evaluate('DAY("soon")'), /DAY: "soon" is not a date/);
+});
+
+test('ADD_COLUMN derives a month bucket that GROUP_TABLE can total', async () => {
+  await server.writeFile('spend.CSV', 'Date:DATE,Amount:REAL\n1/5/2025,10\n1/20/2025,5\n2/1/2025,2\n');
+  await server.get('/api/tables');
+  let result = await server.command('ADD_COLUMN', 'spend', {
+    columnName: 'Month',
+    columnType: 'TEXT',
+    expression: "DATE_FORMAT(Date, 'YYYY-MM')"
+  });
+  assert.strictEqual(result.success, true);
+  result = await server.command('GROUP_TABLE', 'spend', { groupColumn: 'Month', columns: ['Amount'], newName: 'monthly' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => [row.Month, row.Amount]), [['2025-01', 15], ['2025-02', 2]]);
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the expression tokenizer, parser and evaluator.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ExpressionEvaluator, tokenizeExpression } = require('../server');
+
+/**
+ * A small in-memory table set; the evaluator reads tables from its constructor argument.
+ * @returns {Object} Tables keyed by name
+ */
+function sampleTables() {
+  return {
+    t: {
+      schema: [
+        { name: 'Description', type: 'TEXT' },
+        { name: 'Amount', type: 'REAL' },
+        { name: 'Balance', type: 'REAL' }
+      ],
+      rows: [
+        { Description: 'Rent: "flat" + garage', Amount: -10, Balance: 5 },
+        { Description: 'Coffee', Amount: 3, Balance: 7 },
+        { Description: 'Coffee', Amount: 3, Balance: 7 }
+      ]
+    }
+  };
+}
+
+/**
+ * Evaluates an expression against one row of table t.
+ * @param {string} expression - The expression
+ * @param {number} [rowIndex=0] - The row of t
+ * @param {Object} [tables] - Tables to evaluate against
+ * @returns {string|number} The value
+ */
+function evaluateAt(expression, rowIndex = 0, tables = sampleTables()) {
+  const evaluator = new ExpressionEvaluator(tables.t.rows[rowIndex], tables, 't', rowIndex);
+  return evaluator.evaluate(expression);
+}
+
+test('tokenizes numbers, strings, operators and identifiers with positions', () => {
+  const tokens = tokenizeExpression('Amount > 1.5 && "a b"');
+  assert.deepStrictEqual(tokens.map(token => token.pos), [1, 8, 10, 14, 17, 22]);
+  assert.strictEqual(tokens[tokens.length - 1].type, 'eof');
+  assert.strictEqual(tokens[2].value, 1.5);
+  assert.strictEqual(tokens[4].value, 'a b');
+});
+
+test('applies operator precedence and associativity', () => {
+  assert.strictEqual(evaluateAt('Amount + Balance * 2'), 0);
+  assert.strictEqual(evaluateAt('(Amount + Balance) * 2'), -10);
+  assert.strictEqual(evaluateAt('2 ^ 3 ^ 2'), 512);
+  assert.strictEqual(evaluateAt('-Amount'), 10);
+  assert.strictEqual(evaluateAt('Amount < 0 || Amount = 0'), 1);
+  assert.strictEqual(evaluateAt('Amount < 0 ? "neg" : "pos"'), 'neg');
+  assert.strictEqual(evaluateAt('Amount > 0 ? "pos" : Amount = 0 ? "zero" : "neg"'), 'neg');
+});
+
+test('treats field values containing quotes, colons and operators as plain values', () => {
+  assert.strictEqual(evaluateAt('Description'), 'Rent: "flat" + garage');
+  assert.strictEqual(evaluateAt('APPEND(Description, "!")'), 'Rent: "flat" + garage!');
+  assert.strictEqual(evaluateAt('Description = "Rent: \\"flat\\" + garage"'), 1);
+  assert.strictEqual(evaluateAt('LENGTH(Description)'), 21);
+});
+
+test('reports syntax errors with their position', () => {
+  const evaluator = new ExpressionEvaluator(null, sampleTables(), 't');
+  const cases = [
+    ['(1 + 2', /missing closing parenthesis for '\(' at position 1/],
+    ['1 + 2)', /extra closing parenthesis at position 6/],
+    ['1 +* 2', /Unexpected operator \* at position 4/],
+    ['"abc', /Unmatched double quote \("\) at position 1/],
+    ['FOO(1)', /Unknown function FOO at position 1/],
+    ['1 $ 2', /Invalid character '\$' at position 3/]
+  ];
+  for (const [expression, message] of cases) {
+    assert.throws(() => evaluator.compile(expression), message, expression);
+  }
+  assert.throws(() => evaluator.compile('   '), /Empty expression/);
+});
+
+test('compiles each expression text once and reuses the compiled form', () => {
+  const tables = sampleTables();
+  const evaluator = new ExpressionEvaluator(null, tables, 't');
+  const compiled = evaluator.compile('Amount * 2 + 1');
+  assert.strictEqual(evaluator.compile('  Amount * 2 + 1 '), compiled);
+  assert.strictEqual(new ExpressionEvaluator(null, tables, 't').compile('Amount * 2 + 1'), compiled);
+
+  const results = tables.t.rows.map((row, rowIndex) => {
+    evaluator.row = row;
+    evaluator.rowIndex = rowIndex;
+    return evaluator.run(compiled);
+  });
+  assert.deepStrictEqual(results, [-19, 7, 7]);
+});
+
+test('CURR_ROW and field[offset] use the row index, also for duplicate rows', () => {
+  const tables = sampleTables();
+  const evaluator = new ExpressionEvaluator(null, tables, 't');
+  const compiled = evaluator.compile('CURR_ROW() * 100 + Balance[-1]');
+  const results = tables.t.rows.map((row, rowIndex) => {
+    evaluator.row = row;
+    evaluator.rowIndex = rowIndex;
+    return evaluator.run(compiled);
+  });
+  // Rows 1 and 2 are equal, but each sees its own position
+  assert.deepStrictEqual(results.slice(1), [105, 207]);
+  assert.strictEqual(evaluateAt('Balance[1]', 0, tables), 7);
+  assert.strictEqual(evaluateAt('NUM_ROWS()', 2, tables), 3);
+});
+
+test('an out-of-range field[offset] gives the column type\'s empty value', () => {
+  const tables = sampleTables();
+  assert.strictEqual(evaluateAt('Amount + Balance[-1]', 0, tables), -10);
+  assert.strictEqual(evaluateAt('Balance[1]', 2, tables), 0);
+  assert.strictEqual(evaluateAt('Description[-1]', 0, tables), '');
+});
+
+test('an offset expression that fails to evaluate is an error', () => {
+  assert.throws(() => evaluateAt('Amount[Description]', 1), /Invalid offset expression at position 8/);
+  assert.throws(() => evaluateAt('Amount[1 / FOO(1)]', 1), /Unknown function FOO/);
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for GROUP_TABLE and COLLAPSE_TABLE aggregates, PIVOT_TABLE and UNPIVOT.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'spend.CSV': 'Month:TEXT,Description:TEXT,Amount:MONEY,Note:TEXT,tag:TEXT\n' +
+      'Jan,A/B Foods,-10,,Food/Groceries\n' +
+      'Jan,A/B Foods,-5,late,Food/Dining\n' +
+      'Jan,A/C Fuel,-20,,Cars/Fuel\n' +
+      'Feb,A/B Foods,-7,,Food/Dining\n' +
+      'Feb,Refund,,,Food\n',
+    'sums.CSV': 'Total:TEXT,Month:TEXT,Amount:MONEY\n' +
+      'a,Jan,1\n' +
+      'b,Feb,2\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('GROUP_TABLE groups by several columns and computes each aggregate', async () => {
+  const result = await server.command('GROUP_TABLE', 'spend', {
+    groupColumns: ['Month', 'tag'],
+    level: 1,
+    columns: [
+      'Amount',
+      { column: 'Amount', aggregate: 'COUNT' },
+      { column: 'Amount', aggregate: 'AVG' },
+      { column: 'Description', aggregate: 'FIRST', name: 'First' },
+      { column: 'Amount', aggregate: 'MEDIAN' },
+      { column: 'Description', aggregate: 'COUNT_DISTINCT' }
+    ],
+    newName: 'by_month'
+  });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.schema.map(col => `${col.name}:${col.type}`), [
+    'Month:TEXT', 'tag:TEXT', 'Amount:MONEY', 'Amount_count:INT', 'Amount_avg:MONEY',
+    'First:TEXT', 'Amount_median:MONEY', 'Description_count_distinct:INT'
+  ]);
+  assert.deepStrictEqual(result.table.rows.map(row => [row.Month, row.tag, row.Amount, row.Amount_count, row.Amount_avg, row.First]), [
+    ['Jan', 'Food', -15, 2, -7.5, 'A/B Foods'],
+    ['Jan', 'Cars', -20, 1, -20, 'A/C Fuel'],
+    ['Feb', 'Food', -7, 2, -3.5, 'A/B Foods']
+  ]);
+});
+
+test('Aggregates of a group with no values are blank, while SUM and COUNT are 0', async () => {
+  const result = await server.command('COLLAPSE_TABLE', 'spend', {
+    groupColumns: ['Description'],
+    columns: [
+      { column: 'Note', aggregate: 'COUNT' },
+      { column: 'Note', aggregate: 'MIN' },
+      { column: 'Note', aggregate: 'LAST' },
+      { column: 'Amount', aggregate: 'SUM' },
+      { column: 'Amount', aggregate: 'AVG' },
+      { column: 'Amount', aggregate: 'MAX' }
+    ],
+    newName: 'notes'
+  });
+  assert.strictEqual(result.success, true);
+  const refund = result.table.rows.find(row => row.Description === 'Refund');
+  // The Refund row's empty Amount loads as 0, so only Note has no values
+  assert.deepStrictEqual(refund, { Description: 'Refund', Note_count: 0, Note_min: null, Note_last: null, Amount: 0, Amount_avg: 0, Amount_max: 0 });
+  const fuel = result.table.rows.find(row => row.Description === 'A/C Fuel');
+  assert.strictEqual(fuel.Note_min, null);
+  
+  const blank = await server.command('ADD_COLUMN', 'notes', { columnName: 'NoNote', expression: 'BLANK(Note_min)', columnType: 'INT' });
+  assert.deepStrictEqual(blank.table.rows.map(row => row.NoNote), [0, 1, 1]);
+  await server.command('SAVE_TABLE', 'notes');
+  const saved = await fs.readFile(path.join(server.dataDir, 'notes.CSV'), 'utf-8');
+  assert.strictEqual(saved.split('\n')[2], 'A/C Fuel,0,,,-20.00,-20.00,-20.00,1');
+});
+
+test('COLLAPSE_TABLE without group columns totals the whole table, and bad aggregates fail', async () => {
+  let result = await server.command('COLLAPSE_TABLE', 'spend', { newName: 'total' });
+  assert.deepStrictEqual(result.table.rows, [{ Amount: -42 }]);
+  
+  result = await server.command('GROUP_TABLE', 'spend', { groupColumns: ['Month'], columns: [{ column: 'Note', aggregate: 'AVG' }], newName: 'bad' });
+  assert.strictEqual(result.success, false);
+  result = await server.command('GROUP_TABLE', 'spend', { groupColumns: ['Month'], columns: [{ column: 'Amount', aggregate: 'MODE' }], newName: 'bad' });
+  assert.strictEqual(result.success, false);
+  result = await server.command('GROUP_TABLE', 'spend', { groupColumns: ['Month'], columns: ['Amount', 'Amount'], newName: 'bad' });
+  assert.strictEqual(result.success, false);
+});
+
+test('PIVOT_TABLE leaves missing cells and the Total row key cells blank', async () => {
+  const result = await server.command('PIVOT_TABLE', 'spend', {
+    rowKey: ['tag', 'Description'],
+    columnKey: 'Month',
+    valueColumn: 'Amount',
+    newName: 'budget'
+  });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows, [
+    { tag: 'Cars/Fuel', Description: 'A/C Fuel', Feb: null, Jan: -20, Total: -20 },
+    { tag: 'Food', Description: 'Refund', Feb: 0, Jan: null, Total: 0 },
+    { tag: 'Food/Dining', Description: 'A/B Foods', Feb: -7, Jan: -5, Total: -12 },
+    { tag: 'Food/Groceries', Description: 'A/B Foods', Feb: null, Jan: -10, Total: -10 },
+    { tag: 'Total', Description: null, Feb: -7, Jan: -35, Total: -42 }
+  ]);
+  
+  const blank = await server.command('ADD_COLUMN', 'budget', { columnName: 'NoFeb', expression: 'BLANK(Feb)', columnType: 'INT' });
+  assert.deepStrictEqual(blank.table.rows.map(row => row.NoFeb), [1, 1, 0, 1, 0]);
+  await server.command('SAVE_TABLE', 'budget');
+  const saved = await fs.readFile(path.join(server.dataDir, 'budget.CSV'), 'utf-8');
+  assert.strictEqual(saved.split('\n')[1], 'Cars/Fuel,A/C Fuel,,-20.00,-20.00,1');
+  assert.strictEqual(saved.split('\n')[5], 'Total,,-7.00,-35.00,-42.00,0');
+});
+
+test('PIVOT_TABLE rejects a row key column named Total unless the totals are left out', async () => {
+  let result = await server.command('PIVOT_TABLE', 'sums', { rowKey: 'Total', columnKey: 'Month', valueColumn: 'Amount', newName: 'sums_pivot' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /Row key column Total would clash/);
+  
+  result = await server.command('PIVOT_TABLE', 'sums', { rowKey: 'Total', columnKey: 'Month', valueColumn: 'Amount', newName: 'sums_pivot', totals: false });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows, [{ Total: 'a', Feb: null, Jan: 1 }, { Total: 'b', Feb: 2, Jan: null }]);
+});
+
+test('UNPIVOT keeps empty values blank unless dropEmpty leaves them out', async () => {
+  await server.command('PIVOT_TABLE', 'spend', { rowKey: 'tag', columnKey: 'Month', valueColumn: 'Amount', newName: 'tags_by_month', totals: false });
+  const params = { idColumns: ['tag'], keyName: 'Month', valueName: 'Amount' };
+  let result = await server.command('UNPIVOT', 'tags_by_month', { ...params, newName: 'long' });
+  assert.strictEqual(result.success, true);
+  const groceries = result.table.rows.filter(row => row.tag === 'Food/Groceries');
+  assert.deepStrictEqual(groceries, [{ tag: 'Food/Groceries', Month: 'Feb', Amount: null }, { tag: 'Food/Groceries', Month: 'Jan', Amount: -10 }]);
+  
+  result = await server.command('UNPIVOT', 'tags_by_month', { ...params, newName: 'long_dropped', dropEmpty: true });
+  assert.deepStrictEqual(result.table.rows.map(row => `${row.tag} ${row.Month}`), [
+    'Cars/Fuel Jan', 'Food Feb', 'Food/Dining Feb', 'Food/Dining Jan', 'Food/Groceries Jan'
+  ]);
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared setup for the tests that drive the server over HTTP: a temporary
+ * data directory and the Express app listening on a free port.
+ */
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// The server reads DATA_DIR when it is loaded, so test files require this module before ../server
+const dataDir = fsSync.mkdtempSync(path.join(os.tmpdir(), 'csvedit-data-'));
+process.env.DATA_DIR = dataDir;
+
+/**
+ * Writes the given CSV files into the temporary data directory and starts the
+ * server on a free port. Each test file runs in its own process, so the server
+ * module and its tables are fresh for every file.
+ * 
+ * @param {Object<string, string>} [files] - File contents by file name, e.g. {'t.CSV': 'A:INT\n1\n'}
+ * @returns {Promise<Object>} {dataDir, get, post, put, delete, command, writeFile, close}
+ */
+async function startTestServer(files = {}) {
+  const { app } = require('../server');
+  
+  const writeFile = (name, text) => fs.writeFile(path.join(dataDir, name), text, 'utf-8');
+  for (const [name, text] of Object.entries(files)) {
+    await writeFile(name, text);
+  }
+  
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  
+  const request = async (method, urlPath, body) => {
+    const options = { method };
+    if (body !== undefined) {
+      options.headers = { 'Content-Type': 'application/json' };
+      options.body = JSON.stringify(body);
+    }
+    const response = await fetch(baseUrl + urlPath, options);
+    return response.json();
+  };
+  
+  return {
+    dataDir,
+    get: urlPath => request('GET', urlPath),
+    post: (urlPath, body) => request('POST', urlPath, body),
+    put: (urlPath, body) => request('PUT', urlPath, body),
+    delete: (urlPath, body) => request('DELETE', urlPath, body),
+    command: (command, tableName, params = {}) => request('POST', '/api/command', { command, tableName, params }),
+    writeFile,
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { dataDir, startTestServer };
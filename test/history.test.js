@@ -0,0 +1,165 @@
+/**
+ * Tests for per-table undo/redo of commands and row edits, and for commands
+ * that fail part-way leaving the table unchanged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+const ACCOUNTS = 'Description:TEXT,Amount:MONEY\nSalary,1\nRent,5\nCoffee,20\n';
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer();
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+/**
+ * Writes a table file and (re)loads it, which also clears its history.
+ * @param {string} name - The table name
+ * @param {string} text - The file contents
+ * @returns {Promise<Object>} The loaded table
+ */
+async function loadTable(name, text = ACCOUNTS) {
+  await server.writeFile(`${name}.CSV`, text);
+  const result = await server.get('/api/tables');
+  return result.tables[name];
+}
+
+const amounts = table => table.rows.map(row => row.Amount);
+const content = table => ({ schema: table.schema, rows: table.rows });
+
+test('undoes and redoes SET_VALUE, ADD_COLUMN and DELETE_ROWS in order', async () => {
+  const original = await loadTable('a');
+  await server.command('SET_VALUE', 'a', { columnName: 'Amount', expression: 'Amount * 2' });
+  await server.command('ADD_COLUMN', 'a', { columnName: 'Big', expression: 'Amount > 5', columnType: 'INT' });
+  await server.command('DELETE_ROWS', 'a', { expression: 'Big' });
+  assert.deepStrictEqual((await server.get('/api/history/a')).undo, ['SET_VALUE', 'ADD_COLUMN', 'DELETE_ROWS']);
+  
+  let result = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(result.tables.a.rows.map(row => row.Big), [0, 1, 1]);
+  result = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(result.tables.a.schema, original.schema);
+  assert.deepStrictEqual(result.tables.a.rows, [
+    { Description: 'Salary', Amount: 2 },
+    { Description: 'Rent', Amount: 10 },
+    { Description: 'Coffee', Amount: 40 }
+  ]);
+  result = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(result.tables.a, content(original));
+  assert.deepStrictEqual(result.history, { undo: [], redo: ['DELETE_ROWS', 'ADD_COLUMN', 'SET_VALUE'] });
+  
+  result = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(result, { success: false, error: 'Nothing to undo for table a' });
+  
+  await server.post('/api/redo', { tableName: 'a' });
+  await server.post('/api/redo', { tableName: 'a' });
+  result = await server.post('/api/redo', { tableName: 'a' });
+  assert.deepStrictEqual(result.tables.a.rows, [{ Description: 'Salary', Amount: 2, Big: 0 }]);
+  
+  // A new change clears the redo stack
+  await server.post('/api/undo', { tableName: 'a' });
+  await server.command('SORT_TABLE', 'a', { columnName: 'Amount', order: 'desc' });
+  assert.deepStrictEqual(await server.get('/api/history/a'), { success: true, undo: ['SET_VALUE', 'ADD_COLUMN', 'SORT_TABLE'], redo: [] });
+  result = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(amounts(result.tables.a), [2, 10, 40]);
+});
+
+test('undoes DELETE_TABLE, RENAME_TABLE and COPY_TABLE', async () => {
+  await loadTable('b');
+  await server.command('RENAME_TABLE', 'b', { newName: 'b2' });
+  let result = await server.post('/api/undo', { tableName: 'b2' });
+  assert.strictEqual(result.tableName, 'b');
+  assert.strictEqual(result.tables.b2, null);
+  assert.deepStrictEqual(amounts(result.tables.b), [1, 5, 20]);
+  result = await server.post('/api/redo', { tableName: 'b' });
+  assert.strictEqual(result.tableName, 'b2');
+  
+  await server.command('COPY_TABLE', 'b2', { newName: 'b3' });
+  result = await server.post('/api/undo', { tableName: 'b3' });
+  assert.deepStrictEqual(result.tables, { b3: null });
+  
+  await server.command('DELETE_TABLE', 'b2');
+  result = await server.post('/api/undo', { tableName: 'b2' });
+  assert.deepStrictEqual(amounts(result.tables.b2), [1, 5, 20]);
+});
+
+test('undoes row add, edit, delete and tag', async () => {
+  await loadTable('c');
+  await server.post('/api/row/add', { tableName: 'c', row: { Description: 'Bonus', Amount: '7' } });
+  await server.post('/api/row/update', { tableName: 'c', rowIndex: 0, row: { Description: 'Salary', Amount: '3' } });
+  await server.post('/api/row/delete', { tableName: 'c', rowIndex: 1 });
+  let result = await server.post('/api/row/tag', { tableName: 'c', rowIndex: 0, tag: 'Income' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Income', '', '']);
+  assert.deepStrictEqual((await server.get('/api/history/c')).undo, ['Add row', 'Edit row 1', 'Delete row 2', 'Tag row 1']);
+  
+  result = await server.post('/api/undo', { tableName: 'c' });
+  assert.deepStrictEqual(result.tables.c.schema.map(col => col.name), ['Description', 'Amount']);
+  assert.deepStrictEqual(result.tables.c.rows[0], { Description: 'Salary', Amount: 3 });
+  result = await server.post('/api/undo', { tableName: 'c' });
+  assert.deepStrictEqual(amounts(result.tables.c), [3, 5, 20, 7]);
+  result = await server.post('/api/undo', { tableName: 'c' });
+  assert.deepStrictEqual(amounts(result.tables.c), [1, 5, 20, 7]);
+  result = await server.post('/api/undo', { tableName: 'c' });
+  assert.deepStrictEqual(amounts(result.tables.c), [1, 5, 20]);
+  
+  result = await server.post('/api/redo', { tableName: 'c' });
+  result = await server.post('/api/redo', { tableName: 'c' });
+  result = await server.post('/api/redo', { tableName: 'c' });
+  result = await server.post('/api/redo', { tableName: 'c' });
+  assert.deepStrictEqual(result.tables.c.rows, [
+    { Description: 'Salary', Amount: 3, tag: 'Income' },
+    { Description: 'Coffee', Amount: 20, tag: '' },
+    { Description: 'Bonus', Amount: 7, tag: '' }
+  ]);
+});
+
+test('failed commands record no step', async () => {
+  await loadTable('d');
+  let result = await server.command('SET_VALUE', 'd', { columnName: 'Nope', expression: '1' });
+  assert.strictEqual(result.success, false);
+  result = await server.command('SORT_TABLE', 'missing', { columnName: 'Amount' });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual((await server.get('/api/history/d')).undo, []);
+  assert.deepStrictEqual((await server.get('/api/history/missing')).undo, []);
+});
+
+test('reloading a table from its file clears its history', async () => {
+  await loadTable('e');
+  await server.command('SET_VALUE', 'e', { columnName: 'Amount', expression: '0' });
+  await server.command('COPY_TABLE', 'e', { newName: 'e_copy' });
+  await server.get('/api/tables');
+  assert.deepStrictEqual((await server.get('/api/history/e')).undo, []);
+  // A table that exists only in memory keeps its history
+  assert.deepStrictEqual((await server.get('/api/history/e_copy')).undo, ['COPY_TABLE']);
+});
+
+test('ADD_COLUMN leaves the table unchanged when a row fails', async () => {
+  const original = await loadTable('f');
+  let result = await server.command('ADD_COLUMN', 'f', { columnName: 'Scaled', expression: 'Amount * 100', columnType: 'DECIMAL(3,0)' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /row 3: Value 2000 does not fit DECIMAL\(3,0\)/);
+  
+  result = await server.command('ADD_COLUMN', 'f', { columnName: 'Amount', expression: '1', columnType: 'INT' });
+  assert.deepStrictEqual(result, { success: false, error: 'Column Amount already exists' });
+  assert.deepStrictEqual((await server.get('/api/tables')).tables.f, original);
+});
+
+test('SET_VALUE leaves the table unchanged when a row fails, and rows read the values written to earlier rows', async () => {
+  const original = await loadTable('g');
+  let result = await server.command('SET_VALUE', 'g', { columnName: 'Amount', expression: 'Amount * 1000000000000' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /row 3: Value 20000000000000 does not fit MONEY/);
+  result = await server.post('/api/undo', { tableName: 'g' });
+  assert.strictEqual(result.success, false);
+  
+  result = await server.command('SET_VALUE', 'g', { columnName: 'Amount', expression: 'Amount + Amount[-1]' });
+  assert.deepStrictEqual(amounts(result.table), [1, 6, 26]);
+  result = await server.post('/api/undo', { tableName: 'g' });
+  assert.deepStrictEqual(result.tables.g, content(original));
+});
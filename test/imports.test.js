@@ -0,0 +1,66 @@
+/**
+ * Tests for header-only CSV imports: column type inference and the
+ * confirmation step before the table is loaded.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'bank.csv': 'Date,Description,Amount,Count,Account\n' +
+      '1/2/2024,Rent,"-13,955.00",1,0012\n' +
+      '2024-01-03,Coffee,$3.50,2,0345\n' +
+      '1/4/24,,7,,0999\n',
+    'typed.CSV': 'Name:TEXT,Age:INT\nAnn,30\n'
+  });
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('proposes INT, REAL, DATE or TEXT for untyped columns and holds the file as a pending import', async () => {
+  const result = await server.get('/api/tables');
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(Object.keys(result.tables), ['typed']);
+  
+  const pending = result.imports.bank;
+  assert.strictEqual(pending.rowCount, 3);
+  assert.deepStrictEqual(pending.schema, [
+    { name: 'Date', type: 'DATE' },
+    { name: 'Description', type: 'TEXT' },
+    { name: 'Amount', type: 'REAL' },
+    { name: 'Count', type: 'INT' },
+    { name: 'Account', type: 'TEXT' }
+  ]);
+});
+
+test('committing with an override loads the table with the chosen types', async () => {
+  await server.get('/api/tables');
+  const result = await server.post('/api/imports/commit', { tableName: 'bank', types: { Count: 'real' } });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.schema.map(col => col.type), ['DATE', 'TEXT', 'REAL', 'REAL', 'TEXT']);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Amount), [-13955, 3.5, 7]);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Account), ['0012', '0345', '0999']);
+  
+  // The accepted schema is remembered, so a reload does not ask again
+  const reloaded = await server.get('/api/tables');
+  assert.deepStrictEqual(reloaded.imports, {});
+  assert.strictEqual(reloaded.tables.bank.schema[3].type, 'REAL');
+});
+
+test('rejects overrides naming an unknown column or type', async () => {
+  await server.writeFile('more.csv', 'A,B\n1,x\n');
+  await server.get('/api/tables');
+  
+  let result = await server.post('/api/imports/commit', { tableName: 'more', types: { C: 'INT' } });
+  assert.deepStrictEqual(result, { success: false, error: 'Column C not found' });
+  result = await server.post('/api/imports/commit', { tableName: 'more', types: { A: 'NUMBER' } });
+  assert.deepStrictEqual(result, { success: false, error: 'Invalid column type for A: NUMBER' });
+  result = await server.post('/api/imports/commit', { tableName: 'nothing' });
+  assert.deepStrictEqual(result, { success: false, error: 'No pending import for table nothing' });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for JOIN_TABLE: join types, blank unmatched columns, conditions and date ranges.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    't.CSV': 'Id:INT,Amount:MONEY\n' +
+      '1,-269.34\n' +
+      '2,10\n' +
+      '3,4\n',
+    'ref.CSV': 'Id:INT,Amount:MONEY,tag:TEXT\n' +
+      '2,5,Food\n' +
+      '2,1,Snacks\n' +
+      '4,7,Cars\n',
+    'tx.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY\n' +
+      '2025-01-05,PAYPAL *PATREON 123,-5\n' +
+      '2025-02-10,LUFTHANSA 456,-400\n' +
+      ',Coffee,-3\n',
+    'merchants.CSV': 'Pattern:TEXT,Merchant:TEXT\n' +
+      'PAYPAL \\*PATREON,Patreon\n' +
+      'LUFTHANSA,Lufthansa\n',
+    'periods.CSV': 'Start:DATE,End:DATE,Period:TEXT\n' +
+      '2025-01-01,2025-01-31,Jan\n' +
+      '2025-02-01,,Feb on\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('JOIN_TABLE join types and match counts', async () => {
+  let result = await server.command('JOIN_TABLE', 't', { tableName1: 'ref', joinColumns: ['Id'], joinType: 'inner', newName: 'inner' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows, [
+    { Id: 2, Amount: 10, ref_Amount: 5, tag: 'Food' },
+    { Id: 2, Amount: 10, ref_Amount: 1, tag: 'Snacks' }
+  ]);
+  assert.deepStrictEqual(
+    [result.leftMatched, result.leftUnmatched, result.rightMatched, result.rightUnmatched],
+    [1, 2, 2, 1]
+  );
+  
+  result = await server.command('JOIN_TABLE', 't', { tableName1: 'ref', joinColumns: ['Id'], joinType: 'full', newName: 'full' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Id), [1, 2, 2, 3, 4]);
+  result = await server.command('JOIN_TABLE', 't', { tableName1: 'ref', joinColumns: ['Id'], joinType: 'semi', newName: 'semi' });
+  assert.deepStrictEqual(result.table.rows, [{ Id: 2, Amount: 10 }]);
+  result = await server.command('JOIN_TABLE', 't', { tableName1: 'ref', joinColumns: ['Id'], joinType: 'anti', newName: 'anti' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Id), [1, 3]);
+});
+
+test('JOIN_TABLE leaves the columns of an unmatched row blank', async () => {
+  const result = await server.command('JOIN_TABLE', 't', { tableName1: 'ref', joinColumns: ['Id'], joinType: 'left', newName: 'j' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows[0], { Id: 1, Amount: -269.34, ref_Amount: null, tag: null });
+  
+  let added = await server.command('ADD_COLUMN', 'j', { columnName: 'Tot', expression: 'Amount + ref_Amount', columnType: 'MONEY' });
+  assert.deepStrictEqual(added.table.rows.map(row => row.Tot), [-269.34, 15, 11, 4]);
+  added = await server.command('ADD_COLUMN', 'j', { columnName: 'Untagged', expression: 'BLANK(tag)', columnType: 'INT' });
+  assert.deepStrictEqual(added.table.rows.map(row => row.Untagged), [1, 0, 0, 1]);
+  
+  await server.command('SAVE_TABLE', 'j');
+  const saved = await fs.readFile(path.join(server.dataDir, 'j.CSV'), 'utf-8');
+  assert.strictEqual(saved.split('\n')[1], '1,-269.34,,,-269.34,1');
+});
+
+test('JOIN_TABLE matches rows on a condition over left. and right. fields', async () => {
+  const result = await server.command('JOIN_TABLE', 'tx', {
+    tableName1: 'merchants',
+    condition: "REGEXP('^' + right.Pattern, left.Description) != ''",
+    newName: 'with_merchants'
+  });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Merchant), ['Patreon', 'Lufthansa', null]);
+  
+  const bad = await server.command('JOIN_TABLE', 'tx', { tableName1: 'merchants', condition: 'left.Description +', newName: 'bad' });
+  assert.strictEqual(bad.success, false);
+  assert.match(bad.error, /^Join condition: /);
+  const missing = await server.command('JOIN_TABLE', 'tx', { tableName1: 'merchants', newName: 'bad' });
+  assert.strictEqual(missing.error, 'Join columns, a join condition or a date range is required');
+});
+
+test('JOIN_TABLE matches a date against an open or closed range', async () => {
+  const result = await server.command('JOIN_TABLE', 'tx', {
+    tableName1: 'periods',
+    dateColumn: 'Date',
+    rangeStart: 'Start',
+    rangeEnd: 'End',
+    joinType: 'inner',
+    newName: 'with_periods'
+  });
+  assert.strictEqual(result.success, true);
+  // The open end takes in February, and the row with no date matches nothing
+  assert.deepStrictEqual(result.table.rows.map(row => `${row.Description}: ${row.Period}`), [
+    'PAYPAL *PATREON 123: Jan',
+    'LUFTHANSA 456: Feb on'
+  ]);
+  
+  const bad = await server.command('JOIN_TABLE', 'tx', { tableName1: 'periods', dateColumn: 'Description', rangeStart: 'Start', newName: 'bad' });
+  assert.strictEqual(bad.error, 'Column Description not found or not DATE type in tx');
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the LOOKUP and EXISTS expression functions and their indexes.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+const { ExpressionEvaluator } = require('../server');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'tx.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY,Category:TEXT\n' +
+      '2025-01-02,LUFTHANSA,-400,\n' +
+      '2025-01-03,Coffee,-3,\n' +
+      '2025-01-04,Unknown,-1,\n',
+    'merchants.CSV': 'Description:TEXT,Category:TEXT,Limit:MONEY\n' +
+      'LUFTHANSA,Travel,500\n' +
+      'Coffee,Food,50\n' +
+      'Coffee,Drinks,20\n',
+    'codes.CSV': 'Code:TEXT,Next:TEXT\n' +
+      'B,A\n' +
+      'A,C\n' +
+      'C,B\n',
+    'refs.CSV': 'Code:TEXT,Ref:TEXT\n' +
+      'A,B\n' +
+      'B,A\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('LOOKUP reads the first matching row of another table, and EXISTS tests for one', async () => {
+  let result = await server.command('SET_VALUE', 'tx', { columnName: 'Category', expression: 'LOOKUP(merchants, Description, Description, Category)' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Category), ['Travel', 'Food', '']);
+
+  result = await server.command('ADD_COLUMN', 'tx', { columnName: 'Known', expression: 'EXISTS("merchants", "Description", Description)', columnType: 'INT' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Known), [1, 1, 0]);
+
+  result = await server.command('ADD_COLUMN', 'tx', { columnName: 'Bad', expression: 'LOOKUP(merchants, Description, Description, Nope)', columnType: 'TEXT' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /LOOKUP: column Nope not found in merchants/);
+});
+
+test('LOOKUP reads its own table as it was before SET_VALUE rewrites the key column', async () => {
+  // Each row takes the Next of the row whose Code equals its own Next, in the original table
+  const result = await server.command('SET_VALUE', 'codes', { columnName: 'Code', expression: 'CURR_ROW() > 0 ? LOOKUP(codes, Code, Next, Next) : "X"' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Code), ['X', 'B', 'A']);
+});
+
+test('EXISTS finds the original keys of its own table after the command has rewritten them', async () => {
+  // The first row's Code becomes Z, but the second row's lookup of A still finds it
+  const result = await server.command('SET_VALUE', 'refs', { columnName: 'Code', expression: 'EXISTS(refs, Code, Ref) ? "Z" : Code' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Code), ['Z', 'Z']);
+});
+
+test('an evaluator builds each index once, on compile, holding only key and return values', () => {
+  const tables = {
+    t: { schema: [{ name: 'Key', type: 'REAL' }], rows: [{ Key: 12.5 }, { Key: 3 }] },
+    ref: {
+      schema: [{ name: 'Key', type: 'REAL' }, { name: 'Name', type: 'TEXT' }, { name: 'Note', type: 'TEXT' }],
+      rows: [{ Key: 12.5, Name: 'a', Note: 'x' }, { Key: 3, Name: 'b', Note: 'y' }]
+    }
+  };
+  const evaluator = new ExpressionEvaluator(null, tables, 't');
+  const compiled = evaluator.compile('EXISTS(ref, Key, Key) ? LOOKUP(ref, Key, Key, Name) : ""');
+  assert.strictEqual(evaluator.lookupIndexes.size, 2);
+  const lookupIndex = evaluator.lookupIndexes.get(JSON.stringify(['ref', 'Key', 'Name']));
+  assert.deepStrictEqual([...lookupIndex.values], [['12.5', 'a'], ['3', 'b']]);
+
+  // Changes made after compiling are not seen
+  tables.ref.rows[1].Name = 'changed';
+  const results = tables.t.rows.map((row, i) => {
+    evaluator.row = row;
+    evaluator.rowIndex = i;
+    return evaluator.run(compiled);
+  });
+  assert.deepStrictEqual(results, ['a', 'b']);
+  assert.strictEqual(evaluator.lookupIndexes.size, 2);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for preview (dry run) mode of DELETE_ROWS, SET_VALUE, REPLACE_TEXT and DROP_COLUMNS.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+let server;
+let original;
+
+test.before(async () => {
+  server = await startTestServer({
+    't.CSV': 'Description:TEXT,Amount:MONEY\nSalary,100\nRent,-50\nCoffee,-3\n'
+  });
+  original = (await server.get('/api/tables')).tables.t;
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+/**
+ * Checks that the table and its history are as loaded.
+ */
+async function assertUnchanged() {
+  const result = await server.post('/api/undo', { tableName: 't' });
+  assert.deepStrictEqual(result, { success: false, error: 'Nothing to undo for table t' });
+  const history = await server.get('/api/history/t');
+  assert.deepStrictEqual(history.undo, []);
+  // A copy of the table shows its rows
+  const copy = await server.command('COPY_TABLE', 't', { newName: 'check' });
+  assert.deepStrictEqual(copy.table.rows, original.rows);
+  await server.post('/api/undo', { tableName: 'check' });
+}
+
+test('DELETE_ROWS preview lists the rows that would be deleted', async () => {
+  const result = await server.command('DELETE_ROWS', 't', { expression: 'Amount < 0', preview: true });
+  assert.deepStrictEqual(result, {
+    success: true,
+    preview: {
+      deletedRows: [
+        { rowIndex: 1, row: { Description: 'Rent', Amount: -50 } },
+        { rowIndex: 2, row: { Description: 'Coffee', Amount: -3 } }
+      ],
+      rowCount: 3
+    }
+  });
+  await assertUnchanged();
+});
+
+test('SET_VALUE preview gives before and after values, reading earlier rows as written', async () => {
+  const result = await server.command('SET_VALUE', 't', { columnName: 'Amount', expression: 'Amount + Amount[-1]', preview: true });
+  assert.deepStrictEqual(result.preview.changes, [
+    { rowIndex: 1, column: 'Amount', before: -50, after: 50 },
+    { rowIndex: 2, column: 'Amount', before: -3, after: 47 }
+  ]);
+  await assertUnchanged();
+});
+
+test('REPLACE_TEXT and DROP_COLUMNS previews list the changed cells', async () => {
+  let result = await server.command('REPLACE_TEXT', 't', { columnName: 'Description', regex: '^R', replacement: 'r', preview: true });
+  assert.deepStrictEqual(result.preview.changes, [{ rowIndex: 1, column: 'Description', before: 'Rent', after: 'rent' }]);
+  
+  result = await server.command('DROP_COLUMNS', 't', { columns: ['Amount'], preview: true });
+  assert.deepStrictEqual(result.preview.droppedColumns, ['Amount']);
+  assert.deepStrictEqual(result.preview.changes.map(change => change.before), [100, -50, -3]);
+  assert.ok(result.preview.changes.every(change => change.after === null));
+  await assertUnchanged();
+});
+
+test('other commands reject preview', async () => {
+  const result = await server.command('SORT_TABLE', 't', { columnName: 'Amount', preview: true });
+  assert.strictEqual(result.success, false);
+  await assertUnchanged();
+});
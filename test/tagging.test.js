@@ -0,0 +1,224 @@
+/**
+ * Tests for tagging rows: AUTO_TAG rules files, bulk tagging, tag suggestions, hierarchical tags,
+ * tag management and multiple tags per row.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTestServer } = require('./helpers');
+
+const STATEMENT = 'Description:TEXT,Amount:MONEY\n' +
+  'LUFTHANSA 123,-400\n' +
+  'EXPEDIA HOTEL,-120\n' +
+  'Coffee,-3\n' +
+  'LUFTHANSA refund,400\n';
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'rules.txt': '# travel first\n' +
+      "REGEXP('LUFTHANSA', Description) != '' && Amount < 0 -> Travel\n" +
+      "REGEXP('^EXPEDIA', Description) != '' ? 'Lodging' : tag\n" +
+      '\n' +
+      "Amount > 0 -> 'Refunds In'\n" +
+      'Amount < 0\n'
+  });
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+/**
+ * Writes a table file and (re)loads it.
+ * @param {string} name - The table name
+ * @param {string} text - The file contents
+ */
+async function loadTable(name, text = STATEMENT) {
+  await server.writeFile(`${name}.CSV`, text);
+  await server.get('/api/tables');
+}
+
+test('AUTO_TAG gives each row the tag of the first matching rule and reports the rules', async () => {
+  await loadTable('a');
+  const result = await server.command('AUTO_TAG', 'a', { rulesFile: 'rules.txt' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Travel', 'Lodging', '', 'Refunds In']);
+  assert.deepStrictEqual(result.rules.map(rule => [rule.line, rule.tag, rule.matched]), [
+    [2, 'Travel', 1],
+    [3, 'Lodging', 1],
+    [5, 'Refunds In', 1]
+  ]);
+  assert.deepStrictEqual(result.skippedLines.map(line => line.line), [6]);
+  assert.deepStrictEqual(result.untaggedRows, [{ rowIndex: 2, row: { Description: 'Coffee', Amount: -3, tag: '' } }]);
+  
+  // One undo step removes the tag column again
+  const undone = await server.post('/api/undo', { tableName: 'a' });
+  assert.deepStrictEqual(undone.tables.a.schema.map(col => col.name), ['Description', 'Amount']);
+});
+
+test('AUTO_TAG keeps existing tags unless overwrite is set', async () => {
+  await loadTable('b', 'Description:TEXT,Amount:MONEY,tag:TEXT\nLUFTHANSA 1,-10,Work\nLUFTHANSA 2,-20,\n');
+  let result = await server.command('AUTO_TAG', 'b', { rulesFile: 'rules.txt' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Work', 'Travel']);
+  assert.strictEqual(result.alreadyTagged, 1);
+  
+  result = await server.command('AUTO_TAG', 'b', { rulesFile: 'rules.txt', overwrite: true });
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Travel', 'Travel']);
+});
+
+test('AUTO_TAG fails without changing the table when a rule cannot be evaluated or the file is missing', async () => {
+  await loadTable('c');
+  await server.writeFile('broken.txt', "Amount > 0 -> In\nDATE_ADD('2025-01-01', Amount, Description) != '' -> Odd\n");
+  let result = await server.command('AUTO_TAG', 'c', { rulesFile: 'broken.txt' });
+  assert.strictEqual(result.success, false);
+  result = await server.command('AUTO_TAG', 'c', { rulesFile: 'nothing.txt' });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual((await server.get('/api/history/c')).undo, []);
+});
+
+test('Tagging rows by index list tags exactly those rows in one undo step', async () => {
+  await loadTable('d');
+  const result = await server.post('/api/rows/tag', { tableName: 'd', tag: 'Trip', rowIndices: [3, 0, 3] });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.taggedRows, [0, 3]);
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Trip', '', '', 'Trip']);
+  
+  const history = await server.get('/api/history/d');
+  assert.strictEqual(history.undo.length, 1);
+  const undone = await server.post('/api/undo', { tableName: 'd' });
+  assert.deepStrictEqual(undone.tables.d.schema.map(col => col.name), ['Description', 'Amount']);
+});
+
+test('Tagging rows by expression tags every matching row and rejects bad input', async () => {
+  await loadTable('e');
+  let result = await server.post('/api/rows/tag', { tableName: 'e', tag: 'Out', expression: 'Amount < 0' });
+  assert.deepStrictEqual(result.taggedRows, [0, 1, 2]);
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Out', 'Out', 'Out', '']);
+  
+  result = await server.post('/api/rows/tag', { tableName: 'e', tag: 'X', rowIndices: [4] });
+  assert.strictEqual(result.success, false);
+  result = await server.post('/api/rows/tag', { tableName: 'e', tag: 'X', expression: 'Amount <' });
+  assert.strictEqual(result.success, false);
+  result = await server.post('/api/rows/tag', { tableName: 'e', tag: 'X' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual((await server.get('/api/history/e')).undo.length, 1);
+});
+
+test('Tag suggestions rank tags of rows with a similar Description', async () => {
+  await loadTable('f', 'Description:TEXT,Amount:MONEY,tag:TEXT\n' +
+    'CONDOR 123,-400,Travel\n' +
+    'STARBUCKS 55 SEATTLE,-4,Coffee\n' +
+    'CONDOR 999 FRANKFURT,-250,\n');
+  let result = await server.get('/api/tags/suggest?tableName=f&rowIndex=2');
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.suggestions[0], { tag: 'Travel', confidence: 0.9, matches: result.suggestions[0].matches });
+  assert.ok(!result.suggestions.some(suggestion => suggestion.tag === 'Coffee'));
+  
+  result = await server.get('/api/tags/suggest?tableName=f&rowIndex=2&limit=1');
+  assert.strictEqual(result.suggestions.length, 1);
+  result = await server.get('/api/tags/suggest?tableName=f&rowIndex=3');
+  assert.strictEqual(result.success, false);
+});
+
+test('The tags file nests categories by indentation or path', async () => {
+  await server.writeFile('commands.tag', 'Travel\n\tAir\n    Lodging/Hotels\nCars/Boats\n');
+  const result = await server.get('/api/tags');
+  assert.deepStrictEqual(result.tags, ['Travel', 'Travel/Air', 'Travel/Lodging', 'Travel/Lodging/Hotels', 'Cars', 'Cars/Boats']);
+  assert.deepStrictEqual(result.tree.map(node => [node.path, node.children.map(child => child.name)]), [
+    ['Travel', ['Air', 'Lodging']],
+    ['Cars', ['Boats']]
+  ]);
+});
+
+test('GROUP_TABLE and COLLAPSE_TABLE roll up only the tag column to the given level', async () => {
+  await loadTable('g', 'Description:TEXT,Amount:MONEY,tag:TEXT\n' +
+    'A/B Foods,-10,Food/Groceries\n' +
+    'A/B Foods,-5,Food/Dining\n' +
+    'A/C Fuel,-20,Cars/Fuel\n');
+  let result = await server.command('GROUP_TABLE', 'g', { groupColumn: 'tag', columns: ['Amount'], newName: 'g_tags', level: 1 });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows, [{ tag: 'Food', Amount: -15 }, { tag: 'Cars', Amount: -20 }]);
+  
+  result = await server.command('COLLAPSE_TABLE', 'g', { columnName: 'Description', newName: 'g_desc', level: 1 });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Description), ['A/B Foods', 'A/C Fuel']);
+  
+  result = await server.command('GROUP_TABLE', 'g', { groupColumn: 'tag', columns: ['Amount'], newName: 'g_bad', level: 0 });
+  assert.strictEqual(result.success, false);
+});
+
+test('Renaming a tag moves its subcategories and rewrites the rows that use it', async () => {
+  await server.writeFile('commands.tag', 'Transit\n  Air\nMeals\n');
+  await loadTable('h', 'Description:TEXT,tag:TEXT\nFlight,Transit/Air\nTrain,Transit\nLunch,Meals\n');
+  let result = await server.post('/api/tags', { tag: 'Cars/Fuel' });
+  assert.deepStrictEqual(result.tags, ['Transit', 'Transit/Air', 'Meals', 'Cars', 'Cars/Fuel']);
+  
+  result = await server.put('/api/tags', { from: 'Transit', to: 'Trips' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.rowsUpdated, 2);
+  assert.deepStrictEqual(result.tables.h.rows.map(row => row.tag), ['Trips/Air', 'Trips', 'Meals']);
+  assert.deepStrictEqual(result.tags, ['Trips', 'Trips/Air', 'Meals', 'Cars', 'Cars/Fuel']);
+  
+  // Merging into an existing tag; the rewrite of each table is one undo step
+  result = await server.put('/api/tags', { from: 'Meals', to: 'Trips' });
+  assert.strictEqual(result.merged, true);
+  assert.deepStrictEqual(result.tables.h.rows.map(row => row.tag), ['Trips/Air', 'Trips', 'Trips']);
+  const undone = await server.post('/api/undo', { tableName: 'h' });
+  assert.deepStrictEqual(undone.tables.h.rows.map(row => row.tag), ['Trips/Air', 'Trips', 'Meals']);
+});
+
+test('Deleting a tag in use needs force, which clears it from the rows', async () => {
+  await server.writeFile('commands.tag', 'Rail\n  Night\nSnacks\n');
+  await loadTable('i', 'Description:TEXT,tag:TEXT\nFlight,Rail/Night\nLunch,Snacks\n');
+  let result = await server.delete('/api/tags', { tag: 'Rail' });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.inUse.rows, 1);
+  
+  result = await server.delete('/api/tags', { tag: 'Rail', force: true });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.tags, ['Snacks']);
+  assert.deepStrictEqual(result.tables.i.rows.map(row => row.tag), ['', 'Snacks']);
+});
+
+test('Tag modes add and remove keep a set of tags on the row', async () => {
+  await loadTable('j', 'Description:TEXT,Amount:MONEY\nFlight,-300\nMovie,-12\n');
+  await server.post('/api/row/tag', { tableName: 'j', rowIndex: 0, tag: 'Delta' });
+  let result = await server.post('/api/row/tag', { tableName: 'j', rowIndex: 0, tag: 'Fun', mode: 'add' });
+  assert.strictEqual(result.table.rows[0].tag, 'Delta;Fun');
+  result = await server.post('/api/row/tag', { tableName: 'j', rowIndex: 0, tag: 'Fun', mode: 'add' });
+  assert.strictEqual(result.table.rows[0].tag, 'Delta;Fun');
+  result = await server.post('/api/rows/tag', { tableName: 'j', rowIndices: [0, 1], tag: 'Delta', mode: 'remove' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.tag), ['Fun', '']);
+  result = await server.post('/api/row/tag', { tableName: 'j', rowIndex: 1, tag: 'Fun', mode: 'toggle' });
+  assert.strictEqual(result.success, false);
+});
+
+test('HAS_TAG, TAG_COUNT and exploded GROUP_TABLE read each tag of a multi-tagged row', async () => {
+  await loadTable('k', 'Description:TEXT,Amount:MONEY,tag:TEXT\n' +
+    'Dinner; drinks,-30,Meal/Out;Fun\n' +
+    'Cinema,-12,Fun\n' +
+    'Bus,-2,\n');
+  let result = await server.command('ADD_COLUMN', 'k', { columnName: 'Meal', expression: "HAS_TAG('Meal')", columnType: 'INT' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Meal), [1, 0, 0]);
+  result = await server.command('ADD_COLUMN', 'k', { columnName: 'Tags', expression: 'TAG_COUNT()', columnType: 'INT' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Tags), [2, 1, 0]);
+  
+  result = await server.command('GROUP_TABLE', 'k', { groupColumn: 'tag', columns: ['Amount'], newName: 'k_tags', level: 1, explode: true });
+  assert.deepStrictEqual(result.table.rows, [
+    { tag: 'Meal', Amount: -30 },
+    { tag: 'Fun', Amount: -42 },
+    { tag: '', Amount: -2 }
+  ]);
+  // Only the tag column is split
+  result = await server.command('GROUP_TABLE', 'k', { groupColumn: 'Description', columns: ['Amount'], newName: 'k_desc', explode: true });
+  assert.strictEqual(result.success, false);
+});
+
+test('Renaming a tag rewrites only the matching tag of a multi-tagged row', async () => {
+  await server.writeFile('commands.tag', 'Bills\nHome\n');
+  await loadTable('l', 'Description:TEXT,tag:TEXT\nPower,Bills;Home\nRent,Home\n');
+  const result = await server.put('/api/tags', { from: 'Bills', to: 'Utilities' });
+  assert.deepStrictEqual(result.tables.l.rows.map(row => row.tag), ['Utilities;Home', 'Home']);
+});
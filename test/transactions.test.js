@@ -0,0 +1,188 @@
+/**
+ * Tests for the bank-statement commands: SPLIT_ROW, MATCH_TRANSFERS, DEDUPE_TABLE and RECONCILE.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const path = require('path');
+const { startTestServer } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'bank.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY,tag:TEXT\n' +
+      '2025-03-01,TRIP TO DENVER,-13955,Delta\n' +
+      '2025-03-02,Coffee,-3.5,\n',
+    'checked.CSV': 'Description:TEXT,Amount:MONEY\nRent,-1000\n',
+    'checked.RUL': 'CHECK Amount Amount > -600\n',
+    'checking.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY\n' +
+      '2025-03-01,CARD PAYMENT,-250\n' +
+      '2025-03-03,Groceries,-80\n' +
+      '2025-03-20,CARD PAYMENT,-100\n',
+    'card.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY\n' +
+      '2025-03-02,PAYMENT THANK YOU,250\n' +
+      '2025-03-10,PAYMENT THANK YOU,100\n' +
+      '2025-03-04,Shoes,-80\n',
+    'spliced.CSV': 'Date:DATE,Description:TEXT,Amount:MONEY,tag:TEXT\n' +
+      '2025-04-01,NETFLIX,-15,Fun\n' +
+      '2025-04-02,NETFLIX,-15,\n' +
+      '2025-04-01,NETFLIX,-15,\n' +
+      '2025-04-09,NETFLIX,-15,\n' +
+      '2025-04-03,RENT,-900,\n',
+    'statement.CSV': 'Date:DATE,Amount:MONEY,Balance:MONEY\n' +
+      '2025-01-01,10,\n' +
+      '2025-01-01,-4,106\n' +
+      '2025-01-02,-6,\n' +
+      '2025-01-03,5,99\n' +
+      '2025-02-01,7,106\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('SPLIT_ROW replaces a row with linked children that add up to it', async () => {
+  let result = await server.command('SPLIT_ROW', 'bank', {
+    rowIndex: 0,
+    parts: [{ amount: -10000, tag: 'Delta' }, { amount: '-3,955.00', tag: 'Delta;Fun' }]
+  });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.splitId, 'S1');
+  assert.deepStrictEqual(result.rowIndices, [0, 1]);
+  assert.deepStrictEqual(result.table.rows.map(row => [row.Amount, row.tag, row.split_of]), [
+    [-10000, 'Delta', 'S1'],
+    [-3955, 'Delta;Fun', 'S1'],
+    [-3.5, '', '']
+  ]);
+  
+  // Splitting a child again keeps its id; a part without a tag keeps the row's tag
+  result = await server.command('SPLIT_ROW', 'bank', { rowIndex: 1, parts: [{ amount: -3000 }, { amount: -955, tag: 'Fun' }] });
+  assert.deepStrictEqual(result.table.rows.map(row => [row.Amount, row.tag, row.split_of]).slice(0, 3), [
+    [-10000, 'Delta', 'S1'],
+    [-3000, 'Delta;Fun', 'S1'],
+    [-955, 'Fun', 'S1']
+  ]);
+  
+  result = await server.command('SPLIT_ROW', 'bank', { rowIndex: 3, parts: [{ amount: -1 }, { amount: -2.5 }] });
+  assert.strictEqual(result.splitId, 'S2');
+  
+  // Each split is one undo step; undoing the first removes the split_of column again
+  let undone;
+  for (let i = 0; i < 3; i++) {
+    undone = await server.post('/api/undo', { tableName: 'bank' });
+  }
+  assert.deepStrictEqual(undone.tables.bank.schema.map(col => col.name), ['Date', 'Description', 'Amount', 'tag']);
+  assert.deepStrictEqual(undone.tables.bank.rows.map(row => row.Amount), [-13955, -3.5]);
+});
+
+test('SPLIT_ROW changes nothing when the parts do not add up or fail a CHECK rule', async () => {
+  let result = await server.command('SPLIT_ROW', 'checked', { rowIndex: 0, parts: [{ amount: -500 }, { amount: -400 }] });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /add up to -900/);
+  
+  result = await server.command('SPLIT_ROW', 'checked', { rowIndex: 0, parts: [{ amount: -300 }, { amount: -700 }] });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual(result.errors, [{ part: 2, columns: ['Amount'] }]);
+  
+  result = await server.command('SPLIT_ROW', 'checked', { rowIndex: 0, parts: [{ amount: -1000 }] });
+  assert.strictEqual(result.success, false);
+  assert.deepStrictEqual((await server.get('/api/history/checked')).undo, []);
+});
+
+test('MATCH_TRANSFERS marks both rows of a transfer with a shared id and reports the rest', async () => {
+  const result = await server.command('MATCH_TRANSFERS', 'checking', { tableName1: 'card' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.matches, [{ rowIndex: 0, rowIndex1: 0, amount: -250, days: 1, transferId: 'T1' }]);
+  assert.deepStrictEqual(result.tables.checking.rows.map(row => row.transfer), ['T1', '', '']);
+  assert.deepStrictEqual(result.tables.card.rows.map(row => row.transfer), ['T1', '', '']);
+  assert.deepStrictEqual(result.unmatched.checking.map(entry => entry.rowIndex), [1, 2]);
+  
+  // A wider window pairs the late payment; ids continue and marked rows are skipped
+  const again = await server.command('MATCH_TRANSFERS', 'checking', { tableName1: 'card', windowDays: 10 });
+  assert.deepStrictEqual(again.matches.map(match => [match.rowIndex, match.rowIndex1, match.transferId]), [[2, 1, 'T2']]);
+  assert.strictEqual(again.alreadyMatched, 2);
+});
+
+test('MATCH_TRANSFERS is one step in both histories and cannot be undone once the other table changed', async () => {
+  assert.deepStrictEqual((await server.get('/api/history/card')).undo, ['MATCH_TRANSFERS', 'MATCH_TRANSFERS']);
+  
+  // Undo from the second table restores both
+  let result = await server.post('/api/undo', { tableName: 'card' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.tables.checking.rows.map(row => row.transfer), ['T1', '', '']);
+  assert.deepStrictEqual((await server.get('/api/history/checking')).redo, ['MATCH_TRANSFERS']);
+  
+  await server.post('/api/row/tag', { tableName: 'card', rowIndex: 2, tag: 'Clothes' });
+  result = await server.post('/api/undo', { tableName: 'checking' });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /card/);
+  
+  // Once the later change is undone, the transfer step can be undone again
+  await server.post('/api/undo', { tableName: 'card' });
+  result = await server.post('/api/undo', { tableName: 'checking' });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.tables.card.schema.map(col => col.name), ['Date', 'Description', 'Amount']);
+});
+
+test('DEDUPE_TABLE removes exact duplicates, ignoring the tag column', async () => {
+  const result = await server.command('DEDUPE_TABLE', 'spliced', { keep: 'last' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.deletedCount, 1);
+  assert.deepStrictEqual(result.table.rows.map(row => [row.Date, row.tag]), [
+    ['2025-04-02', ''],
+    ['2025-04-01', ''],
+    ['2025-04-09', ''],
+    ['2025-04-03', '']
+  ]);
+  await server.post('/api/undo', { tableName: 'spliced' });
+});
+
+test('DEDUPE_TABLE groups dates within the tolerance, previews and reviews the groups', async () => {
+  const params = { columns: ['Description', 'Amount'], dateColumn: 'Date', toleranceDays: 1 };
+  let result = await server.command('DEDUPE_TABLE', 'spliced', { ...params, preview: true });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.preview.groups.map(group => [group.rows.map(entry => entry.rowIndex), group.keep]), [[[0, 1, 2], 0]]);
+  assert.deepStrictEqual(result.preview.deletedRows.map(entry => entry.rowIndex), [1, 2]);
+  assert.deepStrictEqual((await server.get('/api/history/spliced')).undo, []);
+  
+  result = await server.command('DEDUPE_TABLE', 'spliced', { ...params, keep: 'review', newName: 'spliced_dupes' });
+  assert.deepStrictEqual(result.table.rows.map(row => [row.duplicate_group, row.Date]), [
+    [1, '2025-04-01'],
+    [1, '2025-04-02'],
+    [1, '2025-04-01']
+  ]);
+  
+  result = await server.command('DEDUPE_TABLE', 'spliced', params);
+  assert.deepStrictEqual(result.table.rows.map(row => row.Date), ['2025-04-01', '2025-04-09', '2025-04-03']);
+  result = await server.command('DEDUPE_TABLE', 'spliced', { keep: 'newest' });
+  assert.strictEqual(result.success, false);
+});
+
+test('RECONCILE leaves rows outside the range blank and skips blank bank balances', async () => {
+  let result = await server.command('RECONCILE', 'statement', {
+    openingBalance: 100,
+    closingBalance: 105,
+    startDate: '2025-01-01',
+    endDate: '2025-01-31'
+  });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.finalBalance, 105);
+  assert.strictEqual(result.discrepancy, 0);
+  assert.deepStrictEqual(result.table.rows.map(row => row.running_balance), [110, 106, 100, 105, null]);
+  assert.deepStrictEqual(result.table.schema[3], { name: 'running_balance', type: 'MONEY' });
+  
+  // Only the rows with a bank balance are compared: 99 on Jan 3 is where it diverges
+  assert.deepStrictEqual(result.divergences, [{ column: 'Balance', rowIndex: 3, running: 105, bank: 99, difference: -6 }]);
+  assert.strictEqual(result.reconciled, false);
+  
+  // The blank running balance is a real blank: BLANK() detects it and it is saved as an empty field
+  result = await server.command('ADD_COLUMN', 'statement', { columnName: 'Outside', expression: 'BLANK(running_balance)', columnType: 'INT' });
+  assert.deepStrictEqual(result.table.rows.map(row => row.Outside), [0, 0, 0, 0, 1]);
+  await server.command('SAVE_TABLE', 'statement');
+  const saved = await fs.readFile(path.join(server.dataDir, 'statement.CSV'), 'utf-8');
+  assert.strictEqual(saved.split('\n')[5], '2025-02-01,7.00,106.00,,,1');
+});
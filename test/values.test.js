@@ -0,0 +1,88 @@
+/**
+ * Tests for parseValue and validateCellValue: typed empty values, DECIMAL(p,s)
+ * and MONEY precision, and the checks applied to entered rows.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+const { parseValue, validateCellValue, ExpressionEvaluator } = require('../server');
+
+let server;
+
+test.before(async () => {
+  server = await startTestServer({
+    'ledger.CSV': 'Description:TEXT,"Amount:DECIMAL(5,2)",Date:DATE\nRent,-485.23,1/2/2025\n'
+  });
+  await server.get('/api/tables');
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test('gives each type its empty value', () => {
+  assert.strictEqual(parseValue('', 'INT'), 0);
+  assert.strictEqual(parseValue('', 'REAL'), 0);
+  assert.strictEqual(parseValue(null, 'MONEY'), 0);
+  assert.strictEqual(parseValue(undefined, 'DECIMAL(5,2)'), 0);
+  assert.strictEqual(parseValue('', 'TEXT'), '');
+  assert.strictEqual(parseValue('', 'DATE'), '');
+});
+
+test('rounds DECIMAL(p,s) and MONEY values to the scale', () => {
+  assert.strictEqual(parseValue('-1485.235', 'MONEY'), -1485.24);
+  assert.strictEqual(parseValue('$1,234.5', 'DECIMAL(6,2)'), 1234.5);
+  assert.strictEqual(parseValue('999.994', 'DECIMAL(5,2)'), 999.99);
+});
+
+test('rejects DECIMAL(p,s) values that overflow the precision', () => {
+  assert.throws(() => parseValue('1000', 'DECIMAL(5,2)'), /Value 1000 does not fit DECIMAL\(5,2\)/);
+  assert.throws(() => parseValue('-1000', 'DECIMAL(5,2)'), /does not fit/);
+  // Rounding can carry into another integer digit
+  assert.throws(() => parseValue('999.995', 'DECIMAL(5,2)'), /does not fit/);
+  assert.throws(() => parseValue('1', 'DECIMAL(2,2)'), /does not fit/);
+  assert.strictEqual(parseValue('0.99', 'DECIMAL(2,2)'), 0.99);
+  assert.throws(() => parseValue('10000000000000', 'MONEY'), /does not fit MONEY/);
+});
+
+test('validateCellValue converts entered values and rejects those that do not fit the column', () => {
+  const money = { name: 'Amount', type: 'MONEY' };
+  const decimal = { name: 'Amount', type: 'DECIMAL(5,2)' };
+  const date = { name: 'Date', type: 'DATE' };
+  assert.deepStrictEqual(validateCellValue(money, '$1,234.565'), { success: true, value: 1234.57 });
+  assert.deepStrictEqual(validateCellValue(decimal, '999.995'), { success: false });
+  assert.deepStrictEqual(validateCellValue(decimal, 'abc'), { success: false });
+  assert.deepStrictEqual(validateCellValue(date, '2/3/2025'), { success: true, value: '2025-02-03' });
+  assert.deepStrictEqual(validateCellValue(date, ''), { success: true, value: '' });
+  assert.deepStrictEqual(validateCellValue(date, '2/30/2025'), { success: false });
+  assert.deepStrictEqual(validateCellValue({ name: 'N', type: 'INT' }, '1.5'), { success: false });
+  assert.deepStrictEqual(validateCellValue({ name: 'T', type: 'TEXT' }, 7), { success: true, value: '7' });
+});
+
+test('row add, validate and update reject overflowing amounts and invalid dates', async () => {
+  const bad = { Description: 'Car', Amount: '1000', Date: '13/1/2025' };
+  let result = await server.post('/api/row/add', { tableName: 'ledger', row: { ...bad } });
+  assert.deepStrictEqual(result.errors, ['Amount', 'Date']);
+  result = await server.post('/api/row/validate', { tableName: 'ledger', row: { ...bad } });
+  assert.deepStrictEqual(result.errors, ['Amount', 'Date']);
+  result = await server.post('/api/row/update', { tableName: 'ledger', rowIndex: 0, row: { ...bad } });
+  assert.deepStrictEqual(result.errors, ['Amount', 'Date']);
+  
+  result = await server.post('/api/row/add', { tableName: 'ledger', row: { Description: 'Car', Amount: '-12.345', Date: '1/3/2025' } });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.table.rows[1], { Description: 'Car', Amount: -12.35, Date: '2025-01-03' });
+});
+
+test('adds DECIMAL amounts exactly and saves them at the declared scale', async () => {
+  const evaluator = new ExpressionEvaluator(null, {}, null);
+  assert.strictEqual(evaluator.evaluate('0.1 + 0.2'), 0.3);
+  assert.strictEqual(evaluator.evaluate('1.1 * 3'), 3.3);
+  
+  const result = await server.command('SAVE_TABLE', 'ledger');
+  assert.strictEqual(result.success, true);
+  const text = fs.readFileSync(path.join(server.dataDir, 'ledger.CSV'), 'utf-8');
+  assert.strictEqual(text.split(/\r?\n/)[1], 'Rent,-485.23,2025-01-02');
+});